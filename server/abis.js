@@ -14,6 +14,47 @@ module.exports = {
         "function relayLock(bytes32 txHash, address from, uint256 amount, uint256 sourceChainTimestamp, bytes calldata signature) external"
     ],
 
+    STokenBridge: [
+        "event TokensSent(address indexed sender, address indexed to, uint256 amount, uint256 nonce, uint256 dstChainId)",
+        "event TokensReceived(address indexed to, uint256 amount, uint256 nonce, uint256 srcChainId)",
+        "function mintFromRemote(address to, uint256 amount, uint256 nonce_, uint256 srcChainId) external"
+    ],
+
+    // Source chain: records a voter's votes for a governor proposal
+    VoteSnapshot: [
+        "function snapshotVotes(uint256 proposalId, uint256 proposalSnapshot) external returns (uint256)",
+        "function getSnapshot(uint256 proposalId, address voter) external view returns (tuple(address voter, uint256 votes, uint256 snapshotTime, uint256 proposalId, uint256 proposalSnapshot, bool relayed))"
+    ],
+
+    // Governor chain: accepts signed snapshots from the relayer. A contract
+    // of its own; MultiTokenGovernor has no relayVotes.
+    VoteRelay: [
+        "function relayVotes(uint256 proposalId, tuple(address voter, uint256 votes, uint256 snapshotTime, bytes signature)[] snapshots) external"
+    ],
+
+    MultiTokenGovernor: [
+        "event ProposalCreated(uint256 proposalId, address proposer, address[] targets, uint256[] values, string[] signatures, bytes[] calldatas, uint256 voteStart, uint256 voteEnd, string description)",
+        "event ProposalQueued(uint256 proposalId, uint256 etaSeconds)",
+        "event ProposalExecuted(uint256 proposalId)",
+        "event ProposalCanceled(uint256 proposalId)",
+        "event VoteCast(address indexed voter, uint256 proposalId, uint8 support, uint256 weight, string reason)",
+        "event VoteCastWithParams(address indexed voter, uint256 proposalId, uint8 support, uint256 weight, string reason, bytes params)",
+        "function state(uint256 proposalId) view returns (uint8)",
+        "function proposalSnapshot(uint256 proposalId) view returns (uint256)",
+        "function proposalDeadline(uint256 proposalId) view returns (uint256)",
+        "function quorum(uint256 timepoint) view returns (uint256)",
+        "function clock() view returns (uint48)",
+        "function voteTokens(uint256 index) view returns (address)",
+        "function voteTokensLength() view returns (uint256)",
+        "function proposalNeedsQueuing(uint256 proposalId) view returns (bool)",
+        "function queue(address[] targets, uint256[] values, bytes[] calldatas, bytes32 descriptionHash) returns (uint256)",
+        "function execute(address[] targets, uint256[] values, bytes[] calldatas, bytes32 descriptionHash) payable returns (uint256)"
+    ],
+
+    IVotes: [
+        "function getPastVotes(address account, uint256 timepoint) view returns (uint256)"
+    ],
+
     ERC20VotesToken: [
         "function balanceOf(address account) view returns (uint256)",
         "function totalSupply() view returns (uint256)"
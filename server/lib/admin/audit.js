@@ -0,0 +1,44 @@
+// lib/admin/audit.js
+const fs = require('fs');
+const { systemClock } = require('../clock');
+
+/**
+ * Append-only record of admin actions and rejected admin requests, one JSON
+ * object per line
+ */
+class AuditLog {
+    constructor(file, logger, clock = systemClock) {
+        this.file = file;
+        this.logger = logger;
+        this.clock = clock;
+    }
+
+    record({ actor, ip = null, action, target = null, params = {}, ok = true, error = null }) {
+        const entry = { at: new Date(this.clock.now()).toISOString(), actor, ip, action, target, params, ok, error };
+        fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+        const message = `🛂 Admin ${actor || ip}: ${action}${target ? ` ${target}` : ''}`;
+        if (ok) {
+            this.logger.info(message);
+        } else {
+            this.logger.warn(`${message} failed: ${error}`);
+        }
+        return entry;
+    }
+
+    /**
+     * The last `limit` entries, newest first
+     */
+    recent(limit) {
+        if (!fs.existsSync(this.file)) {
+            return [];
+        }
+        return fs.readFileSync(this.file, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .slice(-limit)
+            .reverse()
+            .map(line => JSON.parse(line));
+    }
+}
+
+module.exports = AuditLog;
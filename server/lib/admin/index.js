@@ -0,0 +1,160 @@
+// lib/admin/index.js
+const crypto = require('crypto');
+const express = require('express');
+const AuditLog = require('./audit');
+
+class AdminError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'AdminError';
+        this.status = status;
+    }
+}
+
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Bearer tokens from the environment, one per operator so the audit log
+ * says who did what
+ */
+function loadTokens(tokens, env) {
+    return tokens.map(({ name, tokenEnv }) => {
+        if (!env[tokenEnv]) {
+            throw new Error(`Admin token for ${name} is not set; export ${tokenEnv}`);
+        }
+        return { name, digest: digest(env[tokenEnv]) };
+    });
+}
+
+/**
+ * Name of the operator whose token the request carries, or why there is none
+ */
+function authenticate(tokens, header) {
+    const match = /^Bearer (.+)$/.exec(header || '');
+    if (!match) {
+        return { error: 'no bearer token' };
+    }
+    const presented = digest(match[1]);
+    const token = tokens.find(candidate => crypto.timingSafeEqual(candidate.digest, presented));
+    return token ? { actor: token.name } : { error: 'unknown token' };
+}
+
+/**
+ * Token-protected control endpoints for the dashboard server, mounted at
+ * /admin. Every action, failed or not, and every request turned away for
+ * its token is appended to the audit log.
+ */
+function createAdminRouter(relayer, options, logger, env = process.env) {
+    const tokens = loadTokens(options.tokens, env);
+    const audit = new AuditLog(options.auditFile, logger, relayer.clock);
+    const router = express.Router();
+
+    router.use(express.json());
+    router.use((req, res, next) => {
+        const { actor, error } = authenticate(tokens, req.get('Authorization'));
+        if (!actor) {
+            audit.record({ actor: null, ip: req.ip, action: 'authenticate', target: `${req.method} ${req.originalUrl}`, ok: false, error });
+            return res.status(401).json({ error: 'A valid admin bearer token is required' });
+        }
+        req.actor = actor;
+        next();
+    });
+
+    const route = name => {
+        if (!relayer.routes.has(name)) {
+            throw new AdminError(404, `Unknown route: ${name}`);
+        }
+        return name;
+    };
+    const reason = req => (req.body && typeof req.body.reason === 'string' ? req.body.reason : null);
+
+    /**
+     * Run an action and audit its outcome in a single entry
+     */
+    const action = (name, handler) => (req, res) => {
+        let result;
+        let error = null;
+        try {
+            result = handler(req);
+        } catch (caught) {
+            error = caught;
+        }
+
+        audit.record({
+            actor: req.actor,
+            ip: req.ip,
+            action: name,
+            target: req.params.name || req.params.id || null,
+            params: req.body || {},
+            ok: !error,
+            error: error ? error.message : null
+        });
+        if (error) {
+            return res.status(error.status || 409).json({ error: error.message });
+        }
+        res.json({ ok: true, ...result });
+    };
+
+    router.get('/routes', (req, res) => {
+        res.json(Array.from(relayer.routes.values(), ({ name, cursor, paused }) => ({ name, cursor, paused })));
+    });
+
+    router.post('/routes/:name/pause', action('pause', req => ({
+        paused: relayer.pause(route(req.params.name), { by: req.actor, reason: reason(req) })
+    })));
+
+    router.post('/routes/:name/resume', action('resume', req => {
+        if (!relayer.routes.get(route(req.params.name)).paused) {
+            throw new AdminError(409, `${req.params.name} is not paused`);
+        }
+        return { wasPaused: relayer.resume(req.params.name, { by: req.actor }) };
+    }));
+
+    router.post('/routes/:name/cursor', action('set_cursor', req => {
+        const block = Number(req.body && req.body.block);
+        if (!Number.isInteger(block) || block < 0) {
+            throw new AdminError(400, 'body.block must be a block number');
+        }
+        return { previous: relayer.setCursor(route(req.params.name), block), cursor: block };
+    }));
+
+    router.post('/transfers/:id/skip', action('skip', req => {
+        const relay = relayer.skip(req.params.id, { by: req.actor, reason: reason(req) });
+        if (!relay) {
+            throw new AdminError(404, `${req.params.id} is not queued or dead-lettered`);
+        }
+        return { transfer: relayer.transfers.fromRelay(req.params.id, relay) };
+    }));
+
+    router.post('/transfers/:id/approve', action('approve', req => {
+        const job = relayer.approve(req.params.id, { by: req.actor });
+        if (!job) {
+            throw new AdminError(404, `${req.params.id} is not held`);
+        }
+        return { transfer: relayer.transfers.fromJob(job) };
+    }));
+
+    router.post('/transfers/:id/requeue', action('requeue', req => {
+        const job = relayer.requeue(req.params.id);
+        if (!job) {
+            throw new AdminError(404, `${req.params.id} is not waiting for a retry or dead-lettered`);
+        }
+        return { transfer: relayer.transfers.fromJob(job) };
+    }));
+
+    router.post('/save', action('save', () => {
+        if (!relayer.saveState()) {
+            throw new AdminError(500, 'Could not save state, see the relayer log');
+        }
+        return {};
+    }));
+
+    router.get('/audit', (req, res) => {
+        const limit = Math.min(Number(req.query.limit) || 100, 1000);
+        res.json(audit.recent(limit));
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter, AuditLog, AdminError };
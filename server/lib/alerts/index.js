@@ -0,0 +1,107 @@
+// lib/alerts/index.js
+const { systemClock } = require('../clock');
+const { createSink, SEVERITIES } = require('./sinks');
+
+/**
+ * Tracks alert conditions and notifies the configured sinks when they start
+ * or stop firing. A firing alert is announced once, repeated every
+ * `repeatInterval` while it lasts, and never re-announced within `cooldown`
+ * of its last notification, so a flapping condition does not spam. A
+ * resolved notification follows every announced alert.
+ */
+class AlertManager {
+    constructor(options, logger, clock = systemClock) {
+        this.enabled = options.enabled;
+        this.cooldown = options.cooldown;
+        this.repeatInterval = options.repeatInterval;
+        this.logger = logger;
+        this.clock = clock;
+        this.sinks = options.enabled
+            ? options.sinks.map(sink => ({ sink: createSink(sink, options.timeout), minSeverity: sink.minSeverity }))
+            : [];
+        this.alerts = new Map(); // key -> alert state
+    }
+
+    /**
+     * Report whether the condition named `key` currently holds
+     */
+    check(key, firing, { severity = 'warning', summary, details = {} } = {}) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const now = this.clock.now();
+        let alert = this.alerts.get(key);
+
+        if (!firing) {
+            if (alert && alert.firing) {
+                alert.firing = false;
+                if (alert.notified) {
+                    alert.notified = false;
+                    this.notify(alert, 'resolved');
+                }
+            }
+            return;
+        }
+
+        if (!alert) {
+            alert = { key, firing: false, notified: false, lastNotifiedAt: 0, startedAt: now };
+            this.alerts.set(key, alert);
+        }
+        if (!alert.firing) {
+            alert.firing = true;
+            alert.startedAt = now;
+        }
+        Object.assign(alert, { severity, summary, details });
+
+        const sinceLast = now - alert.lastNotifiedAt;
+        const due = alert.notified
+            ? this.repeatInterval > 0 && sinceLast >= this.repeatInterval
+            : sinceLast >= this.cooldown;
+        if (due) {
+            alert.notified = true;
+            alert.lastNotifiedAt = now;
+            this.notify(alert, 'firing');
+        }
+    }
+
+    /**
+     * Alerts currently firing, for /stats
+     */
+    active() {
+        return Array.from(this.alerts.values())
+            .filter(alert => alert.firing)
+            .map(({ key, severity, summary, startedAt, notified }) => ({ key, severity, summary, startedAt, notified }));
+    }
+
+    notify(alert, status) {
+        const message = {
+            key: alert.key,
+            status,
+            severity: alert.severity,
+            summary: alert.summary,
+            details: alert.details,
+            startedAt: alert.startedAt,
+            at: this.clock.now()
+        };
+
+        if (status === 'resolved') {
+            this.logger.info(`✅ Alert resolved: ${alert.summary}`);
+        } else {
+            this.logger.warn(`🚨 Alert (${alert.severity}): ${alert.summary}`);
+        }
+
+        const rank = SEVERITIES.indexOf(alert.severity);
+        for (const { sink, minSeverity } of this.sinks) {
+            if (rank < SEVERITIES.indexOf(minSeverity)) {
+                continue;
+            }
+            // Never let a slow or broken sink hold up relaying
+            sink.send(message).catch(error => {
+                this.logger.error(`Could not send ${alert.key} alert to ${sink.name}: ${error.message}`);
+            });
+        }
+    }
+}
+
+module.exports = AlertManager;
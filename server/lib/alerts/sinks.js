@@ -0,0 +1,98 @@
+// lib/alerts/sinks.js
+const nodemailer = require('nodemailer');
+
+const SEVERITIES = ['warning', 'critical'];
+const ICONS = { firing: { warning: '⚠️', critical: '🚨' }, resolved: '✅' };
+
+function title(alert) {
+    const icon = alert.status === 'resolved' ? ICONS.resolved : ICONS.firing[alert.severity];
+    return `${icon} [${alert.status.toUpperCase()}] ${alert.summary}`;
+}
+
+async function postJson(url, body, timeout) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeout)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+}
+
+/**
+ * POSTs the alert as JSON to any endpoint
+ */
+class WebhookSink {
+    constructor(options) {
+        this.options = options;
+        this.name = options.name;
+    }
+
+    async send(alert) {
+        await postJson(this.options.url, alert, this.options.timeout);
+    }
+}
+
+/**
+ * Slack (or Mattermost/Discord-compatible) incoming webhook
+ */
+class SlackSink {
+    constructor(options) {
+        this.options = options;
+        this.name = options.name;
+    }
+
+    async send(alert) {
+        const fields = Object.entries(alert.details).map(([key, value]) => `*${key}:* ${value}`);
+        await postJson(this.options.url, {
+            text: [title(alert), ...fields].join('\n')
+        }, this.options.timeout);
+    }
+}
+
+/**
+ * Email over SMTP; the password is read from `passwordEnv`
+ */
+class SmtpSink {
+    constructor(options) {
+        this.options = options;
+        this.name = options.name;
+        this.transport = nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user
+                ? { user: options.user, pass: process.env[options.passwordEnv] }
+                : undefined,
+            connectionTimeout: options.timeout
+        });
+    }
+
+    async send(alert) {
+        const details = Object.entries(alert.details).map(([key, value]) => `${key}: ${value}`);
+        await this.transport.sendMail({
+            from: this.options.from,
+            to: this.options.to.join(', '),
+            subject: title(alert),
+            text: [alert.summary, '', ...details, '', `Alert: ${alert.key}`, `Since: ${new Date(alert.startedAt).toISOString()}`].join('\n')
+        });
+    }
+}
+
+function createSink(options, timeout) {
+    const sinkOptions = { ...options, timeout };
+    switch (options.type) {
+        case 'webhook':
+            return new WebhookSink(sinkOptions);
+        case 'slack':
+            return new SlackSink(sinkOptions);
+        case 'smtp':
+            return new SmtpSink(sinkOptions);
+        default:
+            throw new Error(`Unknown alert sink type: ${options.type}`);
+    }
+}
+
+module.exports = { createSink, WebhookSink, SlackSink, SmtpSink, SEVERITIES };
@@ -0,0 +1,77 @@
+// lib/attestation/aggregator.js
+const { ethers } = require('ethers');
+
+/**
+ * Collects lock attestations from signer peers until `threshold` distinct
+ * allowed signers have signed, then packs their 65-byte signatures in
+ * ascending signer address order. The destination bridge must accept that
+ * packing; AttestedLocalBridge in test/fixtures/LockBridges.sol shows the
+ * check it has to make.
+ */
+class AttestationAggregator {
+    constructor(peers, options, logger) {
+        this.peers = peers;
+        this.threshold = options.threshold;
+        this.signers = new Set(options.signers.map(address => ethers.getAddress(address)));
+        this.logger = logger;
+
+        if (!Number.isInteger(this.threshold) || this.threshold < 1) {
+            throw new Error('attestation.threshold must be a positive integer');
+        }
+        if (this.threshold > this.signers.size) {
+            throw new Error(`attestation.threshold (${this.threshold}) exceeds the ${this.signers.size} configured signers`);
+        }
+        if (this.threshold > this.peers.length) {
+            throw new Error(`attestation.threshold (${this.threshold}) exceeds the ${this.peers.length} configured peers`);
+        }
+    }
+
+    /**
+     * Ask every peer to attest `request` and resolve with the packed
+     * signatures once the threshold is met. Rejects if the peers that
+     * answered cannot reach it; the relay job is then retried.
+     */
+    async collect(request, message) {
+        const digest = ethers.getBytes(message);
+        const signatures = new Map(); // signer -> signature
+        const failures = [];
+
+        await new Promise(resolve => {
+            let outstanding = this.peers.length;
+
+            for (const peer of this.peers) {
+                peer.attest(request)
+                    .then(({ signature }) => {
+                        const signer = ethers.verifyMessage(digest, signature);
+                        if (!this.signers.has(signer)) {
+                            throw new Error(`signature from ${signer}, which is not an allowed signer`);
+                        }
+                        signatures.set(signer, signature);
+                    })
+                    .catch(error => {
+                        failures.push(`${peer.name}: ${error.message}`);
+                    })
+                    .finally(() => {
+                        outstanding--;
+                        if (signatures.size >= this.threshold || outstanding === 0) {
+                            resolve();
+                        }
+                    });
+            }
+        });
+
+        if (signatures.size < this.threshold) {
+            throw new Error(`Only ${signatures.size} of ${this.threshold} attestations for ${request.txHash}: ${failures.join('; ')}`);
+        }
+        failures.forEach(failure => this.logger.warn(`Attestation failed for ${request.txHash}: ${failure}`));
+
+        const chosen = Array.from(signatures.keys())
+            .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))
+            .slice(0, this.threshold);
+        this.logger.info(`Collected ${this.threshold}-of-${this.signers.size} attestations for ${request.txHash}`);
+
+        return ethers.concat(chosen.map(signer => signatures.get(signer)));
+    }
+}
+
+module.exports = AttestationAggregator;
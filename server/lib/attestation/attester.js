@@ -0,0 +1,96 @@
+// lib/attestation/attester.js
+const { ethers } = require('ethers');
+const ABIs = require('../../abis');
+const { lockMessage } = require('./message');
+
+const sourceBridge = new ethers.Interface(ABIs.SourceBridge);
+
+/**
+ * What a signer needs to know about one lock route's source bridge
+ */
+function bridgeEntry(routeConfig, fromChain, toChain, provider) {
+    return {
+        chainId: fromChain.chainId,
+        bridgeAddress: routeConfig.sourceAddress,
+        tokenAddress: routeConfig.tokenAddress,
+        destinationChainId: toChain.chainId,
+        confirmations: fromChain.confirmations || 0,
+        provider
+    };
+}
+
+/**
+ * One attestation signer. It never trusts the requester's view of a lock:
+ * the event is read from the signer's own RPC connection and checked against
+ * its configured bridges before the lock message is signed.
+ */
+class LockAttester {
+    constructor(signer, bridges, logger) {
+        this.signer = signer;
+        this.logger = logger;
+        this.bridges = new Map(); // "chainId:bridge" -> bridge entry with allowed destinations
+        for (const entry of bridges) {
+            const key = `${entry.chainId}:${entry.bridgeAddress.toLowerCase()}`;
+            const known = this.bridges.get(key);
+            if (known) {
+                known.destinations.add(entry.destinationChainId);
+            } else {
+                this.bridges.set(key, { ...entry, destinations: new Set([entry.destinationChainId]) });
+            }
+        }
+    }
+
+    get address() {
+        return this.signer.address;
+    }
+
+    /**
+     * Sign the lock emitted by `txHash` on `bridgeAddress`. Throws when the
+     * lock is unknown, unconfirmed or headed for a chain this signer does
+     * not serve.
+     */
+    async attest({ chainId, bridgeAddress, txHash }) {
+        const bridge = this.bridges.get(`${Number(chainId)}:${String(bridgeAddress).toLowerCase()}`);
+        if (!bridge) {
+            throw new Error(`Not attesting for bridge ${bridgeAddress} on chain ${chainId}`);
+        }
+
+        const receipt = await bridge.provider.getTransactionReceipt(txHash);
+        if (!receipt || receipt.status !== 1) {
+            throw new Error(`Lock transaction ${txHash} not found`);
+        }
+        const head = await bridge.provider.getBlockNumber();
+        if (head - receipt.blockNumber < bridge.confirmations) {
+            throw new Error(`Lock ${txHash} has ${head - receipt.blockNumber} of ${bridge.confirmations} confirmations`);
+        }
+
+        const log = receipt.logs.find(entry =>
+            entry.address.toLowerCase() === bridge.bridgeAddress.toLowerCase() &&
+            entry.topics[0] === sourceBridge.getEvent('TokensLocked').topicHash
+        );
+        if (!log) {
+            throw new Error(`No TokensLocked event from ${bridge.bridgeAddress} in ${txHash}`);
+        }
+
+        const [from, amount, destinationChainId, timestamp] = sourceBridge.parseLog(log).args;
+        if (!bridge.destinations.has(Number(destinationChainId))) {
+            throw new Error(`Lock ${txHash} is for chain ${destinationChainId}, which this signer does not serve`);
+        }
+
+        const message = lockMessage({
+            chainId: bridge.chainId,
+            bridgeAddress: bridge.bridgeAddress,
+            tokenAddress: bridge.tokenAddress,
+            txHash,
+            from,
+            amount,
+            timestamp
+        });
+        const signature = await this.signer.signMessage(ethers.getBytes(message));
+
+        this.logger.info(`✍️  Attested lock ${txHash} from ${from} (${ethers.formatEther(amount)})`);
+        return { signer: this.signer.address, signature };
+    }
+}
+
+module.exports = { LockAttester, bridgeEntry };
@@ -0,0 +1,35 @@
+// lib/attestation/index.js
+const { ethers } = require('ethers');
+const AttestationAggregator = require('./aggregator');
+const { LockAttester, bridgeEntry } = require('./attester');
+const { HttpPeer, LocalPeer } = require('./peers');
+const { lockMessage } = require('./message');
+
+/**
+ * Build the aggregator for the configured peers. Local peers observe locks
+ * through the relayer's own providers, described by `bridges`.
+ */
+function createAggregator(options, bridges, logger) {
+    const peers = options.peers.map(peer => {
+        switch (peer.type) {
+            case 'http':
+                return new HttpPeer(peer.url, options.requestTimeout);
+            case 'local':
+                return new LocalPeer(new LockAttester(new ethers.Wallet(peer.privateKey), bridges, logger));
+            default:
+                throw new Error(`Unknown attestation peer type: ${peer.type}`);
+        }
+    });
+
+    return new AttestationAggregator(peers, options, logger);
+}
+
+module.exports = {
+    createAggregator,
+    AttestationAggregator,
+    LockAttester,
+    HttpPeer,
+    LocalPeer,
+    bridgeEntry,
+    lockMessage
+};
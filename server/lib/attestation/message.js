@@ -0,0 +1,15 @@
+// lib/attestation/message.js
+const { ethers } = require('ethers');
+
+/**
+ * Digest every lock signature covers, whether it comes from the relayer
+ * itself or from attestation signers
+ */
+function lockMessage({ chainId, bridgeAddress, tokenAddress, txHash, from, amount, timestamp }) {
+    return ethers.solidityPackedKeccak256(
+        ['uint64', 'address', 'address', 'bytes32', 'address', 'uint256', 'uint256'],
+        [chainId, bridgeAddress, tokenAddress, txHash, from, BigInt(amount), BigInt(timestamp)]
+    );
+}
+
+module.exports = { lockMessage };
@@ -0,0 +1,43 @@
+// lib/attestation/peers.js
+
+/**
+ * Attestation signer reached over HTTP (see scripts/signer.js)
+ */
+class HttpPeer {
+    constructor(url, timeout) {
+        this.url = url.replace(/\/$/, '');
+        this.timeout = timeout;
+        this.name = this.url;
+    }
+
+    async attest(request) {
+        const response = await fetch(`${this.url}/attest`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(body.error || `HTTP ${response.status}`);
+        }
+        return body;
+    }
+}
+
+/**
+ * In-process stand-in for a signer peer, so the attestation flow runs
+ * without any signer services
+ */
+class LocalPeer {
+    constructor(attester) {
+        this.attester = attester;
+        this.name = `local:${attester.address}`;
+    }
+
+    async attest(request) {
+        return this.attester.attest(request);
+    }
+}
+
+module.exports = { HttpPeer, LocalPeer };
@@ -0,0 +1,11 @@
+// lib/clock.js
+
+/**
+ * Where the relayer reads the time. Pass another `{ now() }` to move time
+ * along by hand, for retry backoff or relay limit windows say.
+ */
+const systemClock = {
+    now: () => Date.now()
+};
+
+module.exports = { systemClock };
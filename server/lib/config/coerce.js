@@ -0,0 +1,164 @@
+// lib/config/coerce.js
+const { ethers } = require('ethers');
+
+const TRUE = ['true', '1', 'yes', 'on'];
+const FALSE = ['false', '0', 'no', 'off'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Convert one leaf value to its schema type. Strings are accepted for every
+ * type because profiles and environment variables are both text.
+ */
+function coerceLeaf(schema, value) {
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                throw new Error('must be a string');
+            }
+            value = String(value);
+            if (schema.pattern && !schema.pattern.test(value)) {
+                throw new Error(`must match ${schema.pattern}`);
+            }
+            return value;
+        case 'integer':
+        case 'number': {
+            const pattern = schema.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+            const parsed = typeof value === 'number' ? value : (pattern.test(String(value).trim()) ? Number(value) : NaN);
+            if (!Number.isFinite(parsed) || (schema.type === 'integer' && !Number.isInteger(parsed))) {
+                throw new Error(`must be ${schema.type === 'integer' ? 'an integer' : 'a number'} (got "${value}")`);
+            }
+            if (schema.min !== undefined && parsed < schema.min) {
+                throw new Error(`must be at least ${schema.min} (got ${parsed})`);
+            }
+            if (schema.max !== undefined && parsed > schema.max) {
+                throw new Error(`must be at most ${schema.max} (got ${parsed})`);
+            }
+            return parsed;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') {
+                return value;
+            }
+            if (TRUE.includes(String(value).toLowerCase())) {
+                return true;
+            }
+            if (FALSE.includes(String(value).toLowerCase())) {
+                return false;
+            }
+            throw new Error(`must be true or false (got "${value}")`);
+        case 'address':
+            if (!ethers.isAddress(value)) {
+                throw new Error(`must be an address (got "${value}")`);
+            }
+            return ethers.getAddress(String(value).toLowerCase());
+        case 'url':
+            try {
+                const parsed = new URL(value);
+                if (!['http:', 'https:', 'ws:', 'wss:'].includes(parsed.protocol)) {
+                    throw new Error();
+                }
+            } catch (error) {
+                throw new Error('must be an http(s) or ws(s) URL');
+            }
+            return String(value);
+        case 'ether':
+            try {
+                ethers.parseEther(String(value));
+            } catch (error) {
+                throw new Error(`must be an ETH amount (got "${value}")`);
+            }
+            return String(value);
+        case 'enum':
+            if (!schema.values.includes(value)) {
+                throw new Error(`must be one of ${schema.values.join(', ')} (got "${value}")`);
+            }
+            return value;
+        default:
+            throw new Error(`unknown schema type ${schema.type}`);
+    }
+}
+
+/**
+ * Fill defaults and coerce `value` against `schema`. Problems are collected
+ * in `errors` as "path: message" so they can all be reported at once.
+ */
+function coerce(schema, value, path, errors) {
+    const at = path || '(root)';
+
+    if (schema.type === 'object') {
+        if (value === undefined || value === null) {
+            value = {};
+        }
+        if (!isPlainObject(value)) {
+            errors.push(`${at}: must be an object`);
+            return undefined;
+        }
+        for (const key of Object.keys(value)) {
+            if (!schema.fields[key]) {
+                errors.push(`${path ? `${path}.` : ''}${key}: unknown setting`);
+            }
+        }
+        const result = {};
+        for (const [key, field] of Object.entries(schema.fields)) {
+            result[key] = coerce(field, value[key], path ? `${path}.${key}` : key, errors);
+        }
+        return result;
+    }
+
+    if (schema.type === 'record') {
+        if (value === undefined || value === null) {
+            return {};
+        }
+        if (!isPlainObject(value)) {
+            errors.push(`${at}: must be an object`);
+            return {};
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) =>
+            [key, coerce(schema.value, entry, `${path}.${key}`, errors)]
+        ));
+    }
+
+    if (schema.type === 'list') {
+        if (value === undefined || value === null) {
+            value = schema.default;
+        }
+        if (typeof value === 'string') {
+            // From the environment: JSON for lists of objects, else comma-separated
+            try {
+                value = value.trim().startsWith('[')
+                    ? JSON.parse(value)
+                    : value.split(',').map(item => item.trim()).filter(Boolean);
+            } catch (error) {
+                errors.push(`${at}: is not valid JSON`);
+                return [];
+            }
+        }
+        if (!Array.isArray(value)) {
+            errors.push(`${at}: must be a list`);
+            return [];
+        }
+        return value.map((item, index) => {
+            const name = isPlainObject(item) && item.name ? item.name : index;
+            return coerce(schema.item, item, `${path}[${name}]`, errors);
+        });
+    }
+
+    if (value === undefined || value === null || value === '') {
+        if (schema.default === null && schema.required) {
+            errors.push(`${at}: is required`);
+        }
+        return schema.default;
+    }
+
+    try {
+        return coerceLeaf(schema, value);
+    } catch (error) {
+        errors.push(`${at}: ${error.message}`);
+        return schema.default;
+    }
+}
+
+module.exports = { coerce, isPlainObject };
@@ -0,0 +1,76 @@
+// lib/config/env.js
+
+const PREFIX = 'RELAYER__';
+
+/**
+ * rpcUrl -> RPC_URL, sepolia-local-lock -> SEPOLIA_LOCAL_LOCK
+ */
+function envName(key) {
+    return String(key)
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/[^A-Za-z0-9]+/g, '_')
+        .toUpperCase();
+}
+
+/**
+ * Apply RELAYER__<PATH> variables on top of `raw`, with path segments
+ * separated by double underscores:
+ *
+ *   RELAYER__DASHBOARD__ENABLED=true
+ *   RELAYER__CHAINS__SEPOLIA__RPC_URL=https://...
+ *   RELAYER__ROUTES__SEPOLIA_LOCAL_LOCK__SOURCE_ADDRESS=0x...
+ *   RELAYER__ATTESTATION__SIGNERS=0xabc...,0xdef...
+ *
+ * Chains and routes are matched by key and name. Variables that name no
+ * setting are reported rather than silently ignored.
+ */
+function applyEnv(schema, raw, env, errors) {
+    const applied = [];
+
+    for (const [variable, value] of Object.entries(env)) {
+        if (!variable.startsWith(PREFIX)) {
+            continue;
+        }
+
+        const segments = variable.slice(PREFIX.length).split('__');
+        let node = schema;
+        let target = raw;
+        let ok = true;
+
+        for (let i = 0; i < segments.length && ok; i++) {
+            const segment = segments[i];
+            const last = i === segments.length - 1;
+            let key;
+
+            if (node.type === 'object') {
+                key = Object.keys(node.fields).find(field => envName(field) === segment);
+                node = key && node.fields[key];
+            } else if (node.type === 'record') {
+                key = Object.keys(target).find(entry => envName(entry) === segment) || segment.toLowerCase();
+                node = node.value;
+            } else if (node.type === 'list' && node.item.type === 'object') {
+                const index = target.findIndex(item => item && envName(item.name) === segment);
+                key = index === -1 ? undefined : index;
+                node = node.item;
+            }
+
+            if (key === undefined || !node) {
+                errors.push(`${variable}: does not name a setting`);
+                ok = false;
+            } else if (last) {
+                target[key] = value;
+            } else {
+                target[key] = target[key] || (node.type === 'list' ? [] : {});
+                target = target[key];
+            }
+        }
+
+        if (ok) {
+            applied.push(variable);
+        }
+    }
+
+    return applied;
+}
+
+module.exports = { applyEnv, envName, PREFIX };
@@ -0,0 +1,222 @@
+// lib/config/index.js
+const fs = require('fs');
+const path = require('path');
+const schema = require('./schema');
+const { coerce, isPlainObject } = require('./coerce');
+const { applyEnv } = require('./env');
+const { resolveRoutes } = require('../routes');
+
+const PROFILE_DIR = path.join(__dirname, '..', '..', 'profiles');
+const DEFAULT_PROFILE = 'sepolia-local';
+
+class ConfigError extends Error {
+    constructor(problems, source) {
+        super(`Invalid configuration (${source}):\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Merge `source` into `target`; objects merge key by key, lists and
+ * scalars replace
+ */
+function merge(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+        target[key] = isPlainObject(value) && isPlainObject(target[key])
+            ? merge(target[key], value)
+            : structuredClone(value);
+    }
+    return target;
+}
+
+/**
+ * Profile by name (profiles/<name>.json) or by path
+ */
+function readProfile(profile) {
+    const file = /[\\/]|\.json$/.test(profile) ? path.resolve(profile) : path.join(PROFILE_DIR, `${profile}.json`);
+    if (!fs.existsSync(file)) {
+        const available = fs.readdirSync(PROFILE_DIR).map(name => path.basename(name, '.json'));
+        throw new ConfigError([`profile ${profile} not found (available: ${available.join(', ')})`], 'profile');
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`${file}: ${error.message}`], 'profile');
+    }
+}
+
+/**
+ * Whether this Node has node:sqlite: 22.5 or newer, and from 22.5 to 22.12
+ * only with --experimental-sqlite
+ */
+function hasSqlite() {
+    try {
+        require('node:sqlite');
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks that span several settings
+ */
+function crossCheck(config, problems) {
+    try {
+        const { routes } = resolveRoutes(config);
+        if (config.reconciliation.enabled && !routes.some(route => route.bridge === 'lock' && route.wrappedTokenAddress)) {
+            problems.push('reconciliation.enabled: no enabled lock route has a wrappedTokenAddress to check');
+        }
+    } catch (error) {
+        problems.push(`routes: ${error.message}`);
+    }
+
+    const { attestation } = config;
+    if (attestation.enabled) {
+        if (attestation.threshold > attestation.signers.length) {
+            problems.push(`attestation.threshold: ${attestation.threshold} exceeds the ${attestation.signers.length} signers`);
+        }
+        attestation.peers.forEach((peer, index) => {
+            if (peer.type === 'http' && !peer.url) {
+                problems.push(`attestation.peers[${index}].url: is required for http peers`);
+            }
+            if (peer.type === 'local' && !peer.privateKey) {
+                problems.push(`attestation.peers[${index}].privateKey: is required for local peers`);
+            }
+        });
+    }
+
+    (config.alerts.enabled ? config.alerts.sinks : []).forEach((sink, index) => {
+        if (sink.type === 'smtp') {
+            if (!sink.host || !sink.from || sink.to.length === 0) {
+                problems.push(`alerts.sinks[${index}]: smtp sinks need host, from and to`);
+            }
+        } else if (!sink.url) {
+            problems.push(`alerts.sinks[${index}].url: is required for ${sink.type} sinks`);
+        }
+    });
+
+    if (config.admin.enabled) {
+        if (!config.dashboard.enabled) {
+            problems.push('admin.enabled: the admin API is served by the dashboard; enable dashboard too');
+        }
+        if (config.admin.tokens.length === 0) {
+            problems.push('admin.tokens: at least one token is required');
+        }
+    }
+
+    const { votes } = config;
+    if (votes.enabled) {
+        for (const key of ['sourceChain', 'governorChain']) {
+            if (!config.chains[votes[key]]) {
+                problems.push(`votes.${key}: chain "${votes[key]}" is not defined in chains`);
+            }
+        }
+        if (!votes.snapshotAddress || !votes.governorAddress || !votes.relayAddress) {
+            problems.push('votes: snapshotAddress, governorAddress and relayAddress are required');
+        }
+        if (!config.dashboard.enabled) {
+            problems.push('votes.enabled: votes are submitted to the dashboard server; enable dashboard too');
+        }
+    }
+
+    const { governance } = config;
+    if (governance.enabled) {
+        if (!config.chains[governance.chain]) {
+            problems.push(`governance.chain: chain "${governance.chain}" is not defined in chains`);
+        }
+        if (!governance.governorAddress) {
+            problems.push('governance.governorAddress: is required');
+        }
+        if (!config.dashboard.enabled) {
+            problems.push('governance.enabled: proposals are served by the dashboard; enable dashboard too');
+        }
+    }
+
+    if (config.keeper.enabled) {
+        if (!governance.enabled) {
+            problems.push('keeper.enabled: the keeper acts on indexed proposals; enable governance too');
+        }
+        if (config.keeper.allowedTargets.length === 0) {
+            problems.push('keeper.allowedTargets: list the contracts proposals may call');
+        }
+    }
+
+    const { signer } = config.relayer;
+    if (['json-rpc', 'http'].includes(signer.type) && (!signer.url || !signer.address)) {
+        problems.push(`relayer.signer: ${signer.type} signers need url and address`);
+    }
+    for (const [key, chain] of Object.entries(config.chains)) {
+        if (chain.quorum > 1 + chain.rpcUrls.length) {
+            problems.push(`chains.${key}.quorum: ${chain.quorum} exceeds the ${1 + chain.rpcUrls.length} RPC endpoints`);
+        }
+    }
+    if (config.subscriptions.enabled && !Object.values(config.chains).some(chain => chain.wsUrl)) {
+        problems.push('subscriptions.enabled: no chain has a wsUrl');
+    }
+    if (config.queue.retryMaxDelay < config.queue.retryBaseDelay) {
+        problems.push('queue.retryMaxDelay: must not be below queue.retryBaseDelay');
+    }
+    if (config.storage.backend === 'sqlite' && !hasSqlite()) {
+        problems.push(`storage.backend: sqlite needs node:sqlite from Node 22.5 or newer, but this is Node ${process.versions.node}; use json or upgrade Node`);
+    }
+}
+
+/**
+ * Build the effective config: schema defaults, then the profile, then
+ * RELAYER__* environment variables, then `overrides`. Values are coerced to
+ * their schema types and every problem is reported in one ConfigError.
+ */
+function loadConfig({ profile, env = process.env, overrides } = {}) {
+    const name = profile || env.RELAYER_PROFILE || DEFAULT_PROFILE;
+    const raw = readProfile(name);
+    const problems = [];
+
+    const applied = applyEnv(schema, raw, env, problems);
+    merge(raw, overrides);
+
+    const config = coerce(schema, raw, '', problems);
+    if (problems.length === 0) {
+        crossCheck(config, problems);
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems, `profile ${name}`);
+    }
+
+    Object.defineProperty(config, 'source', {
+        value: { profile: name, env: applied },
+        enumerable: false
+    });
+    return config;
+}
+
+function redactUrl(value) {
+    const parsed = new URL(value);
+    const hidden = parsed.pathname !== '/' || parsed.search || parsed.username;
+    return `${parsed.protocol}//${parsed.host}${hidden ? '/***' : ''}`;
+}
+
+/**
+ * Copy of the config with secrets and credential-bearing URLs masked
+ */
+function redact(value, node = schema) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    switch (node.type) {
+        case 'object':
+            return Object.fromEntries(Object.entries(node.fields).map(([key, field]) => [key, redact(value[key], field)]));
+        case 'record':
+            return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redact(entry, node.value)]));
+        case 'list':
+            return value.map(item => redact(item, node.item));
+        default:
+            if (node.secret === 'url') {
+                return redactUrl(value);
+            }
+            return node.secret ? '***' : value;
+    }
+}
+
+module.exports = { loadConfig, redact, redactUrl, ConfigError, schema };
@@ -0,0 +1,267 @@
+// lib/config/schema.js
+const { string, integer, number, boolean, address, url, ether, oneOf, object, record, list } = require('./types');
+
+const SIGNER_TYPES = ['keystore', 'json-rpc', 'http', 'private-key'];
+
+/**
+ * Signer backend settings, shared by the relayer and attestation signers.
+ * The key never sits in config: only the names of the variables holding
+ * passphrases, tokens or (for development) raw keys.
+ */
+const signer = (keystoreFile, envPrefix) => object({
+    type: oneOf(SIGNER_TYPES, 'keystore'),
+    address: address(),
+    keystoreFile: string(keystoreFile),             // keystore: created by `npm run keystore`
+    passphraseEnv: string(`${envPrefix}_KEYSTORE_PASSPHRASE`),
+    url: url(),                                     // json-rpc and http signers
+    keyId: string(),                                // http: key name at the signing service
+    authTokenEnv: string(`${envPrefix}_SIGNER_TOKEN`), // http: optional bearer token
+    privateKeyEnv: string(`${envPrefix}_PRIVATE_KEY`), // private-key: development only
+    requestTimeout: integer(10000, { min: 1000 })
+});
+
+/**
+ * Every setting the relayer understands, with its default. Deployment
+ * specifics (chains, routes, addresses) come from a profile in profiles/.
+ */
+module.exports = object({
+    // Relayer account, see lib/signers
+    relayer: object({
+        signer: signer('keystore.json', 'RELAYER')
+    }),
+
+    // Chains the relayer connects to, referenced by key from `routes`
+    chains: record(object({
+        name: string(null, { required: true }),
+        chainId: integer(null, { required: true, min: 1 }),
+        rpcUrl: url(null, { required: true }),
+        rpcUrls: list(url(null, { required: true })), // Fallback endpoints, tried after rpcUrl
+        quorum: integer(1, { min: 1 }),          // Endpoints that must return the same logs before events are relayed
+        wsUrl: url(),                            // Used for subscriptions when enabled
+        confirmations: integer(0, { min: 0 }),   // Blocks an event must be buried under before relaying
+        pollInterval: integer(12000, { min: 100 })
+    })),
+
+    // One route per event the relayer watches. `bridge` is a handler from
+    // lib/routes, which supplies the default event, relay method and gas limit.
+    routes: list(object({
+        name: string(null, { required: true }),
+        bridge: oneOf(['lock', 'unlock', 'stoken'], null, { required: true }),
+        from: string(null, { required: true }),
+        to: string(null, { required: true }),
+        sourceAddress: address(),        // Emits `event`
+        destinationAddress: address(),   // Receives `method`
+        tokenAddress: address(),         // lock: signed into relays
+        wrappedTokenAddress: address(),
+        event: string(),
+        method: string(),
+        gasLimit: integer(null, { min: 21000 }), // Used when gas estimation fails
+        pollInterval: integer(null, { min: 100 }),
+        enabled: boolean(true),
+        limits: object({                 // Override the top-level limits for this route
+            maxAmount: ether(),
+            windowAmount: ether(),
+            relaysPerMinute: integer(null, { min: 1 })
+        })
+    })),
+
+    // Circuit breaker. A relay that would break a limit is held for approval
+    // (POST /admin/transfers/<id>/approve) instead of sent. Null disables a limit.
+    limits: object({
+        maxAmount: ether(),                             // Largest single transfer
+        windowAmount: ether(),                          // Total relayed per route per window
+        window: integer(3600000, { min: 60000 }),       // 1 hour, rolling
+        relaysPerMinute: integer(null, { min: 1 }),     // Per route
+        autoPause: boolean(true)                        // Pause the route when a limit trips
+    }),
+
+    // Multi-signer attestation for lock relays. When enabled, relayLock gets
+    // `threshold` signatures from `signers` instead of the relayer's own,
+    // concatenated in ascending signer address order.
+    attestation: object({
+        enabled: boolean(false),
+        threshold: integer(2, { min: 1 }),
+        signers: list(address(null, { required: true })), // Addresses the destination bridge accepts
+        peers: list(object({
+            type: oneOf(['http', 'local'], null, { required: true }),
+            url: url(),                                   // http
+            privateKey: string(null, { secret: true })    // local: offline stand-in only
+        })),
+        requestTimeout: integer(10000, { min: 100 }),     // Per peer, per lock
+        port: integer(8600, { min: 1, max: 65535 }),      // scripts/signer.js
+        host: string('0.0.0.0'),
+        signer: signer('signer-keystore.json', 'SIGNER')  // Key used by scripts/signer.js
+    }),
+
+    // Polling settings (intervals are set per chain)
+    polling: object({
+        maxBlockRange: integer(100, { min: 1 }),  // Blocks per query; where adaptive ranges start
+        adaptiveRange: boolean(true),             // Halve the range when a provider rejects it as too large, double it while behind
+        minBlockRange: integer(1, { min: 1 }),
+        rangeCeiling: integer(5000, { min: 1 }),  // Largest range to grow to
+        reorgDepth: integer(64, { min: 1 })       // Processed block hashes kept per chain for reorg detection
+    }),
+
+    // RPC endpoint failover, see lib/rpc-provider.js. An endpoint that rate
+    // limits or fails `maxFailures` times in a row is skipped for a while.
+    rpc: object({
+        requestTimeout: integer(30000, { min: 1000 }),
+        maxFailures: integer(3, { min: 1 }),
+        backoffBaseDelay: integer(5000, { min: 100 }),      // Doubles each time the endpoint is backed off again
+        backoffMaxDelay: integer(300000, { min: 100 }),     // 5 minutes
+        scoreWindow: integer(600000, { min: 1000 })         // Failures older than 10 minutes no longer count against an endpoint
+    }),
+
+    // With subscriptions enabled, chains with a wsUrl are polled when a new
+    // block or a watched log arrives over WebSocket instead of on a timer.
+    // Interval polling takes over while the socket is down.
+    subscriptions: object({
+        enabled: boolean(false),
+        connectTimeout: integer(10000, { min: 1000 }),
+        reconnectBaseDelay: integer(1000, { min: 100 }),    // Doubles after each failed attempt
+        reconnectMaxDelay: integer(60000, { min: 100 }),
+        staleTimeout: integer(120000, { min: 1000 })        // Reconnect when no block arrives for 2 minutes
+    }),
+
+    // Monitoring settings
+    monitoring: object({
+        healthCheckInterval: integer(60000, { min: 1000 }), // 1 minute
+        blockLookback: integer(1000, { min: 0 }),           // How many blocks to scan on startup
+        eventBatchSize: integer(10, { min: 1 })             // Events queued per step of a poll before relaying starts
+    }),
+
+    // Supply reconciliation, see lib/reconcile.js. Checks lock routes that
+    // have a wrappedTokenAddress.
+    reconciliation: object({
+        enabled: boolean(false),
+        interval: integer(300000, { min: 10000 }),     // 5 minutes
+        tolerance: ether('0'),                          // Drift ignored up to this amount
+        breachAfter: integer(2, { min: 1 }),            // Consecutive deficits before acting
+        autoPause: boolean(false)                       // Pause the lock and unlock routes on a deficit
+    }),
+
+    // Vote relay, see lib/votes.js. Voters snapshot their votes on the source
+    // chain, sign them and POST the signature to /votes on the dashboard
+    // server; verified signatures are relayed in batches with relayVotes.
+    votes: object({
+        enabled: boolean(false),
+        sourceChain: string(),                          // Chain key of the snapshot contract
+        snapshotAddress: address(),                     // snapshotVotes / getSnapshot
+        governorChain: string(),                        // Chain key of the governor
+        governorAddress: address(),                     // MultiTokenGovernor, signed into every snapshot
+        relayAddress: address(),                        // Vote relay contract on the governor chain with relayVotes (not the governor)
+        batchSize: integer(20, { min: 1 }),             // Votes per relayVotes transaction
+        batchDelay: integer(60000, { min: 0 }),         // Wait up to a minute for a batch to fill
+        deadlineMargin: integer(5, { min: 0 }),         // Relay whatever is waiting this close to the deadline (governor clock units)
+        processInterval: integer(10000, { min: 1000 }),
+        maxAttempts: integer(3, { min: 1 }),            // Give up on a vote after this many failed batches
+        gasLimit: integer(500000, { min: 21000 })       // Used when gas estimation fails
+    }),
+
+    // Governance indexer, see lib/governance.js. Serves proposals and votes
+    // from the local store at /governance on the dashboard server.
+    governance: object({
+        enabled: boolean(false),
+        chain: string(),                                // Chain key of the governor
+        governorAddress: address(),                     // MultiTokenGovernor
+        startBlock: integer(0, { min: 0 }),             // Governor deployment block, where indexing starts
+        pollInterval: integer(null, { min: 100 })       // Defaults to the chain's
+    }),
+
+    // Proposal keeper, see lib/keeper.js. Queues and executes proposals the
+    // governance indexer sees succeed, retrying with the queue settings.
+    keeper: object({
+        enabled: boolean(false),
+        dryRun: boolean(false),                         // Simulate and log instead of sending
+        allowedTargets: list(address(null, { required: true })), // Every target of a proposal must be listed
+        processInterval: integer(15000, { min: 1000 }),
+        gasLimit: integer(1000000, { min: 21000 })      // Used when gas estimation fails
+    }),
+
+    // Alert notifications. Each condition is announced once when it starts,
+    // again every `repeatInterval` while it lasts, and once when it clears.
+    alerts: object({
+        enabled: boolean(false),
+        cooldown: integer(900000, { min: 0 }),          // Don't re-announce a flapping condition within 15 minutes
+        repeatInterval: integer(3600000, { min: 0 }),   // Remind hourly while firing; 0 never repeats
+        timeout: integer(10000, { min: 100 }),          // Per notification
+        thresholds: object({
+            lowBalance: ether('0.01'),                  // ETH - relayer balance on any chain
+            lagBlocks: integer(100, { min: 1 }),        // A route this many blocks behind its chain
+            relayFailures: integer(3, { min: 1 }),      // Consecutive failed relay attempts on a route
+            pollFailures: integer(3, { min: 1 }),       // Consecutive failed polls on a route
+            deadLetterJobs: integer(1, { min: 1 })      // Jobs that ran out of attempts
+        }),
+        sinks: list(object({
+            name: string(null, { required: true }),     // RELAYER__ALERTS__SINKS__<NAME>__URL
+            type: oneOf(['webhook', 'slack', 'smtp'], null, { required: true }),
+            minSeverity: oneOf(['warning', 'critical'], 'warning'),
+            url: url(),                                 // webhook, slack
+            host: string(),                             // smtp
+            port: integer(587, { min: 1, max: 65535 }),
+            secure: boolean(false),                     // TLS from the start (port 465)
+            user: string(),
+            passwordEnv: string('ALERT_SMTP_PASSWORD'),
+            from: string(),
+            to: list(string(null, { required: true }))
+        }))
+    }),
+
+    // Relay job queue
+    queue: object({
+        processInterval: integer(2000, { min: 100 }),   // 2 seconds
+        concurrency: integer(4, { min: 1 }),            // Relays in flight at once per poll of the queue
+        maxAttempts: integer(5, { min: 1 }),            // Dead-letter a job after this many failures
+        retryBaseDelay: integer(15000, { min: 0 }),     // First retry after 15s, doubling each attempt
+        retryMaxDelay: integer(600000, { min: 0 })      // Never wait more than 10 minutes between attempts
+    }),
+
+    // Gas settings
+    gas: object({
+        gasMultiplier: number(1.2, { min: 1 }),         // 20% buffer on estimated gas and fees
+        replaceAfter: integer(60000, { min: 1000 }),    // Speed up a transaction still pending after 1 minute
+        feeBumpPercent: integer(20, { min: 10 }),       // Fee increase per replacement (nodes require at least 10%)
+        maxReplacements: integer(3, { min: 0 }),        // Then cancel it and let the job retry
+        maxFeePerGas: number(null, { min: 0 }),         // Gwei; fees are never raised past it. Null for no cap
+        receiptPollInterval: integer(3000, { min: 100 })
+    }),
+
+    // Logging
+    logging: object({
+        level: oneOf(['error', 'warn', 'info', 'debug'], 'info'),
+        file: string('relayer.log'),
+        maxSize: string('10m', { pattern: /^\d+m$/ }),  // Megabytes per log file
+        maxFiles: integer(3, { min: 1 })
+    }),
+
+    // Web dashboard
+    dashboard: object({
+        enabled: boolean(false),
+        port: integer(80, { min: 1, max: 65535 }),
+        host: string('0.0.0.0'),
+        corsOrigin: string('*'),                        // Origins allowed to read /transfers and /events; null for same-origin only
+        streamHistory: integer(200, { min: 0 }),        // Events replayed to clients reconnecting to /events
+        heartbeatInterval: integer(15000, { min: 1000 }) // Keeps idle /events connections open through proxies
+    }),
+
+    // Admin API on the dashboard server, see lib/admin. Each operator gets a
+    // token, read from the named environment variable.
+    admin: object({
+        enabled: boolean(false),
+        tokens: list(object({
+            name: string(null, { required: true }),       // Recorded in the audit log
+            tokenEnv: string(null, { required: true })
+        })),
+        auditFile: string('audit.log')
+    }),
+
+    // Storage
+    storage: object({
+        backend: oneOf(['json', 'sqlite'], 'json'),     // 'sqlite' needs Node 22.5+
+        jsonFile: string('state.json'),
+        sqliteFile: string('relayer.db'),
+        legacyFile: string('processed.json'),           // Imported by `npm run migrate`
+        retentionDays: integer(30, { min: 0 }),         // Forget processed ids after this; the bridges reject replays on-chain
+        backupInterval: integer(300000, { min: 1000 })  // 5 minutes
+    })
+});
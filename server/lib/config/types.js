@@ -0,0 +1,20 @@
+// lib/config/types.js
+
+/**
+ * Schema node constructors. Every leaf carries its default; `required`
+ * rejects null, `secret` marks values redacted when the config is printed
+ * ('url' keeps the scheme and host).
+ */
+const string = (value = null, options = {}) => ({ type: 'string', default: value, ...options });
+const integer = (value = null, options = {}) => ({ type: 'integer', default: value, ...options });
+const number = (value = null, options = {}) => ({ type: 'number', default: value, ...options });
+const boolean = (value = false) => ({ type: 'boolean', default: value });
+const address = (value = null, options = {}) => ({ type: 'address', default: value, ...options });
+const url = (value = null, options = {}) => ({ type: 'url', default: value, secret: 'url', ...options });
+const ether = (value = null, options = {}) => ({ type: 'ether', default: value, ...options });
+const oneOf = (values, value = null, options = {}) => ({ type: 'enum', values, default: value, ...options });
+const object = fields => ({ type: 'object', fields });
+const record = value => ({ type: 'record', value });     // keyed by name, e.g. chains
+const list = (item, value = []) => ({ type: 'list', item, default: value });
+
+module.exports = { string, integer, number, boolean, address, url, ether, oneOf, object, record, list };
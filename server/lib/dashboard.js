@@ -0,0 +1,256 @@
+// lib/dashboard.js
+const express = require('express');
+const { ethers } = require('ethers');
+const EventStream = require('./stream');
+const { TransferStatus } = require('./transfers');
+const { STATES, SUPPORT } = require('./governance');
+const { createAdminRouter } = require('./admin');
+
+/**
+ * Express app serving a relayer's dashboard and HTTP API: stats, metrics,
+ * transfers and the live event feed, the vote and governance endpoints
+ * when those are enabled, and the admin API under /admin when
+ * `options.admin` allows it. `options` is the relayer config; listening is
+ * left to the caller.
+ */
+function createDashboard(relayer, options, logger) {
+    const app = express();
+    const stream = new EventStream(relayer, options.dashboard, logger);
+
+    // Public endpoints other frontends may call
+    const cors = (req, res, next) => {
+        if (options.dashboard.corsOrigin) {
+            res.set('Access-Control-Allow-Origin', options.dashboard.corsOrigin);
+            res.set('Access-Control-Allow-Headers', 'Content-Type');
+        }
+        if (req.method === 'OPTIONS') {
+            return res.sendStatus(204);
+        }
+        next();
+    };
+    app.use(['/transfers', '/events', '/votes', '/governance'], cors);
+
+    // Operator controls, see lib/admin
+    if (options.admin.enabled) {
+        app.use('/admin', createAdminRouter(relayer, options.admin, logger));
+    }
+
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            stats: relayer.getStats()
+        });
+    });
+
+    app.get('/stats', (req, res) => {
+        res.json(relayer.getStats());
+    });
+
+    // Prometheus scrape endpoint
+    app.get('/metrics', async (req, res) => {
+        res.set('Content-Type', relayer.metrics.contentType);
+        res.send(await relayer.metrics.render());
+    });
+
+    app.get('/queue', (req, res) => {
+        res.json(relayer.queue.toJSON());
+    });
+
+    // Transfers, newest first: ?address=&route=&status=&offset=&limit=
+    app.get('/transfers', (req, res) => {
+        const { address, route, status } = req.query;
+        const offset = Number(req.query.offset || 0);
+        const limit = Number(req.query.limit || 50);
+
+        if (address && !ethers.isAddress(address)) {
+            return res.status(400).json({ error: `Invalid address: ${address}` });
+        }
+        if (route && !relayer.routes.has(route)) {
+            return res.status(400).json({ error: `Unknown route: ${route}` });
+        }
+        if (status && !Object.values(TransferStatus).includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${Object.values(TransferStatus).join(', ')}` });
+        }
+        if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > 500) {
+            return res.status(400).json({ error: 'offset must be 0 or more and limit between 1 and 500' });
+        }
+
+        res.json(relayer.transfers.list({ address, route, status, offset, limit }));
+    });
+
+    // Live feed: transferDetected, relaySubmitted, relayConfirmed,
+    // relayFailed and healthCheck, optionally filtered by route,
+    // address or transaction hash
+    app.get('/events', (req, res) => stream.handle(req, res));
+
+    // One transfer by source, burn or relay transaction hash
+    app.get('/transfers/:hash', (req, res) => {
+        if (!ethers.isHexString(req.params.hash, 32)) {
+            return res.status(400).json({ error: 'Expected a 32-byte transaction hash' });
+        }
+
+        const transfer = relayer.transfers.find(req.params.hash);
+        if (!transfer) {
+            return res.status(404).json({ error: `No transfer found for ${req.params.hash}` });
+        }
+        res.json(transfer);
+    });
+
+    // Vote snapshot signatures from the governance frontend:
+    // { proposalId, voter, signature }
+    if (relayer.votes) {
+        app.post('/votes', express.json(), async (req, res) => {
+            try {
+                res.status(202).json(await relayer.votes.submit(req.body || {}));
+            } catch (error) {
+                if (!error.status) {
+                    logger.error(`Vote submission failed: ${error.message}`);
+                }
+                res.status(error.status || 502).json({ error: error.message });
+            }
+        });
+
+        // Votes received for a proposal: ?voter=
+        app.get('/votes/:proposalId', (req, res) => {
+            const { voter } = req.query;
+            if (!/^\d+$/.test(req.params.proposalId)) {
+                return res.status(400).json({ error: 'proposalId must be an integer' });
+            }
+            if (voter && !ethers.isAddress(voter)) {
+                return res.status(400).json({ error: `Invalid address: ${voter}` });
+            }
+            res.json(relayer.votes.list(BigInt(req.params.proposalId).toString(), voter));
+        });
+    }
+
+    // Indexed proposals and votes, see lib/governance.js
+    if (relayer.governance) {
+        const { governance } = relayer;
+        const page = (req, res, defaultLimit) => {
+            const offset = Number(req.query.offset || 0);
+            const limit = Number(req.query.limit || defaultLimit);
+            if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > 500) {
+                res.status(400).json({ error: 'offset must be 0 or more and limit between 1 and 500' });
+                return null;
+            }
+            return { offset, limit };
+        };
+        const checkAddress = (res, address) => {
+            if (address && !ethers.isAddress(address)) {
+                res.status(400).json({ error: `Invalid address: ${address}` });
+                return false;
+            }
+            return true;
+        };
+        const checkSupport = (res, support) => {
+            if (support && !SUPPORT.includes(support)) {
+                res.status(400).json({ error: `support must be one of ${SUPPORT.join(', ')}` });
+                return false;
+            }
+            return true;
+        };
+
+        // Proposals, newest first: ?state=&proposer=&offset=&limit=
+        app.get('/governance/proposals', (req, res) => {
+            const { state, proposer } = req.query;
+            if (state && !STATES.includes(state)) {
+                return res.status(400).json({ error: `state must be one of ${STATES.join(', ')}` });
+            }
+            const paging = checkAddress(res, proposer) && page(req, res, 50);
+            if (paging) {
+                res.json(governance.list({ state, proposer, ...paging }));
+            }
+        });
+
+        app.get('/governance/proposals/:id', (req, res) => {
+            const proposal = governance.find(req.params.id);
+            if (!proposal) {
+                return res.status(404).json({ error: `No proposal ${req.params.id}` });
+            }
+            res.json(proposal);
+        });
+
+        // Votes on a proposal: ?voter=&support=&offset=&limit=
+        app.get('/governance/proposals/:id/votes', (req, res) => {
+            const { voter, support } = req.query;
+            if (!governance.proposals.has(req.params.id)) {
+                return res.status(404).json({ error: `No proposal ${req.params.id}` });
+            }
+            const paging = checkAddress(res, voter) && checkSupport(res, support) && page(req, res, 100);
+            if (paging) {
+                res.json(governance.listVotes({ proposalId: req.params.id, voter, support, ...paging }));
+            }
+        });
+
+        // Every vote by one voter: ?support=&offset=&limit=
+        app.get('/governance/voters/:address/votes', (req, res) => {
+            const { support } = req.query;
+            if (!ethers.isAddress(req.params.address)) {
+                return res.status(400).json({ error: `Invalid address: ${req.params.address}` });
+            }
+            const paging = checkSupport(res, support) && page(req, res, 100);
+            if (paging) {
+                res.json(governance.listVotes({ voter: req.params.address, support, ...paging }));
+            }
+        });
+    }
+
+    app.get('/', (req, res) => {
+        res.send(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Bridge Relayer Dashboard</title>
+                <style>
+                    body { font-family: monospace; padding: 20px; background: #1e1e1e; color: #d4d4d4; }
+                    .stat { margin: 10px 0; }
+                    .stat-label { color: #4ec9b0; }
+                    .stat-value { color: #ce9178; }
+                    #events div { margin: 4px 0; }
+                    .relayFailed, .transferHeld { color: #f48771; }
+                    .relayConfirmed { color: #89d185; }
+                </style>
+                <script>
+                    async function refreshStats() {
+                        const res = await fetch('/stats');
+                        const stats = await res.json();
+                        document.getElementById('stats').textContent = JSON.stringify(stats, null, 2);
+                    }
+                    setInterval(refreshStats, 5000);
+                    refreshStats();
+
+                    const icons = { transferDetected: '🔍', transferHeld: '🛑', relaySubmitted: '📤', relayConfirmed: '✅', relayFailed: '❌' };
+                    const events = new EventSource('/events');
+                    for (const name of Object.keys(icons)) {
+                        events.addEventListener(name, message => {
+                            const transfer = JSON.parse(message.data);
+                            const line = document.createElement('div');
+                            line.className = name;
+                            line.textContent = new Date().toLocaleTimeString() + ' ' + icons[name] + ' ' + name + ' ' +
+                                transfer.route + ' ' + transfer.id +
+                                (transfer.relay.txHash ? ' tx ' + transfer.relay.txHash : '') +
+                                (name === 'relayFailed' ? ': ' + transfer.relay.lastError : '') +
+                                (name === 'transferHeld' ? ': ' + transfer.heldReason : '');
+                            const list = document.getElementById('events');
+                            list.prepend(line);
+                            while (list.children.length > 100) list.lastChild.remove();
+                        });
+                    }
+                    events.addEventListener('healthCheck', refreshStats);
+                </script>
+            </head>
+            <body>
+                <h1>🌉 Bridge Relayer Dashboard</h1>
+                <h2>Live events</h2>
+                <div id="events"></div>
+                <h2>Stats</h2>
+                <pre id="stats">Loading...</pre>
+            </body>
+            </html>
+        `);
+    });
+
+    return app;
+}
+
+module.exports = { createDashboard };
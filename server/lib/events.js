@@ -0,0 +1,76 @@
+// lib/events.js
+
+// How providers say a log query covers too many blocks or results
+const RANGE_ERROR = /more than \d+ results|too many (results|logs)|response size|result set too large|block range|range (is )?too (large|wide)|exceeds? (the )?max(imum)? (block )?range/i;
+
+/**
+ * Whether a log query failed because its block range was too large
+ */
+function isRangeError(error) {
+    const nested = error.error || (error.info && error.info.error);
+    return [error.message, nested && nested.message].some(message => message && RANGE_ERROR.test(message));
+}
+
+/**
+ * Blocks per log query. Starts at `maxBlockRange`; when adaptive it halves
+ * whenever the provider rejects a range as too large and doubles while a
+ * scan is behind, within `minBlockRange` and `rangeCeiling`.
+ */
+class BlockRange {
+    constructor(options) {
+        this.size = options.maxBlockRange;
+        this.adaptive = options.adaptiveRange;
+        this.min = Math.min(options.minBlockRange, options.maxBlockRange);
+        this.max = Math.max(options.rangeCeiling, options.maxBlockRange);
+    }
+
+    shrink() {
+        if (!this.adaptive || this.size <= this.min) {
+            return false;
+        }
+        this.size = Math.max(this.min, Math.floor(this.size / 2));
+        return true;
+    }
+
+    grow() {
+        if (this.adaptive) {
+            this.size = Math.min(this.max, this.size * 2);
+        }
+    }
+}
+
+/**
+ * Query a contract's events from `fromBlock` over at most `range.size`
+ * blocks, narrowing the range and retrying while the provider says it is
+ * too large. Returns the last block covered with the events.
+ */
+async function queryEvents(contract, filter, fromBlock, toBlock, range) {
+    for (;;) {
+        const end = Math.min(toBlock, fromBlock + range.size - 1);
+        try {
+            return { fromBlock, toBlock: end, events: await contract.queryFilter(filter, fromBlock, end) };
+        } catch (error) {
+            if (!isRangeError(error) || end === fromBlock || !range.shrink()) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Query a contract's events over a block range, one chunk at a time. The
+ * range grows while more than one chunk remains.
+ */
+async function* queryEventsInChunks(contract, filter, fromBlock, toBlock, range) {
+    let start = fromBlock;
+    while (start <= toBlock) {
+        const chunk = await queryEvents(contract, filter, start, toBlock, range);
+        yield chunk;
+        start = chunk.toBlock + 1;
+        if (toBlock - chunk.toBlock > range.size) {
+            range.grow();
+        }
+    }
+}
+
+module.exports = { BlockRange, isRangeError, queryEvents, queryEventsInChunks };
@@ -0,0 +1,331 @@
+// lib/governance.js
+const { ethers } = require('ethers');
+const ABIs = require('../abis');
+const { BlockRange, queryEventsInChunks } = require('./events');
+const PollScheduler = require('./scheduler');
+
+// Governor proposal states, as returned by state()
+const STATES = ['pending', 'active', 'canceled', 'defeated', 'succeeded', 'queued', 'expired', 'executed'];
+const FINAL_STATES = ['canceled', 'defeated', 'expired', 'executed'];
+
+// GovernorCountingSimple vote types
+const SUPPORT = ['against', 'for', 'abstain'];
+
+const CURSOR = 'governance';
+
+const tally = () => ({ against: '0', for: '0', abstain: '0' });
+const add = (a, b) => (BigInt(a) + BigInt(b)).toString();
+
+/**
+ * Indexes a MultiTokenGovernor's proposals and votes into the state store
+ * so the dashboards can load them in one request. Only blocks the chain's
+ * confirmation depth considers final are indexed.
+ *
+ * Each vote is broken down by the governor's vote tokens (the voter's past
+ * votes on each at the proposal snapshot). States that follow from the
+ * clock rather than an event, like active or defeated, are read from the
+ * governor on every poll until the proposal reaches a final state.
+ */
+class GovernanceIndexer {
+    constructor(relayer, options, pollingOptions, logger) {
+        this.relayer = relayer;
+        this.options = options;
+        this.range = new BlockRange(pollingOptions);
+        this.logger = logger;
+
+        this.chain = relayer.chains.get(options.chain);
+        this.governor = new ethers.Contract(options.governorAddress, ABIs.MultiTokenGovernor, this.chain.provider);
+        this.scheduler = new PollScheduler('Governance', options.pollInterval || this.chain.config.pollInterval, () => this.poll(), logger, relayer.clock);
+
+        this.tokens = [];             // vote token addresses, in governor order
+        this.proposals = new Map();   // id -> proposal
+        this.votes = new Map();       // id -> Map<voter, vote>
+        this.cursor = options.startBlock - 1;
+        this.stats = { lastPollAt: null, lastError: null, errors: 0 };
+    }
+
+    load(state) {
+        for (const proposal of state.proposals) {
+            this.proposals.set(proposal.id, proposal);
+        }
+        for (const vote of state.proposalVotes) {
+            this.votesFor(vote.proposalId).set(vote.voter, vote);
+        }
+        if (state.cursors[CURSOR] !== undefined) {
+            this.cursor = state.cursors[CURSOR];
+        }
+    }
+
+    async start() {
+        const count = Number(await this.governor.voteTokensLength());
+        this.tokens = [];
+        for (let i = 0; i < count; i++) {
+            this.tokens.push(await this.governor.voteTokens(i));
+        }
+        this.logger.info(`Governance: indexing ${this.options.governorAddress} on ${this.chain.name} from block ${this.cursor + 1}, ${count} vote tokens`);
+
+        this.scheduler.start();
+    }
+
+    stop() {
+        this.scheduler.stop();
+    }
+
+    async poll() {
+        try {
+            const safeBlock = await this.relayer.getSafeBlock(this.chain);
+            if (safeBlock > this.cursor) {
+                for await (const { toBlock, events } of queryEventsInChunks(this.governor, '*', this.cursor + 1, safeBlock, this.range)) {
+                    // Changes are staged on copies and only made visible once
+                    // stored, so a chunk that fails halfway is replayed cleanly
+                    const chunk = { proposals: new Map(), votes: new Map() };
+                    for (const event of events) {
+                        await this.apply(event, chunk);
+                    }
+
+                    this.relayer.store.transaction(tx => {
+                        chunk.proposals.forEach(proposal => tx.putProposal(proposal));
+                        chunk.votes.forEach(vote => tx.putProposalVote(vote));
+                        tx.setCursor(CURSOR, toBlock);
+                    });
+                    chunk.proposals.forEach((proposal, id) => this.proposals.set(id, proposal));
+                    chunk.votes.forEach(vote => this.votesFor(vote.proposalId).set(vote.voter, vote));
+                    this.cursor = toBlock;
+                    if (events.length > 0) {
+                        this.logger.info(`Governance: indexed ${events.length} events up to block ${toBlock}`);
+                    }
+                }
+            }
+
+            await this.refresh();
+            this.stats.lastPollAt = this.relayer.clock.now();
+            this.stats.lastError = null;
+        } catch (error) {
+            this.logger.error(`Governance indexing failed: ${error.message}`);
+            this.stats.errors++;
+            this.stats.lastError = error.message;
+        }
+    }
+
+    /**
+     * Fold one governor event into `chunk`: copies of the proposals it
+     * changes and the new votes, keyed "proposalId:voter"
+     */
+    async apply(event, chunk) {
+        if (!event.fragment) {
+            return;
+        }
+        const { args } = event;
+        const id = args.proposalId.toString();
+        const at = { block: event.blockNumber, txHash: event.transactionHash };
+
+        switch (event.fragment.name) {
+            case 'ProposalCreated':
+                if (this.staged(chunk, id)) {
+                    return; // replayed
+                }
+                chunk.proposals.set(id, {
+                    id,
+                    proposer: args.proposer,
+                    targets: Array.from(args.targets),
+                    values: args[3].map(value => value.toString()),
+                    calldatas: Array.from(args.calldatas),
+                    description: args.description,
+                    voteStart: args.voteStart.toString(),
+                    voteEnd: args.voteEnd.toString(),
+                    created: at,
+                    state: 'pending',
+                    quorum: null,
+                    votes: tally(),
+                    tokens: Object.fromEntries(this.tokens.map(token => [token, tally()])),
+                    voters: 0,
+                    eta: null,
+                    queued: null,
+                    executed: null,
+                    canceled: null
+                });
+                break;
+
+            case 'VoteCast':
+            case 'VoteCastWithParams': {
+                const proposal = this.staged(chunk, id);
+                if (!proposal) {
+                    this.logger.warn(`Governance: vote on unknown proposal ${id}; is startBlock after the governor was deployed?`);
+                    return;
+                }
+                const key = `${id}:${args.voter}`;
+                if (chunk.votes.has(key) || this.votesFor(id).has(args.voter)) {
+                    return; // replayed; a governor counts one vote per voter
+                }
+                const support = SUPPORT[Number(args.support)];
+                const vote = {
+                    proposalId: id,
+                    voter: args.voter,
+                    support,
+                    weight: args.weight.toString(),
+                    reason: args.reason,
+                    tokens: await this.breakdown(args.voter, proposal.voteStart),
+                    block: at.block,
+                    txHash: at.txHash
+                };
+
+                proposal.votes[support] = add(proposal.votes[support], vote.weight);
+                for (const [token, weight] of Object.entries(vote.tokens)) {
+                    proposal.tokens[token] = proposal.tokens[token] || tally();
+                    proposal.tokens[token][support] = add(proposal.tokens[token][support], weight);
+                }
+                proposal.voters++;
+                chunk.votes.set(key, vote);
+                break;
+            }
+
+            case 'ProposalQueued':
+                this.update(chunk, id, { state: 'queued', eta: args.etaSeconds.toString(), queued: at });
+                break;
+            case 'ProposalExecuted':
+                this.update(chunk, id, { state: 'executed', executed: at });
+                break;
+            case 'ProposalCanceled':
+                this.update(chunk, id, { state: 'canceled', canceled: at });
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * The chunk's copy of a proposal, made on first use
+     */
+    staged(chunk, id) {
+        if (!chunk.proposals.has(id) && this.proposals.has(id)) {
+            chunk.proposals.set(id, structuredClone(this.proposals.get(id)));
+        }
+        return chunk.proposals.get(id);
+    }
+
+    update(chunk, id, fields) {
+        const proposal = this.staged(chunk, id);
+        if (proposal) {
+            Object.assign(proposal, fields);
+        }
+    }
+
+    votesFor(id) {
+        if (!this.votes.has(id)) {
+            this.votes.set(id, new Map());
+        }
+        return this.votes.get(id);
+    }
+
+    /**
+     * A voter's weight on each vote token at the proposal snapshot
+     */
+    async breakdown(voter, timepoint) {
+        const weights = await Promise.all(this.tokens.map(token =>
+            new ethers.Contract(token, ABIs.IVotes, this.chain.provider).getPastVotes(voter, timepoint)
+        ));
+        return Object.fromEntries(this.tokens.map((token, i) => [token, weights[i].toString()]));
+    }
+
+    /**
+     * Read the state, and the quorum once the snapshot has passed, of every
+     * proposal not yet in a final state
+     */
+    async refresh() {
+        const changed = [];
+        for (const proposal of this.proposals.values()) {
+            if (FINAL_STATES.includes(proposal.state)) {
+                continue;
+            }
+            const state = STATES[Number(await this.governor.state(proposal.id))];
+            let quorum = proposal.quorum;
+            if (quorum === null && state !== 'pending') {
+                quorum = (await this.governor.quorum(proposal.voteStart)).toString();
+            }
+            if (state !== proposal.state || quorum !== proposal.quorum) {
+                Object.assign(proposal, { state, quorum });
+                changed.push(proposal);
+            }
+        }
+        if (changed.length > 0) {
+            this.relayer.store.transaction(tx => changed.forEach(proposal => tx.putProposal(proposal)));
+        }
+    }
+
+    /**
+     * A proposal with its quorum progress. Votes for and abstaining count
+     * towards quorum, as in GovernorCountingSimple.
+     */
+    view(proposal) {
+        const counted = BigInt(proposal.votes.for) + BigInt(proposal.votes.abstain);
+        const quorum = proposal.quorum === null ? null : BigInt(proposal.quorum);
+        return {
+            ...proposal,
+            quorumProgress: {
+                counted: counted.toString(),
+                quorum: proposal.quorum,
+                reached: quorum === null ? null : counted >= quorum,
+                percent: !quorum ? null : Number((counted * 10000n) / quorum) / 100
+            }
+        };
+    }
+
+    /**
+     * Proposals, newest first
+     */
+    list({ state, proposer, offset = 0, limit = 50 } = {}) {
+        const wanted = proposer ? proposer.toLowerCase() : null;
+        const proposals = Array.from(this.proposals.values())
+            .filter(proposal =>
+                (!state || proposal.state === state) &&
+                (!wanted || proposal.proposer.toLowerCase() === wanted))
+            .sort((a, b) => b.created.block - a.created.block);
+
+        return {
+            total: proposals.length,
+            offset,
+            limit,
+            proposals: proposals.slice(offset, offset + limit).map(proposal => this.view(proposal))
+        };
+    }
+
+    find(id) {
+        const proposal = this.proposals.get(id);
+        return proposal ? this.view(proposal) : null;
+    }
+
+    /**
+     * Votes on a proposal, or every vote by `voter`, newest first
+     */
+    listVotes({ proposalId, voter, support, offset = 0, limit = 100 } = {}) {
+        const wanted = voter ? voter.toLowerCase() : null;
+        const source = proposalId
+            ? Array.from(this.votesFor(proposalId).values())
+            : Array.from(this.votes.values()).flatMap(votes => Array.from(votes.values()));
+        const votes = source
+            .filter(vote =>
+                (!wanted || vote.voter.toLowerCase() === wanted) &&
+                (!support || vote.support === support))
+            .sort((a, b) => b.block - a.block);
+
+        return {
+            total: votes.length,
+            offset,
+            limit,
+            votes: votes.slice(offset, offset + limit)
+        };
+    }
+
+    getStats() {
+        return {
+            chain: this.chain.key,
+            governor: this.options.governorAddress,
+            lastBlock: this.cursor,
+            proposals: this.proposals.size,
+            votes: Array.from(this.votes.values()).reduce((sum, votes) => sum + votes.size, 0),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = { GovernanceIndexer, STATES, SUPPORT };
@@ -0,0 +1,206 @@
+// lib/keeper.js
+const { ethers } = require('ethers');
+const ABIs = require('../abis');
+const { STATES } = require('./governance');
+
+const TaskState = {
+    PENDING: 'pending',       // Waiting for its first or next attempt
+    SUBMITTED: 'submitted',
+    DONE: 'done',
+    FAILED: 'failed',         // Ran out of attempts
+    BLOCKED: 'blocked',       // Calls a target that is not allowed
+    SIMULATED: 'simulated'    // Dry run
+};
+
+/**
+ * Moves successful proposals through the rest of their lifecycle: queues
+ * them when the governor needs it and executes them once queued (after any
+ * timelock eta) or straight away. Proposals come from the governance
+ * indexer, but the governor's own state() decides what is due.
+ *
+ * Transactions go through the governor chain's transaction manager like
+ * bridge relays, and failures are retried with the relay queue's backoff.
+ * Nothing is sent for a proposal unless every target is in
+ * `allowedTargets`.
+ */
+class ProposalKeeper {
+    constructor(relayer, options, retryOptions, logger) {
+        this.relayer = relayer;
+        this.options = options;
+        this.retry = retryOptions;
+        this.logger = logger;
+
+        const { governance } = relayer;
+        this.chain = governance.chain;
+        this.governor = new ethers.Contract(governance.options.governorAddress, ABIs.MultiTokenGovernor, this.chain.signer);
+        this.allowed = new Set(options.allowedTargets.map(target => target.toLowerCase()));
+
+        this.tasks = new Map(); // "<proposal id>:<action>" -> task
+        this.running = false;
+    }
+
+    /**
+     * Restore saved tasks. A transaction in flight at shutdown is sent again
+     * (the governor rejects repeats), and blocked or simulated tasks are
+     * looked at afresh in case the allowlist or dry-run setting changed.
+     */
+    load(tasks = []) {
+        for (const task of tasks) {
+            if ([TaskState.SUBMITTED, TaskState.BLOCKED, TaskState.SIMULATED].includes(task.state)) {
+                task.state = TaskState.PENDING;
+            }
+            this.tasks.set(`${task.proposalId}:${task.action}`, task);
+        }
+    }
+
+    async run() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        try {
+            for (const proposal of this.relayer.governance.proposals.values()) {
+                if (!['succeeded', 'queued'].includes(proposal.state)) {
+                    continue;
+                }
+                try {
+                    await this.process(proposal);
+                } catch (error) {
+                    this.logger.error(`Keeper: proposal ${proposal.id} failed: ${error.message}`);
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async process(proposal) {
+        const action = await this.due(proposal);
+        if (!action) {
+            return;
+        }
+
+        const task = this.task(proposal, action);
+        if (task.state !== TaskState.PENDING || task.nextAttemptAt > this.relayer.clock.now()) {
+            return;
+        }
+
+        const blocked = proposal.targets.filter(target => !this.allowed.has(target.toLowerCase()));
+        if (blocked.length > 0) {
+            task.state = TaskState.BLOCKED;
+            task.lastError = `targets not in keeper.allowedTargets: ${blocked.join(', ')}`;
+            this.save();
+            this.logger.warn(`🚫 Keeper: not ${action === 'queue' ? 'queueing' : 'executing'} proposal ${proposal.id}, ${task.lastError}`);
+            return;
+        }
+
+        const args = [proposal.targets, proposal.values, proposal.calldatas, ethers.id(proposal.description)];
+        if (this.options.dryRun) {
+            return this.simulate(proposal, task, args);
+        }
+        return this.send(proposal, task, args);
+    }
+
+    /**
+     * The action a proposal is ready for right now, if any
+     */
+    async due(proposal) {
+        const state = STATES[Number(await this.governor.state(proposal.id))];
+        if (state === 'succeeded') {
+            return await this.governor.proposalNeedsQueuing(proposal.id) ? 'queue' : 'execute';
+        }
+        if (state === 'queued') {
+            const block = await this.chain.provider.getBlock('latest');
+            return !proposal.eta || BigInt(block.timestamp) >= BigInt(proposal.eta) ? 'execute' : null;
+        }
+        return null;
+    }
+
+    task(proposal, action) {
+        const key = `${proposal.id}:${action}`;
+        if (!this.tasks.has(key)) {
+            this.tasks.set(key, {
+                proposalId: proposal.id,
+                action,
+                state: TaskState.PENDING,
+                attempts: 0,
+                nextAttemptAt: 0,
+                txHash: null,
+                lastError: null,
+                createdAt: this.relayer.clock.now(),
+                updatedAt: this.relayer.clock.now()
+            });
+        }
+        return this.tasks.get(key);
+    }
+
+    async simulate(proposal, task, args) {
+        try {
+            await this.governor[task.action].staticCall(...args);
+            task.lastError = null;
+            this.logger.info(`🧪 Keeper dry run: would ${task.action} proposal ${proposal.id} (targets ${proposal.targets.join(', ')})`);
+        } catch (error) {
+            task.lastError = error.shortMessage || error.message;
+            this.logger.warn(`🧪 Keeper dry run: ${task.action} of proposal ${proposal.id} would fail: ${task.lastError}`);
+        }
+        task.state = TaskState.SIMULATED;
+        task.updatedAt = this.relayer.clock.now();
+        this.save();
+    }
+
+    async send(proposal, task, args) {
+        task.state = TaskState.SUBMITTED;
+        task.attempts++;
+        task.updatedAt = this.relayer.clock.now();
+
+        try {
+            this.logger.info(`Keeper: ${task.action} proposal ${proposal.id} (attempt ${task.attempts}/${this.retry.maxAttempts})...`);
+            const request = await this.governor[task.action].populateTransaction(...args);
+            const receipt = await this.chain.txManager.send(request, this.options.gasLimit, hash => {
+                task.txHash = hash;
+            });
+
+            Object.assign(task, { state: TaskState.DONE, txHash: receipt.hash, lastError: null, updatedAt: this.relayer.clock.now() });
+            this.relayer.alerts.check(`keeper:${proposal.id}`, false);
+            this.logger.info(`✅ Keeper: ${task.action === 'queue' ? 'queued' : 'executed'} proposal ${proposal.id} in block ${receipt.blockNumber}`);
+        } catch (error) {
+            task.lastError = error.shortMessage || error.message;
+            task.updatedAt = this.relayer.clock.now();
+
+            if (task.attempts >= this.retry.maxAttempts) {
+                task.state = TaskState.FAILED;
+                this.logger.error(`Keeper: giving up on ${task.action} of proposal ${proposal.id}: ${task.lastError}`);
+                this.relayer.alerts.check(`keeper:${proposal.id}`, true, {
+                    severity: 'warning',
+                    summary: `Could not ${task.action} proposal ${proposal.id} after ${task.attempts} attempts`,
+                    details: { proposal: proposal.id, action: task.action, error: task.lastError }
+                });
+            } else {
+                const delay = Math.min(this.retry.retryBaseDelay * 2 ** (task.attempts - 1), this.retry.retryMaxDelay);
+                task.state = TaskState.PENDING;
+                task.nextAttemptAt = this.relayer.clock.now() + delay;
+                this.logger.warn(`Keeper: ${task.action} of proposal ${proposal.id} failed (attempt ${task.attempts}/${this.retry.maxAttempts}), retrying in ${delay / 1000}s: ${task.lastError}`);
+            }
+        } finally {
+            this.save();
+        }
+    }
+
+    save() {
+        try {
+            this.relayer.store.transaction(tx => tx.setMeta('keeper', Array.from(this.tasks.values())));
+        } catch (error) {
+            this.logger.error(`Could not save keeper tasks: ${error.message}`);
+        }
+    }
+
+    getStats() {
+        return {
+            dryRun: this.options.dryRun,
+            tasks: Array.from(this.tasks.values())
+        };
+    }
+}
+
+module.exports = { ProposalKeeper, TaskState };
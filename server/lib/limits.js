@@ -0,0 +1,111 @@
+// lib/limits.js
+const { ethers } = require('ethers');
+const { systemClock } = require('./clock');
+
+const MINUTE = 60 * 1000;
+
+const parse = value => (value === null || value === undefined ? null : ethers.parseEther(value));
+
+/**
+ * Circuit breaker for one route: caps the size of a single transfer, the
+ * value relayed per rolling window and the number of relays per minute.
+ * Relays are reserved before they are sent, so concurrent relays cannot
+ * slip past a cap together, and released again if they fail.
+ */
+class RelayLimiter {
+    /**
+     * `defaults` is the top-level limits section; the route's own limits
+     * override it setting by setting
+     */
+    constructor(defaults, overrides = {}, clock = systemClock) {
+        const pick = key => (overrides[key] === null || overrides[key] === undefined ? defaults[key] : overrides[key]);
+
+        this.maxAmount = parse(pick('maxAmount'));
+        this.windowAmount = parse(pick('windowAmount'));
+        this.window = defaults.window;
+        this.relaysPerMinute = pick('relaysPerMinute');
+        this.relays = []; // { at, amount } within the window, oldest first
+        this.clock = clock;
+    }
+
+    /**
+     * Count a relay made before a restart towards the window
+     */
+    record(at, amount) {
+        this.relays.push({ at, amount });
+        this.relays.sort((a, b) => a.at - b.at);
+    }
+
+    /**
+     * Reserve room for a relay of `amount`. Returns { ticket } or, when a
+     * limit would be broken, { breach } describing it. `force` reserves
+     * regardless, for relays an operator approved.
+     */
+    reserve(amount, { force = false, now = this.clock.now() } = {}) {
+        this.prune(now);
+        if (!force) {
+            const breach = this.check(amount, now);
+            if (breach) {
+                return { breach };
+            }
+        }
+
+        const ticket = { at: now, amount };
+        this.relays.push(ticket);
+        return { ticket };
+    }
+
+    release(ticket) {
+        const index = this.relays.indexOf(ticket);
+        if (index !== -1) {
+            this.relays.splice(index, 1);
+        }
+    }
+
+    check(amount, now) {
+        if (this.maxAmount !== null && amount > this.maxAmount) {
+            return `amount ${ethers.formatEther(amount)} exceeds the per-transfer limit of ${ethers.formatEther(this.maxAmount)}`;
+        }
+        if (this.windowAmount !== null) {
+            const total = this.total() + amount;
+            if (total > this.windowAmount) {
+                return `${ethers.formatEther(total)} relayed in ${this.window / MINUTE} minutes would exceed the limit of ${ethers.formatEther(this.windowAmount)}`;
+            }
+        }
+        if (this.relaysPerMinute !== null && this.recent(now) >= this.relaysPerMinute) {
+            return `already ${this.relaysPerMinute} relays in the last minute`;
+        }
+        return null;
+    }
+
+    prune(now) {
+        while (this.relays.length > 0 && this.relays[0].at <= now - this.window) {
+            this.relays.shift();
+        }
+    }
+
+    total() {
+        return this.relays.reduce((sum, relay) => sum + relay.amount, 0n);
+    }
+
+    recent(now) {
+        return this.relays.filter(relay => relay.at > now - MINUTE).length;
+    }
+
+    /**
+     * Current usage against each limit, for /stats
+     */
+    usage(now = this.clock.now()) {
+        this.prune(now);
+        const format = value => (value === null ? null : ethers.formatEther(value));
+        return {
+            maxAmount: format(this.maxAmount),
+            windowAmount: format(this.windowAmount),
+            windowRelayed: format(this.total()),
+            relaysPerMinute: this.relaysPerMinute,
+            relaysLastMinute: this.recent(now)
+        };
+    }
+}
+
+module.exports = RelayLimiter;
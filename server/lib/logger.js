@@ -0,0 +1,28 @@
+// lib/logger.js
+const winston = require('winston');
+
+/**
+ * The relayer's winston logger: plain lines on the console and JSON in
+ * `options.file`, rotated at `options.maxSize` MB
+ */
+function createLogger(options) {
+    return winston.createLogger({
+        level: options.level,
+        format: winston.format.combine(
+            winston.format.timestamp(),
+            winston.format.json()
+        ),
+        transports: [
+            new winston.transports.Console({
+                format: winston.format.simple()
+            }),
+            new winston.transports.File({
+                filename: options.file,
+                maxsize: parseInt(options.maxSize) * 1024 * 1024,
+                maxFiles: options.maxFiles
+            })
+        ]
+    });
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,178 @@
+// lib/metrics.js
+const { ethers } = require('ethers');
+const client = require('prom-client');
+const { systemClock } = require('./clock');
+
+const LATENCY_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+
+/**
+ * Prometheus metrics for the relayer. Counters and histograms are updated as
+ * relays happen; chain, route and queue gauges are read from the relayer on
+ * every scrape so they never go stale between health checks.
+ */
+class RelayerMetrics {
+    constructor(relayer, clock = systemClock) {
+        this.relayer = relayer;
+        this.clock = clock;
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry, prefix: 'relayer_' });
+
+        const registers = [this.registry];
+        const metrics = this;
+
+        this.relays = new client.Counter({
+            name: 'relayer_relays_total',
+            help: 'Relays confirmed on the destination chain',
+            labelNames: ['route'],
+            registers
+        });
+        this.errors = new client.Counter({
+            name: 'relayer_errors_total',
+            help: 'Errors by type (poll, relay, queue, dead_letter, health_check)',
+            labelNames: ['type', 'route'],
+            registers
+        });
+        this.reorgs = new client.Counter({
+            name: 'relayer_reorgs_total',
+            help: 'Chain reorganizations detected',
+            labelNames: ['chain'],
+            registers
+        });
+        this.relayLatency = new client.Histogram({
+            name: 'relayer_relay_latency_seconds',
+            help: 'Time from an event being queued to its relay being confirmed',
+            labelNames: ['route'],
+            buckets: LATENCY_BUCKETS,
+            registers
+        });
+        this.confirmationLatency = new client.Histogram({
+            name: 'relayer_relay_confirmation_seconds',
+            help: 'Time from submitting a relay to its receipt',
+            labelNames: ['route'],
+            buckets: LATENCY_BUCKETS,
+            registers
+        });
+
+        new client.Gauge({
+            name: 'relayer_chain_head_block',
+            help: 'Latest block seen on each chain',
+            labelNames: ['chain'],
+            registers,
+            collect() {
+                for (const chain of metrics.relayer.chains.values()) {
+                    if (chain.health.head !== null) {
+                        this.set({ chain: chain.key }, chain.health.head);
+                    }
+                }
+            }
+        });
+        new client.Gauge({
+            name: 'relayer_wallet_balance_eth',
+            help: 'Relayer account balance on each chain as of the last health check',
+            labelNames: ['chain'],
+            registers,
+            collect() {
+                for (const chain of metrics.relayer.chains.values()) {
+                    if (chain.health.balance !== null) {
+                        this.set({ chain: chain.key }, Number(ethers.formatEther(chain.health.balance)));
+                    }
+                }
+            }
+        });
+        new client.Gauge({
+            name: 'relayer_processed_block',
+            help: 'Last block each route has scanned',
+            labelNames: ['route', 'chain'],
+            registers,
+            collect() {
+                for (const route of metrics.relayer.routes.values()) {
+                    this.set({ route: route.name, chain: route.from.key }, route.cursor);
+                }
+            }
+        });
+        new client.Gauge({
+            name: 'relayer_lag_blocks',
+            help: 'Blocks between each route\'s cursor and its chain head',
+            labelNames: ['route', 'chain'],
+            registers,
+            collect() {
+                for (const route of metrics.relayer.routes.values()) {
+                    const { lag } = metrics.relayer.routeHealth(route);
+                    if (lag !== null) {
+                        this.set({ route: route.name, chain: route.from.key }, lag);
+                    }
+                }
+            }
+        });
+        new client.Gauge({
+            name: 'relayer_route_healthy',
+            help: '1 when a route is polling without errors and within alerts.thresholds.lagBlocks',
+            labelNames: ['route'],
+            registers,
+            collect() {
+                for (const route of metrics.relayer.routes.values()) {
+                    this.set({ route: route.name }, metrics.relayer.routeHealth(route).healthy ? 1 : 0);
+                }
+            }
+        });
+        new client.Gauge({
+            name: 'relayer_queue_depth',
+            help: 'Relay jobs waiting by state (pending, submitted, held, dead_letter)',
+            labelNames: ['state'],
+            registers,
+            collect() {
+                const counts = { pending: 0, submitted: 0, held: 0 };
+                for (const job of metrics.relayer.queue.jobs.values()) {
+                    counts[job.state] = (counts[job.state] || 0) + 1;
+                }
+                for (const [state, count] of Object.entries(counts)) {
+                    this.set({ state }, count);
+                }
+                this.set({ state: 'dead_letter' }, metrics.relayer.queue.deadLetter.size);
+            }
+        });
+        new client.Gauge({
+            name: 'relayer_pending_transactions',
+            help: 'Relay transactions broadcast but not yet mined, per chain',
+            labelNames: ['chain'],
+            registers,
+            collect() {
+                for (const chain of metrics.relayer.chains.values()) {
+                    this.set({ chain: chain.key }, chain.txManager.pending.size);
+                }
+            }
+        });
+        new client.Gauge({
+            name: 'relayer_orphaned_relays',
+            help: 'Relays whose source event was removed by a reorg',
+            registers,
+            collect() {
+                this.set(metrics.relayer.stats.orphanedRelays);
+            }
+        });
+    }
+
+    /**
+     * Record a confirmed relay. `submittedAt` is when this attempt started.
+     */
+    relayed(job, submittedAt) {
+        const now = this.clock.now();
+        this.relays.inc({ route: job.route });
+        this.relayLatency.observe({ route: job.route }, (now - job.createdAt) / 1000);
+        this.confirmationLatency.observe({ route: job.route }, (now - submittedAt) / 1000);
+    }
+
+    error(type, route = '') {
+        this.errors.inc({ type, route });
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    async render() {
+        return this.registry.metrics();
+    }
+}
+
+module.exports = RelayerMetrics;
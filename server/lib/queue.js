@@ -0,0 +1,223 @@
+// lib/queue.js
+const { systemClock } = require('./clock');
+
+const JobState = {
+    PENDING: 'pending',
+    SUBMITTED: 'submitted',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',
+    HELD: 'held'            // broke a relay limit, waiting for an operator
+};
+
+/**
+ * Relay jobs sitting between event discovery and submission.
+ * Failed jobs are retried with exponential backoff and moved to a
+ * dead-letter list once they run out of attempts.
+ */
+class RelayQueue {
+    constructor(options, logger, clock = systemClock) {
+        this.maxAttempts = options.maxAttempts;
+        this.retryBaseDelay = options.retryBaseDelay;
+        this.retryMaxDelay = options.retryMaxDelay;
+        this.logger = logger;
+        this.clock = clock;
+
+        this.jobs = new Map();       // id -> job
+        this.deadLetter = new Map(); // id -> job
+    }
+
+    /**
+     * Restore persisted jobs. Jobs that were mid-submission when the
+     * relayer stopped are retried; the bridges reject duplicates.
+     */
+    load(jobs) {
+        this.jobs = new Map();
+        this.deadLetter = new Map();
+
+        for (const job of jobs || []) {
+            // Jobs queued before routes existed name their route `type`
+            job.route = job.route || job.type;
+            delete job.type;
+
+            if (job.state === JobState.FAILED) {
+                this.deadLetter.set(job.id, job);
+                continue;
+            }
+            if (job.state === JobState.SUBMITTED) {
+                job.state = JobState.PENDING;
+            }
+            this.jobs.set(job.id, job);
+        }
+    }
+
+    toJSON() {
+        return {
+            jobs: Array.from(this.jobs.values()),
+            deadLetter: Array.from(this.deadLetter.values())
+        };
+    }
+
+    has(id) {
+        return this.jobs.has(id) || this.deadLetter.has(id);
+    }
+
+    get(id) {
+        return this.jobs.get(id) || this.deadLetter.get(id);
+    }
+
+    /**
+     * Add a job for a route unless one with the same id is already queued
+     * or dead-lettered
+     */
+    enqueue(route, id, payload) {
+        if (this.has(id)) {
+            return null;
+        }
+
+        const now = this.clock.now();
+        const job = {
+            id,
+            route,
+            payload,
+            state: JobState.PENDING,
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null,
+            txHash: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.jobs.set(id, job);
+        return job;
+    }
+
+    /**
+     * Pending jobs whose backoff has elapsed, oldest first
+     */
+    due(now = this.clock.now()) {
+        return Array.from(this.jobs.values())
+            .filter(job => job.state === JobState.PENDING && job.nextAttemptAt <= now)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    markSubmitted(job) {
+        job.state = JobState.SUBMITTED;
+        job.attempts++;
+        job.updatedAt = this.clock.now();
+    }
+
+    /**
+     * Confirmed jobs leave the queue; the relay history keeps the record
+     */
+    markConfirmed(job, txHash) {
+        job.state = JobState.CONFIRMED;
+        job.txHash = txHash || null;
+        job.updatedAt = this.clock.now();
+        this.jobs.delete(job.id);
+    }
+
+    /**
+     * Schedule a retry, or dead-letter the job once attempts are exhausted.
+     * Returns true when the job was dead-lettered.
+     */
+    markFailed(job, error) {
+        job.lastError = error.message;
+        job.updatedAt = this.clock.now();
+
+        if (job.attempts >= this.maxAttempts) {
+            job.state = JobState.FAILED;
+            this.jobs.delete(job.id);
+            this.deadLetter.set(job.id, job);
+            return true;
+        }
+
+        const delay = Math.min(
+            this.retryBaseDelay * 2 ** (job.attempts - 1),
+            this.retryMaxDelay
+        );
+        job.state = JobState.PENDING;
+        job.nextAttemptAt = this.clock.now() + delay;
+        this.logger.warn(`Job ${job.id} failed (attempt ${job.attempts}/${this.maxAttempts}), retrying in ${delay / 1000}s`);
+        return false;
+    }
+
+    /**
+     * Move a dead-lettered job back to pending with a fresh attempt budget
+     */
+    requeue(id) {
+        const job = this.deadLetter.get(id);
+        if (!job) {
+            return null;
+        }
+
+        this.deadLetter.delete(id);
+        job.state = JobState.PENDING;
+        job.attempts = 0;
+        job.nextAttemptAt = this.clock.now();
+        job.updatedAt = this.clock.now();
+        this.jobs.set(id, job);
+        return job;
+    }
+
+    /**
+     * Keep a job out of the queue until an operator approves it
+     */
+    hold(job, reason) {
+        job.state = JobState.HELD;
+        job.heldReason = reason;
+        job.updatedAt = this.clock.now();
+    }
+
+    /**
+     * Release a held job. It is relayed on the next pass regardless of limits.
+     */
+    approve(id) {
+        const job = this.jobs.get(id);
+        if (!job || job.state !== JobState.HELD) {
+            return null;
+        }
+
+        job.state = JobState.PENDING;
+        job.approved = true;
+        job.heldReason = null;
+        job.nextAttemptAt = this.clock.now();
+        job.updatedAt = this.clock.now();
+        return job;
+    }
+
+    /**
+     * Retry a pending job now instead of waiting out its backoff
+     */
+    retryNow(id) {
+        const job = this.jobs.get(id);
+        if (!job || job.state !== JobState.PENDING) {
+            return null;
+        }
+
+        job.nextAttemptAt = this.clock.now();
+        job.updatedAt = this.clock.now();
+        return job;
+    }
+
+    /**
+     * Remove queued and dead-lettered jobs matching a predicate
+     */
+    discard(predicate) {
+        const removed = [];
+        for (const jobs of [this.jobs, this.deadLetter]) {
+            for (const [id, job] of jobs) {
+                if (predicate(job)) {
+                    jobs.delete(id);
+                    removed.push(job);
+                }
+            }
+        }
+        return removed;
+    }
+
+    depth() {
+        return this.jobs.size;
+    }
+}
+
+module.exports = { RelayQueue, JobState };
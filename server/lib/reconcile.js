@@ -0,0 +1,162 @@
+// lib/reconcile.js
+const { ethers } = require('ethers');
+const ABIs = require('../abis');
+
+/**
+ * Periodically checks that every wrapped token is backed. For each lock
+ * route, the source bridge's token balance must equal the wrapped total
+ * supply plus whatever is still in flight: locks not yet minted and burns
+ * not yet unlocked by the route's unlock routes.
+ *
+ * A deficit (more wrapped than locked) means tokens were minted without
+ * collateral and trips the breaker once it has been seen `breachAfter`
+ * checks in a row, which rides out relays mined but not yet recorded. A
+ * surplus is reported but not acted on; undetected or skipped transfers
+ * and tokens sent straight to the bridge all cause one.
+ */
+class SupplyReconciler {
+    constructor(relayer, options, logger) {
+        this.relayer = relayer;
+        this.options = options;
+        this.tolerance = ethers.parseEther(options.tolerance);
+        this.logger = logger;
+        this.results = {}; // lock route name -> last result
+        this.breaches = {}; // lock route name -> consecutive deficits
+        this.running = false;
+    }
+
+    /**
+     * Lock routes with a wrapped token, and the unlock routes that release
+     * their collateral
+     */
+    pairs() {
+        const routes = Array.from(this.relayer.routes.values());
+        return routes
+            .filter(route => route.config.bridge === 'lock' && route.config.wrappedTokenAddress)
+            .map(lock => ({
+                lock,
+                unlocks: routes.filter(route =>
+                    route.config.bridge === 'unlock' &&
+                    route.to === lock.from &&
+                    route.config.destinationAddress.toLowerCase() === lock.config.sourceAddress.toLowerCase()
+                )
+            }));
+    }
+
+    async run() {
+        if (this.running) {
+            return this.results;
+        }
+        this.running = true;
+
+        try {
+            for (const pair of this.pairs()) {
+                try {
+                    this.results[pair.lock.name] = await this.check(pair);
+                } catch (error) {
+                    this.logger.error(`Reconciliation of ${pair.lock.name} failed: ${error.message}`);
+                    this.results[pair.lock.name] = {
+                        ...this.results[pair.lock.name],
+                        error: error.message,
+                        checkedAt: this.relayer.clock.now()
+                    };
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+        return this.results;
+    }
+
+    async check({ lock, unlocks }) {
+        const token = new ethers.Contract(lock.config.tokenAddress, ABIs.ERC20VotesToken, lock.from.provider);
+        const wrappedToken = new ethers.Contract(lock.config.wrappedTokenAddress, ABIs.WrappedERC20Votes, lock.to.provider);
+
+        const [locked, wrapped] = await Promise.all([
+            token.balanceOf(lock.config.sourceAddress),
+            wrappedToken.totalSupply()
+        ]);
+        const inFlightLocks = this.inFlight([lock.name]);
+        const inFlightUnlocks = this.inFlight(unlocks.map(route => route.name));
+        const drift = locked - wrapped - inFlightLocks - inFlightUnlocks;
+
+        let status = 'ok';
+        if (drift < -this.tolerance) {
+            status = 'deficit';
+        } else if (drift > this.tolerance) {
+            status = 'surplus';
+        }
+
+        const result = {
+            lockRoute: lock.name,
+            unlockRoutes: unlocks.map(route => route.name),
+            locked: ethers.formatEther(locked),
+            wrapped: ethers.formatEther(wrapped),
+            inFlight: {
+                locks: ethers.formatEther(inFlightLocks),
+                unlocks: ethers.formatEther(inFlightUnlocks)
+            },
+            drift: ethers.formatEther(drift),
+            status,
+            error: null,
+            checkedAt: this.relayer.clock.now()
+        };
+
+        this.report(lock, unlocks, result);
+        return result;
+    }
+
+    /**
+     * Value of queued, held and dead-lettered jobs on the given routes
+     */
+    inFlight(routeNames) {
+        const { queue } = this.relayer;
+        let total = 0n;
+        for (const jobs of [queue.jobs, queue.deadLetter]) {
+            for (const job of jobs.values()) {
+                if (routeNames.includes(job.route)) {
+                    total += BigInt(job.payload.amount || 0);
+                }
+            }
+        }
+        return total;
+    }
+
+    report(lock, unlocks, result) {
+        const { alerts } = this.relayer;
+        const summary = `${lock.name}: locked ${result.locked}, wrapped ${result.wrapped}, in flight ${result.inFlight.locks} + ${result.inFlight.unlocks}`;
+
+        if (result.status !== 'deficit') {
+            this.breaches[lock.name] = 0;
+            alerts.check(`supply:${lock.name}`, false);
+            if (result.status === 'surplus') {
+                this.logger.warn(`⚖️  ${summary}: ${result.drift} locked but not wrapped or in flight`);
+            } else {
+                this.logger.info(`⚖️  ${summary}: balanced`);
+            }
+            return;
+        }
+
+        this.breaches[lock.name] = (this.breaches[lock.name] || 0) + 1;
+        this.logger.error(`🚨 ${summary}: wrapped supply exceeds collateral by ${result.drift.replace('-', '')} (${this.breaches[lock.name]}/${this.options.breachAfter})`);
+        if (this.breaches[lock.name] < this.options.breachAfter) {
+            return;
+        }
+
+        const reason = `wrapped supply exceeds locked collateral by ${result.drift.replace('-', '')}`;
+        alerts.check(`supply:${lock.name}`, true, {
+            severity: 'critical',
+            summary: `${lock.name}: ${reason}`,
+            details: { route: lock.name, locked: result.locked, wrapped: result.wrapped, drift: result.drift }
+        });
+        if (this.options.autoPause) {
+            for (const route of [lock, ...unlocks]) {
+                if (!route.paused) {
+                    this.relayer.pause(route.name, { by: 'reconciliation', reason });
+                }
+            }
+        }
+    }
+}
+
+module.exports = SupplyReconciler;
@@ -0,0 +1,1379 @@
+// lib/relayer.js
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+
+const ReorgDetector = require('./reorg');
+const { RelayQueue, JobState } = require('./queue');
+const { createStore } = require('./storage');
+const TransactionManager = require('./tx-manager');
+const { FailoverProvider } = require('./rpc-provider');
+const { BlockRange, queryEvents, queryEventsInChunks } = require('./events');
+const PollScheduler = require('./scheduler');
+const { handlers, resolveRoutes } = require('./routes');
+const { createAggregator, bridgeEntry } = require('./attestation');
+const { createSigner } = require('./signers');
+const { createLogger } = require('./logger');
+const { systemClock } = require('./clock');
+const RelayerMetrics = require('./metrics');
+const AlertManager = require('./alerts');
+const { TransferLookup } = require('./transfers');
+const RelayLimiter = require('./limits');
+const SupplyReconciler = require('./reconcile');
+const { VoteRelay } = require('./votes');
+const { GovernanceIndexer } = require('./governance');
+const { ProposalKeeper } = require('./keeper');
+const ChainSubscription = require('./subscription');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Names of the events a BridgeRelayer emits. Each payload is described in
+ * RelayerEventMap.
+ */
+const RelayerEvents = Object.freeze({
+    TRANSFER_DETECTED: 'transferDetected',
+    LOCK_DETECTED: 'lockDetected',
+    UNLOCK_DETECTED: 'unlockDetected',
+    STOKEN_DETECTED: 'stokenDetected',
+    TRANSFER_HELD: 'transferHeld',
+    RELAY_SUBMITTED: 'relaySubmitted',
+    RELAY_CONFIRMED: 'relayConfirmed',
+    RELAY_FAILED: 'relayFailed',
+    REORG_DETECTED: 'reorgDetected',
+    RELAY_ORPHANED: 'relayOrphaned',
+    HEALTH_CHECK: 'healthCheck'
+});
+
+/**
+ * Event payloads. A Transfer is a transfer as the /transfers API returns it
+ * (see lib/transfers.js).
+ *
+ * @typedef {Object} RelayerEventMap
+ * @property {Transfer} transferDetected  a new event was queued for relaying, on any route
+ * @property {Transfer} lockDetected      the same, on a lock route
+ * @property {Transfer} unlockDetected    the same, on an unlock route
+ * @property {Transfer} stokenDetected    the same, on an STokenBridge route
+ * @property {Transfer} transferHeld      held for approval by a relay limit
+ * @property {Transfer} relaySubmitted    relay transaction broadcast
+ * @property {Transfer} relayConfirmed    relay mined, or already done on the destination
+ * @property {Transfer} relayFailed       relay attempt failed; retried unless dead-lettered
+ * @property {{ chain: string, commonAncestor: number, divergedAt: number, deep: boolean }} reorgDetected
+ * @property {Object} relayOrphaned       relay record, with its `id`, whose source event a reorg removed
+ * @property {Object} healthCheck         per chain and per route summary
+ */
+
+// Bridge type -> its *Detected event
+const DETECTED = {
+    lock: RelayerEvents.LOCK_DETECTED,
+    unlock: RelayerEvents.UNLOCK_DETECTED,
+    stoken: RelayerEvents.STOKEN_DETECTED
+};
+
+/**
+ * Relays bridge events between chains as configured by `cfg` (see
+ * lib/config). Nothing runs until start() is called.
+ *
+ * Everything the relayer talks to is built from the config unless passed
+ * in `deps`:
+ *   logger     winston-style logger (lib/logger.js from `logging`)
+ *   providers  ethers provider per chain key (a FailoverProvider per chain)
+ *   signer     unconnected ethers signer with an `address`; connect() is
+ *              called once per chain (lib/signers from `relayer.signer`)
+ *   store      state store, opened here and closed by stop()
+ *              (lib/storage from `storage`, on the same clock)
+ *   clock      `{ now() }` for timestamps, retries and limit windows
+ *
+ * Emits the events in RelayerEvents.
+ */
+class BridgeRelayer extends EventEmitter {
+    constructor(cfg, deps = {}) {
+        super();
+        this.config = cfg;
+        this.logger = deps.logger || createLogger(cfg.logging);
+        this.clock = deps.clock || systemClock;
+        this.providers = deps.providers || {};
+
+        const { chains, routes } = resolveRoutes(cfg);
+        this.signer = deps.signer || createSigner(cfg.relayer.signer);
+
+        // One provider, signer, nonce manager and reorg detector per chain in use
+        const used = routes.flatMap(route => [route.from, route.to]);
+        if (cfg.votes.enabled) {
+            used.push(cfg.votes.sourceChain, cfg.votes.governorChain);
+        }
+        if (cfg.governance.enabled) {
+            used.push(cfg.governance.chain);
+        }
+        this.chains = new Map();
+        for (const key of new Set(used)) {
+            this.chains.set(key, this.createChain(key, chains[key]));
+        }
+
+        this.routes = new Map();
+        for (const routeConfig of routes) {
+            this.routes.set(routeConfig.name, this.createRoute(routeConfig));
+        }
+
+        // One scheduler per source chain polls its routes in turn, at the
+        // shortest of their intervals
+        for (const chain of this.chains.values()) {
+            const intervals = this.routesFrom(chain).map(route => route.pollInterval);
+            if (intervals.length > 0) {
+                chain.scheduler = new PollScheduler(chain.name, Math.min(...intervals), triggered => this.pollChain(chain, triggered), this.logger, this.clock);
+            }
+        }
+
+        // M-of-N signer attestations replace the relayer's own lock signature
+        this.attestation = null;
+        if (cfg.attestation && cfg.attestation.enabled) {
+            const lockRoutes = Array.from(this.routes.values()).filter(route => route.config.bridge === 'lock');
+            this.attestation = createAggregator(
+                cfg.attestation,
+                lockRoutes.map(route => bridgeEntry(route.config, route.from.config, route.to.config, route.from.provider)),
+                this.logger
+            );
+            lockRoutes.forEach(route => {
+                route.attestor = this.attestation;
+            });
+        }
+
+        // State tracking
+        this.relays = new Map(); // processed id -> relay record, used to flag orphaned events
+        this.queue = new RelayQueue(cfg.queue, this.logger, this.clock);
+        this.processingQueue = false;
+        this.stats = {
+            errors: 0,
+            reorgs: 0,
+            orphanedRelays: 0,
+            startTime: this.clock.now()
+        };
+        this.metrics = new RelayerMetrics(this, this.clock);
+        this.alerts = new AlertManager(cfg.alerts, this.logger, this.clock);
+        this.transfers = new TransferLookup(this);
+        this.reconciler = new SupplyReconciler(this, cfg.reconciliation, this.logger);
+        this.votes = cfg.votes.enabled ? new VoteRelay(this, cfg.votes, this.logger) : null;
+        this.governance = cfg.governance.enabled ? new GovernanceIndexer(this, cfg.governance, cfg.polling, this.logger) : null;
+        this.keeper = cfg.keeper.enabled ? new ProposalKeeper(this, cfg.keeper, cfg.queue, this.logger) : null;
+        
+        // Polling intervals
+        this.queueInterval = null;
+        this.healthCheckInterval = null;
+        this.backupInterval = null;
+        this.reconcileInterval = null;
+        this.voteInterval = null;
+        this.keeperInterval = null;
+        
+        this.store = deps.store || createStore(cfg.storage, this.logger, this.clock);
+        this.store.open();
+        this.loadState();
+    }
+
+    createChain(key, chainConfig) {
+        const provider = this.providers[key] || new FailoverProvider(chainConfig, this.config.rpc, this.logger, this.clock);
+        const signer = this.signer.connect(provider);
+
+        return {
+            key,
+            config: chainConfig,
+            name: chainConfig.name,
+            provider,
+            signer,
+            // Nonce management and stuck transaction replacement
+            txManager: new TransactionManager(
+                signer,
+                provider,
+                { name: chainConfig.name, ...this.config.gas },
+                this.logger,
+                this.clock
+            ),
+            reorgs: new ReorgDetector(provider, chainConfig.name, this.config.polling.reorgDepth, this.logger),
+            // New blocks and logs over WebSocket, when enabled for the chain
+            subscription: this.config.subscriptions.enabled && chainConfig.wsUrl
+                ? new ChainSubscription(chainConfig.name, chainConfig.wsUrl, chainConfig.chainId, this.config.subscriptions, this.logger, this.clock)
+                : null,
+            scheduler: null,
+            health: { head: null, balance: null, error: null }
+        };
+    }
+
+    createRoute(routeConfig) {
+        const handler = handlers[routeConfig.bridge];
+        const from = this.chains.get(routeConfig.from);
+        const to = this.chains.get(routeConfig.to);
+        const source = new ethers.Contract(routeConfig.sourceAddress, handler.sourceAbi, from.signer);
+        const destination = new ethers.Contract(routeConfig.destinationAddress, handler.destinationAbi, to.signer);
+        const event = routeConfig.event || handler.event;
+        const method = routeConfig.method || handler.method;
+
+        if (!source.interface.getEvent(event)) {
+            throw new Error(`Route ${routeConfig.name}: ${routeConfig.bridge} bridges do not emit ${event}`);
+        }
+        if (!destination.interface.getFunction(method)) {
+            throw new Error(`Route ${routeConfig.name}: ${routeConfig.bridge} bridges have no ${method} method`);
+        }
+
+        return {
+            name: routeConfig.name,
+            config: routeConfig,
+            handler,
+            from,
+            to,
+            source,
+            destination,
+            event,
+            method,
+            gasLimit: routeConfig.gasLimit || handler.gasLimit,
+            pollInterval: routeConfig.pollInterval || from.config.pollInterval,
+            attestor: null,
+            paused: null,   // { by, reason, at } while relays are held
+            limiter: new RelayLimiter(this.config.limits, routeConfig.limits, this.clock),
+            processed: new Set(),
+            cursor: 0,
+            range: new BlockRange(this.config.polling),
+            nextPollAt: 0,
+            polling: false,
+            stats: {
+                detected: 0,
+                relayed: 0,
+                skipped: 0,
+                errors: 0,
+                failedRelays: 0,   // consecutive, reset by a successful relay
+                failedPolls: 0,    // consecutive, reset by a successful poll
+                lastPollAt: null,
+                lastError: null
+            }
+        };
+    }
+
+    routesFrom(chain) {
+        return Array.from(this.routes.values()).filter(route => route.from === chain);
+    }
+
+    /**
+     * Look up a route by name, failing loudly for typos in scripts
+     */
+    getRoute(name) {
+        const route = this.routes.get(name);
+        if (!route) {
+            throw new Error(`Unknown route "${name}" (configured: ${Array.from(this.routes.keys()).join(', ')})`);
+        }
+        return route;
+    }
+
+    async start() {
+        const subscribed = Array.from(this.chains.values()).some(chain => chain.subscription);
+        this.logger.info(`=== Bridge Relayer Starting (${subscribed ? 'Subscription' : 'Polling'} Mode) ===`);
+        for (const chain of this.chains.values()) {
+            this.logger.info(`Chain ${chain.key}: ${chain.name} (${chain.config.chainId}), ${chain.config.confirmations || 0} confirmations${chain.subscription ? ', WebSocket subscriptions' : ''}`);
+        }
+        for (const route of this.routes.values()) {
+            this.logger.info(`Route ${route.name}: ${route.from.name} ${route.event} -> ${route.to.name} ${route.method}, polling every ${route.pollInterval / 1000}s`);
+        }
+        this.logger.info(`Relayer: ${this.signer.address} (${this.config.relayer.signer.type} signer)`);
+        if (this.votes) {
+            this.logger.info(`Votes: ${this.votes.source.name} snapshots -> ${this.votes.target.name} vote relay ${this.config.votes.relayAddress} for governor ${this.config.votes.governorAddress}`);
+        }
+        if (this.keeper) {
+            this.logger.info(`Keeper: ${this.config.keeper.dryRun ? 'dry run, ' : ''}${this.keeper.allowed.size} allowed targets`);
+        }
+        if (this.attestation) {
+            this.logger.info(`Lock attestation: ${this.attestation.threshold}-of-${this.attestation.signers.size} signers, ${this.attestation.peers.length} peers`);
+        }
+
+        try {
+            for (const chain of this.chains.values()) {
+                await chain.txManager.init();
+            }
+
+            // Without saved state, look back so events from while we were down are relayed
+            const lookback = this.config.monitoring.blockLookback;
+            for (const route of this.routes.values()) {
+                if (!route.cursor) {
+                    const safeBlock = await this.getSafeBlock(route.from);
+                    route.cursor = Math.max(0, safeBlock - lookback);
+                }
+                this.logger.info(`Route ${route.name} starting from block: ${route.cursor}`);
+            }
+
+            if (this.governance) {
+                await this.governance.start();
+            }
+        } catch (error) {
+            this.logger.error(`Failed to initialize chain state: ${error.message}`);
+            throw error;
+        }
+
+        // Start polling loops, one per source chain. Subscribed chains poll
+        // on their own once the socket is up.
+        for (const chain of this.chains.values()) {
+            if (chain.scheduler) {
+                this.startPolling(chain);
+            }
+        }
+        for (const chain of this.chains.values()) {
+            if (chain.subscription && chain.scheduler) {
+                await this.subscribe(chain);
+            }
+        }
+
+        // Relay queued jobs
+        this.queueInterval = setInterval(
+            () => this.processQueue(),
+            this.config.queue.processInterval
+        );
+
+        // Health check interval
+        this.healthCheckInterval = setInterval(
+            () => this.healthCheck(), 
+            this.config.monitoring.healthCheckInterval
+        );
+
+        // Backup state periodically
+        this.backupInterval = setInterval(
+            () => this.saveState(), 
+            this.config.storage.backupInterval
+        );
+
+        // Check wrapped supply against locked collateral
+        if (this.config.reconciliation.enabled) {
+            this.reconciler.run();
+            this.reconcileInterval = setInterval(
+                () => this.reconciler.run(),
+                this.config.reconciliation.interval
+            );
+        }
+
+        // Relay submitted vote snapshots to the governor
+        if (this.votes) {
+            this.voteInterval = setInterval(
+                () => this.votes.run(),
+                this.config.votes.processInterval
+            );
+        }
+
+        // Queue and execute successful proposals
+        if (this.keeper) {
+            this.keeperInterval = setInterval(
+                () => this.keeper.run(),
+                this.config.keeper.processInterval
+            );
+        }
+
+        this.logger.info('✅ Relayer started successfully');
+    }
+
+    /**
+     * Start polling a chain for its routes' events
+     */
+    startPolling(chain) {
+        this.logger.info(`Starting ${chain.name} polling (${this.routesFrom(chain).map(route => route.name).join(', ')})...`);
+
+        // Poll immediately, then on interval
+        chain.scheduler.start();
+    }
+
+    /**
+     * Poll each of a chain's routes that is due, or all of them when the
+     * scheduler was triggered, one after another. Returns true while any is
+     * still catching up.
+     */
+    async pollChain(chain, triggered) {
+        let behind = false;
+        for (const route of this.routesFrom(chain)) {
+            if (!triggered && this.clock.now() < route.nextPollAt) {
+                continue;
+            }
+            route.nextPollAt = this.clock.now() + route.pollInterval;
+            behind = await this.pollRoute(route) || behind;
+        }
+        return behind;
+    }
+
+    /**
+     * Drive a chain's routes from its WebSocket subscription: poll them on
+     * every new block or watched log, and go back to interval polling
+     * whenever the socket is down
+     */
+    async subscribe(chain) {
+        const routes = this.routesFrom(chain);
+        for (const route of routes) {
+            chain.subscription.watch(route.name, {
+                address: route.config.sourceAddress,
+                topics: await route.source.filters[route.event]().getTopicFilter()
+            });
+        }
+
+        chain.subscription.on('connected', async () => {
+            this.logger.info(`${chain.name}: switching ${routes.length} routes to subscription mode`);
+            chain.scheduler.setTimed(false);
+            for (const route of routes) {
+                await this.catchUp(route);
+            }
+        });
+        chain.subscription.on('disconnected', () => {
+            this.logger.warn(`${chain.name}: falling back to polling until the WebSocket reconnects`);
+            chain.scheduler.setTimed(true);
+        });
+        chain.subscription.on('block', () => chain.scheduler.trigger());
+        chain.subscription.on('log', () => chain.scheduler.trigger());
+
+        chain.subscription.start();
+    }
+
+    /**
+     * Scan everything between a route's cursor and its chain's safe block
+     * in chunks, then move the cursor past it. Run when a subscription
+     * (re)connects, since blocks may have gone by unseen.
+     */
+    async catchUp(route) {
+        // Let a poll already under way finish first
+        while (route.polling) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        route.polling = true;
+
+        try {
+            const chain = route.from;
+
+            // Blocks replaced while the socket was down roll the cursor back
+            // before anything is scanned
+            const reorg = await chain.reorgs.check();
+            if (reorg) {
+                await this.handleReorg(chain, reorg);
+            }
+
+            const fromBlock = route.cursor + 1;
+            const safeBlock = await this.getSafeBlock(chain);
+            if (safeBlock < fromBlock) {
+                return;
+            }
+
+            await this.backfill(route.name, fromBlock, safeBlock);
+            await this.recordProcessedBlock(chain, safeBlock);
+            if (route.cursor === fromBlock - 1) {
+                route.cursor = safeBlock;
+                this.store.transaction(tx => {
+                    tx.setCursor(route.name, safeBlock);
+                    tx.setBlockHashes(chain.key, chain.reorgs.toJSON());
+                });
+            }
+            this.logger.info(`${route.name}: caught up on blocks ${fromBlock}-${safeBlock}`);
+        } catch (error) {
+            this.logger.error(`Error catching up ${route.name} on ${route.from.name}: ${error.message}`);
+            route.stats.lastError = error.message;
+        } finally {
+            route.polling = false;
+        }
+    }
+
+    /**
+     * Latest block deep enough to satisfy the chain's confirmation depth
+     */
+    async getSafeBlock(chain) {
+        const currentBlock = await chain.provider.getBlockNumber();
+        chain.health.head = currentBlock;
+        return Math.max(0, currentBlock - (chain.config.confirmations || 0));
+    }
+
+    /**
+     * Remember the hash of the last block covered by a poll
+     */
+    async recordProcessedBlock(chain, blockNumber) {
+        const block = await chain.provider.getBlock(blockNumber);
+        if (block) {
+            chain.reorgs.record(blockNumber, block.hash);
+        }
+    }
+
+    /**
+     * Poll a route's source chain for new events. Returns true when there
+     * are confirmed blocks left beyond the range polled.
+     */
+    async pollRoute(route) {
+        const chain = route.from;
+
+        // A catch-up may be scanning the route
+        if (route.polling) {
+            return false;
+        }
+        route.polling = true;
+
+        try {
+            const reorg = await chain.reorgs.check();
+            if (reorg) {
+                await this.handleReorg(chain, reorg);
+            }
+
+            const safeBlock = await this.getSafeBlock(chain);
+            route.stats.lastPollAt = this.clock.now();
+            route.stats.lastError = null;
+            route.stats.failedPolls = 0;
+            this.checkPollFailures(route);
+            
+            if (safeBlock <= route.cursor) {
+                this.logger.debug(`${route.name}: No new confirmed blocks (safe: ${safeBlock})`);
+                return false;
+            }
+
+            // The range narrows itself if the provider finds it too large
+            const fromBlock = route.cursor + 1;
+            const { toBlock, events } = await queryEvents(route.source, route.source.filters[route.event](), fromBlock, safeBlock, route.range);
+            const block = await chain.provider.getBlock(toBlock);
+
+            // A reorg since the check above may have replaced blocks already
+            // recorded, which comparing the new ones would not show
+            const reorgDuringPoll = await chain.reorgs.check();
+            if (reorgDuringPoll) {
+                await this.handleReorg(chain, reorgDuringPoll);
+                return true;
+            }
+
+            this.logger.debug(`${route.name}: polled ${chain.name} blocks ${fromBlock} to ${toBlock}`);
+            if (events.length > 0) {
+                this.logger.info(`${route.name}: found ${events.length} ${route.event} events in blocks ${fromBlock}-${toBlock}`);
+            }
+
+            // Queue and persist relays `eventBatchSize` events at a time and
+            // start relaying after each batch, so a busy range does not hold
+            // back its first relays; the queue bounds how many are in flight
+            const { eventBatchSize } = this.config.monitoring;
+            for (let i = 0; i < events.length; i += eventBatchSize) {
+                const jobs = [];
+                for (const event of events.slice(i, i + eventBatchSize)) {
+                    const job = this.processEvent(route, event);
+                    if (job) {
+                        jobs.push(job);
+                    }
+                    chain.reorgs.record(event.blockNumber, event.blockHash);
+                }
+                if (jobs.length > 0) {
+                    this.store.transaction(tx => jobs.forEach(job => tx.putJob(job)));
+                    this.processQueue();
+                }
+            }
+
+            if (block) {
+                chain.reorgs.record(toBlock, block.hash);
+            }
+
+            // An operator may have moved the cursor while this poll was running
+            const moved = route.cursor !== fromBlock - 1;
+
+            if (events.length > 0) {
+                this.store.transaction(tx => {
+                    if (!moved) {
+                        tx.setCursor(route.name, toBlock);
+                    }
+                    tx.setBlockHashes(chain.key, chain.reorgs.toJSON());
+                });
+            }
+
+            // Update last processed block
+            if (!moved) {
+                route.cursor = toBlock;
+            }
+
+            // Take bigger steps while well behind, as after downtime
+            if (safeBlock - toBlock > route.range.size) {
+                route.range.grow();
+            }
+            return toBlock < safeBlock;
+
+        } catch (error) {
+            this.logger.error(`Error polling ${route.name} on ${chain.name}: ${error.message}`);
+            route.stats.errors++;
+            route.stats.failedPolls++;
+            route.stats.lastError = error.message;
+            this.stats.errors++;
+            this.metrics.error('poll', route.name);
+            this.checkPollFailures(route);
+            return false;
+        } finally {
+            route.polling = false;
+        }
+    }
+
+    /**
+     * Queue a relay job for a single event on a route. In dry-run mode the
+     * job is returned without being queued.
+     */
+    processEvent(route, event, { dryRun = false } = {}) {
+        const { handler } = route;
+        const { id, destinationChainId, payload, details } = handler.parse(event, route);
+
+        if (route.processed.has(id) || this.queue.has(id)) {
+            this.logger.debug(`${route.name}: ${handler.label} ${id} already processed`);
+            return;
+        }
+
+        // Several routes may watch one bridge, each for its own destination
+        if (destinationChainId !== undefined && destinationChainId !== route.to.config.chainId) {
+            const log = this.isRoutedElsewhere(route, destinationChainId) ? 'debug' : 'warn';
+            this.logger[log](`${route.name}: chain ID mismatch for ${id}: ${destinationChainId} != ${route.to.config.chainId}`);
+            if (!dryRun) {
+                route.stats.skipped++;
+            }
+            return;
+        }
+
+        this.logger.info(`${handler.icon} New ${handler.label} on ${route.name}: ${id}`);
+        this.logger.info(`  Block: ${event.blockNumber}`);
+        for (const [label, value] of Object.entries(details)) {
+            this.logger.info(`  ${label}: ${value}`);
+        }
+
+        const job = {
+            ...this.eventInfo(event),
+            ...payload
+        };
+        if (dryRun) {
+            return { route: route.name, id, payload: job };
+        }
+        route.stats.detected++;
+        const queued = this.queue.enqueue(route.name, id, job);
+        if (queued) {
+            const transfer = this.transfers.fromJob(queued);
+            this.publish(RelayerEvents.TRANSFER_DETECTED, transfer);
+            this.publish(DETECTED[route.config.bridge], transfer);
+        }
+        return queued;
+    }
+
+    /**
+     * Whether another route relays this route's events to `chainId`
+     */
+    isRoutedElsewhere(route, chainId) {
+        const address = route.config.sourceAddress.toLowerCase();
+        return Array.from(this.routes.values()).some(other =>
+            other !== route &&
+            other.from === route.from &&
+            other.config.sourceAddress.toLowerCase() === address &&
+            other.to.config.chainId === chainId
+        );
+    }
+
+    /**
+     * Scan a block range of a route's source chain and queue relays for any
+     * events that were missed. Jobs are persisted but the route's cursor is
+     * left alone.
+     */
+    async backfill(routeName, fromBlock, toBlock, { dryRun = false } = {}) {
+        const route = this.getRoute(routeName);
+        const filter = route.source.filters[route.event]();
+        const summary = { events: 0, queued: 0, skipped: 0, jobs: [] };
+
+        this.logger.info(`Backfilling ${route.name} ${route.event} events in blocks ${fromBlock}-${toBlock}${dryRun ? ' (dry run)' : ''}`);
+
+        const chunks = queryEventsInChunks(route.source, filter, fromBlock, toBlock, route.range);
+        for await (const chunk of chunks) {
+            this.logger.debug(`Found ${chunk.events.length} events in blocks ${chunk.fromBlock}-${chunk.toBlock}`);
+
+            const jobs = [];
+            for (const event of chunk.events) {
+                const job = this.processEvent(route, event, { dryRun });
+                if (job) {
+                    jobs.push(job);
+                } else {
+                    summary.skipped++;
+                }
+            }
+
+            if (!dryRun && jobs.length > 0) {
+                this.store.transaction(tx => jobs.forEach(job => tx.putJob(job)));
+            }
+            summary.events += chunk.events.length;
+            summary.queued += jobs.length;
+            summary.jobs.push(...jobs);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Where an event came from, kept with its job for reorg handling
+     */
+    eventInfo(event) {
+        return {
+            eventTxHash: event.transactionHash,
+            blockNumber: event.blockNumber,
+            blockHash: event.blockHash
+        };
+    }
+
+    /**
+     * Relay every job whose retry delay has elapsed
+     */
+    async processQueue() {
+        if (this.processingQueue) {
+            return;
+        }
+        this.processingQueue = true;
+
+        try {
+            // Nonces are assigned locally, so several relays can be in flight at once
+            const jobs = this.queue.due().filter(job => {
+                const route = this.routes.get(job.route);
+                return !(route && route.paused);
+            });
+            const workers = Array.from(
+                { length: Math.min(this.config.queue.concurrency, jobs.length) },
+                async () => {
+                    while (jobs.length > 0) {
+                        await this.runJob(jobs.shift());
+                    }
+                }
+            );
+            await Promise.all(workers);
+        } catch (error) {
+            // Called from timers and polls that do not wait on it
+            this.stats.errors++;
+            this.metrics.error('queue');
+            this.logger.error(`Error processing the relay queue: ${error.message}`);
+        } finally {
+            this.processingQueue = false;
+        }
+    }
+
+    /**
+     * Submit a single relay job and record its outcome
+     */
+    async runJob(job) {
+        const route = this.routes.get(job.route);
+        if (route && route.paused) {
+            return; // paused while this job waited for a worker
+        }
+
+        let ticket = null;
+        if (route) {
+            const reservation = route.limiter.reserve(BigInt(job.payload.amount || 0), { force: job.approved });
+            if (reservation.breach) {
+                this.hold(route, job, reservation.breach);
+                return;
+            }
+            ticket = reservation.ticket;
+        }
+
+        this.queue.markSubmitted(job);
+        const submittedAt = this.clock.now();
+
+        try {
+            if (!route) {
+                throw new Error(`Route ${job.route} is not configured`);
+            }
+            const receipt = await this.relay(route, job);
+
+            route.processed.add(job.id);
+            route.stats.relayed++;
+            route.stats.failedRelays = 0;
+            this.checkRelayFailures(route, job);
+            this.metrics.relayed(job, submittedAt);
+
+            this.queue.markConfirmed(job, receipt ? receipt.hash : null);
+            const relay = this.recordRelay(job, receipt);
+            this.store.transaction(tx => {
+                tx.markProcessed(job.route, job.id);
+                tx.putRelay(job.id, relay);
+                tx.deleteJob(job.id);
+            });
+            this.logger.info(`✅ ${job.route} ${job.id} relayed successfully`);
+            this.publish(RelayerEvents.RELAY_CONFIRMED, this.transfers.fromRelay(job.id, relay));
+
+        } catch (error) {
+            this.logger.error(`❌ Error relaying ${job.route} ${job.id}: ${error.message}`);
+            this.stats.errors++;
+            this.metrics.error('relay', job.route);
+            if (ticket) {
+                route.limiter.release(ticket);
+            }
+            if (route) {
+                route.stats.errors++;
+                route.stats.failedRelays++;
+                this.checkRelayFailures(route, job, error);
+            }
+
+            if (this.queue.markFailed(job, error)) {
+                this.logger.error(`🚨 ${job.route} ${job.id} moved to dead-letter list after ${job.attempts} attempts`);
+                this.metrics.error('dead_letter', job.route);
+                this.checkDeadLetters();
+            }
+            this.store.transaction(tx => tx.putJob(job));
+            this.publish(RelayerEvents.RELAY_FAILED, this.transfers.fromJob(job));
+        }
+    }
+
+    /**
+     * Hold a job that would break one of the route's limits until an
+     * operator approves it, and trip the breaker on the route
+     */
+    hold(route, job, reason) {
+        this.queue.hold(job, reason);
+        this.store.transaction(tx => tx.putJob(job));
+        this.logger.warn(`🛑 ${route.name}: holding ${job.id} for approval: ${reason}`);
+        this.publish(RelayerEvents.TRANSFER_HELD, this.transfers.fromJob(job));
+
+        this.alerts.check(`limit:${route.name}`, true, {
+            severity: 'critical',
+            summary: `${route.name} tripped a relay limit: ${reason}`,
+            details: { route: route.name, transfer: job.id, reason }
+        });
+        if (this.config.limits.autoPause && !route.paused) {
+            this.pause(route.name, { by: 'circuit-breaker', reason });
+        }
+    }
+
+    /**
+     * Let a held job go out on the next pass, past the route's limits
+     */
+    approve(id, { by }) {
+        const job = this.queue.approve(id);
+        if (job) {
+            this.store.transaction(tx => tx.putJob(job));
+            this.logger.warn(`👍 ${job.route} ${id} approved by ${by}`);
+        }
+        return job;
+    }
+
+    /**
+     * Emit an event without letting a listener's error derail relaying
+     */
+    publish(name, data) {
+        try {
+            this.emit(name, data);
+        } catch (error) {
+            this.logger.error(`${name} listener failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Call the route's relay method on its destination chain. Relays the
+     * destination bridge has already seen count as done.
+     */
+    async relay(route, job) {
+        const args = await route.handler.args(job, route);
+
+        try {
+            this.logger.info(`Relaying ${route.handler.label} to ${route.to.name} via ${route.method}...`);
+
+            const request = await route.destination[route.method].populateTransaction(...args);
+            const receipt = await route.to.txManager.send(request, route.gasLimit, hash => {
+                job.txHash = hash;
+                this.publish(RelayerEvents.RELAY_SUBMITTED, this.transfers.fromJob(job));
+            });
+            this.logger.info(`Confirmed in block ${receipt.blockNumber}`);
+
+            return receipt;
+
+        } catch (error) {
+            if (this.isAlreadyProcessed(route, error)) {
+                this.logger.warn(`${route.name}: ${job.id} already processed on ${route.to.name}`);
+                return;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Whether a relay was rejected because the destination has already seen
+     * it, by a revert reason or a custom error of that name. Nodes return a
+     * custom error only as revert data, so its selector is compared.
+     */
+    isAlreadyProcessed(route, error) {
+        const { alreadyProcessed } = route.handler;
+        if (error.message.includes(alreadyProcessed)) {
+            return true;
+        }
+        if (!/^\w+$/.test(alreadyProcessed) || !ethers.isHexString(error.data)) {
+            return false;
+        }
+        try {
+            return ethers.dataLength(error.data) >= 4 &&
+                ethers.dataSlice(error.data, 0, 4) === ethers.id(`${alreadyProcessed}()`).slice(0, 10);
+        } catch {
+            return false; // malformed revert data; let the original error through
+        }
+    }
+
+    /**
+     * Move a dead-lettered job back into the queue, or retry a pending one
+     * without waiting out its backoff
+     */
+    requeue(id) {
+        const job = this.queue.requeue(id) || this.queue.retryNow(id);
+        if (job) {
+            this.logger.info(`Requeued ${job.route} ${id}`);
+            this.store.transaction(tx => tx.putJob(job));
+            this.checkDeadLetters();
+        }
+        return job;
+    }
+
+    /**
+     * Drop a queued or dead-lettered transfer for good. It is marked
+     * processed so polling and backfills never queue it again.
+     */
+    skip(id, { by, reason }) {
+        const job = this.queue.get(id);
+        if (!job) {
+            return null;
+        }
+        if (job.state === JobState.SUBMITTED) {
+            throw new Error(`${id} is being relayed right now`);
+        }
+
+        this.queue.discard(queued => queued.id === id);
+        const route = this.routes.get(job.route);
+        if (route) {
+            route.processed.add(id);
+            route.stats.skipped++;
+        }
+
+        const relay = this.recordRelay(job, null);
+        relay.skipped = { by, reason, at: relay.relayedAt };
+        this.store.transaction(tx => {
+            tx.markProcessed(job.route, id);
+            tx.putRelay(id, relay);
+            tx.deleteJob(id);
+        });
+        this.checkDeadLetters();
+        this.logger.warn(`⏭️  Skipped ${job.route} ${id} (${by}${reason ? `: ${reason}` : ''})`);
+        return relay;
+    }
+
+    /**
+     * Hold relays on a route. Its events are still detected and queued, and
+     * go out once the route is resumed.
+     */
+    pause(name, { by, reason }) {
+        const route = this.getRoute(name);
+        route.paused = { by, reason: reason || null, at: this.clock.now() };
+        this.store.transaction(tx => tx.setMeta('paused', this.pausedRoutes()));
+        this.logger.warn(`⏸️  ${route.name} paused by ${by}${reason ? `: ${reason}` : ''}`);
+        return route.paused;
+    }
+
+    resume(name, { by }) {
+        const route = this.getRoute(name);
+        const paused = route.paused;
+        route.paused = null;
+        this.store.transaction(tx => tx.setMeta('paused', this.pausedRoutes()));
+        this.alerts.check(`limit:${route.name}`, false);
+        this.logger.info(`▶️  ${route.name} resumed by ${by}`);
+        return paused;
+    }
+
+    pausedRoutes() {
+        return Object.fromEntries(Array.from(this.routes.values())
+            .filter(route => route.paused)
+            .map(route => [route.name, route.paused]));
+    }
+
+    /**
+     * Move a route's cursor. Rewinding rescans blocks on the next poll;
+     * events that were already relayed are skipped as processed.
+     */
+    setCursor(name, block) {
+        const route = this.getRoute(name);
+        const previous = route.cursor;
+        route.cursor = block;
+        this.store.transaction(tx => tx.setCursor(route.name, block));
+        this.logger.warn(`${route.name}: cursor moved from block ${previous} to ${block}`);
+        return previous;
+    }
+
+    /**
+     * Remember which event block a relay was based on
+     */
+    recordRelay(job, receipt) {
+        const { eventTxHash, blockNumber, blockHash, ...event } = job.payload;
+        const relay = {
+            route: job.route,
+            eventTxHash,
+            blockNumber,
+            blockHash,
+            event,
+            relayTxHash: receipt ? receipt.hash : null,
+            relayBlockNumber: receipt ? receipt.blockNumber : null,
+            attempts: job.attempts,
+            queuedAt: job.createdAt,
+            relayedAt: this.clock.now(),
+            orphaned: false
+        };
+        this.relays.set(job.id, relay);
+        return relay;
+    }
+
+    /**
+     * Roll back the cursors of every route reading from a chain after a reorg
+     * and flag relays whose source events are no longer canonical
+     */
+    async handleReorg(chain, { commonAncestor, divergedAt, deep }) {
+        const affected = Array.from(this.routes.values()).filter(route => route.from === chain);
+        const names = new Set(affected.map(route => route.name));
+
+        this.stats.reorgs++;
+        this.metrics.reorgs.inc({ chain: chain.key });
+        this.logger.warn(`⚠️  Reorg on ${chain.name}: block ${divergedAt} replaced, rolling back to block ${commonAncestor}`);
+        if (deep) {
+            this.logger.warn(`⚠️  Reorg is deeper than the ${this.config.polling.reorgDepth} tracked blocks`);
+        }
+        this.publish(RelayerEvents.REORG_DETECTED, { chain: chain.key, commonAncestor, divergedAt, deep });
+
+        for (const route of affected) {
+            route.cursor = Math.min(route.cursor, commonAncestor);
+        }
+
+        // Unrelayed jobs from replaced blocks are rediscovered if still canonical
+        const dropped = this.queue.discard(job =>
+            names.has(job.route) && job.payload.blockNumber > commonAncestor
+        );
+        if (dropped.length > 0) {
+            this.logger.warn(`Dropped ${dropped.length} queued jobs from replaced blocks`);
+        }
+
+        const updated = [];
+        for (const [id, relay] of this.relays) {
+            if (!names.has(relay.route) || relay.orphaned || relay.blockNumber <= commonAncestor) {
+                continue;
+            }
+            updated.push(id);
+
+            // The event transaction may simply have been re-included in another block
+            const receipt = await chain.provider.getTransactionReceipt(relay.eventTxHash);
+            if (receipt) {
+                relay.blockNumber = receipt.blockNumber;
+                relay.blockHash = receipt.blockHash;
+                this.logger.info(`${relay.route} ${id} re-included in block ${receipt.blockNumber}`);
+                continue;
+            }
+
+            relay.orphaned = true;
+            this.stats.orphanedRelays++;
+            this.logger.error(`🚨 ${relay.route} ${id} was relayed in ${relay.relayTxHash || 'an earlier transaction'} but its event was orphaned by the reorg`);
+            this.publish(RelayerEvents.RELAY_ORPHANED, { id, ...relay });
+        }
+
+        this.store.transaction(tx => {
+            affected.forEach(route => tx.setCursor(route.name, route.cursor));
+            tx.setBlockHashes(chain.key, chain.reorgs.toJSON());
+            dropped.forEach(job => tx.deleteJob(job.id));
+            updated.forEach(id => tx.putRelay(id, this.relays.get(id)));
+            tx.setMeta('stats', this.persistentStats());
+        });
+    }
+
+    /**
+     * Check each chain and route on its own, so one unreachable RPC does
+     * not hide the state of the others
+     */
+    async healthCheck() {
+        const { thresholds } = this.config.alerts;
+        const minBalance = ethers.parseEther(thresholds.lowBalance);
+        const uptimeSeconds = Math.floor((this.clock.now() - this.stats.startTime) / 1000);
+
+        this.logger.info('=== Health Check ===');
+
+        for (const chain of this.chains.values()) {
+            try {
+                const head = await chain.provider.getBlockNumber();
+                const balance = await chain.provider.getBalance(this.signer.address);
+                chain.health = { head, balance, error: null };
+
+                this.logger.info(`${chain.name}: block ${head}, balance ${ethers.formatEther(balance)} ETH`);
+                if (balance < minBalance) {
+                    this.logger.warn(`⚠️  ${chain.name} wallet balance is low!`);
+                }
+                this.alerts.check(`low_balance:${chain.key}`, balance < minBalance, {
+                    severity: balance === 0n ? 'critical' : 'warning',
+                    summary: `Relayer balance on ${chain.name} is ${ethers.formatEther(balance)} ETH`,
+                    details: {
+                        chain: chain.name,
+                        account: this.signer.address,
+                        balance: ethers.formatEther(balance),
+                        threshold: thresholds.lowBalance
+                    }
+                });
+                this.alerts.check(`chain_unreachable:${chain.key}`, false);
+            } catch (error) {
+                chain.health = { ...chain.health, error: error.message };
+                this.metrics.error('health_check');
+                this.logger.error(`Health check failed for ${chain.name}: ${error.message}`);
+                this.alerts.check(`chain_unreachable:${chain.key}`, true, {
+                    severity: 'critical',
+                    summary: `${chain.name} RPC is unreachable`,
+                    details: { chain: chain.name, error: error.message }
+                });
+            }
+
+            const stuck = chain.txManager.getStats().pending.filter(tx => tx.stuck);
+            this.alerts.check(`stuck_transactions:${chain.key}`, stuck.length > 0, {
+                severity: 'critical',
+                summary: `${stuck.length} transaction(s) stuck on ${chain.name}, fees are no longer raised`,
+                details: {
+                    chain: chain.name,
+                    account: this.signer.address,
+                    nonces: stuck.map(tx => tx.nonce).join(', '),
+                    maxFeePerGas: this.config.gas.maxFeePerGas
+                }
+            });
+        }
+
+        for (const route of this.routes.values()) {
+            const { lag, healthy } = this.routeHealth(route);
+            this.logger.info(`${route.name}: last processed ${route.cursor} (lag: ${lag === null ? 'unknown' : lag}), relayed ${route.stats.relayed}, errors ${route.stats.errors}`);
+
+            // Warn if falling behind
+            if (!healthy) {
+                this.logger.warn(`⚠️  ${route.name} is unhealthy${lag > thresholds.lagBlocks ? `: ${lag} blocks behind` : ''}${route.stats.lastError ? `: ${route.stats.lastError}` : ''}`);
+            }
+            this.alerts.check(`lag:${route.name}`, lag !== null && lag > thresholds.lagBlocks, {
+                severity: 'warning',
+                summary: `${route.name} is ${lag} blocks behind ${route.from.name}`,
+                details: { route: route.name, chain: route.from.name, lag, threshold: thresholds.lagBlocks }
+            });
+        }
+        this.checkDeadLetters();
+
+        this.logger.info(`Errors: ${this.stats.errors}`);
+        this.logger.info(`Uptime: ${uptimeSeconds}s`);
+        this.logger.info('==================');
+
+        this.publish(RelayerEvents.HEALTH_CHECK, {
+            chains: Object.fromEntries(Array.from(this.chains.values(), ({ key, name, health }) => [key, {
+                name,
+                head: health.head,
+                balance: health.balance === null ? null : ethers.formatEther(health.balance),
+                error: health.error
+            }])),
+            routes: Object.fromEntries(Array.from(this.routes.values(), route => [route.name, {
+                lastBlock: route.cursor,
+                ...this.routeHealth(route)
+            }])),
+            queuedJobs: this.queue.depth(),
+            deadLetterJobs: this.queue.deadLetter.size,
+            alerts: this.alerts.active(),
+            uptime: uptimeSeconds
+        });
+    }
+
+    /**
+     * Blocks a route is behind its source chain as of the last health check
+     */
+    routeHealth(route) {
+        const { head, error } = route.from.health;
+        const lag = head === null ? null : Math.max(0, head - route.cursor);
+        const healthy = !error && !route.stats.lastError &&
+            (lag === null || lag <= this.config.alerts.thresholds.lagBlocks);
+        return { lag, healthy };
+    }
+
+    checkPollFailures(route) {
+        const threshold = this.config.alerts.thresholds.pollFailures;
+        this.alerts.check(`poll_failures:${route.name}`, route.stats.failedPolls >= threshold, {
+            severity: 'warning',
+            summary: `${route.name} failed to poll ${route.from.name} ${route.stats.failedPolls} times in a row`,
+            details: { route: route.name, chain: route.from.name, failures: route.stats.failedPolls, error: route.stats.lastError }
+        });
+    }
+
+    checkRelayFailures(route, job, error) {
+        const threshold = this.config.alerts.thresholds.relayFailures;
+        this.alerts.check(`relay_failures:${route.name}`, route.stats.failedRelays >= threshold, {
+            severity: 'critical',
+            summary: `${route.name} relays to ${route.to.name} failed ${route.stats.failedRelays} times in a row`,
+            details: { route: route.name, chain: route.to.name, failures: route.stats.failedRelays, lastJob: job.id, error: error && error.message }
+        });
+    }
+
+    checkDeadLetters() {
+        const count = this.queue.deadLetter.size;
+        this.alerts.check('dead_letter', count >= this.config.alerts.thresholds.deadLetterJobs, {
+            severity: 'critical',
+            summary: `${count} relay jobs are in the dead-letter list`,
+            details: { jobs: Array.from(this.queue.deadLetter.keys()).slice(0, 10).join(', ') }
+        });
+    }
+
+    loadState() {
+        const fs = require('fs');
+        const { retentionDays, legacyFile } = this.config.storage;
+
+        if (this.store.isEmpty() && legacyFile && fs.existsSync(legacyFile)) {
+            this.logger.warn(`Found ${legacyFile} but the state store is empty; run \`npm run migrate\` to import it`);
+        }
+
+        if (retentionDays) {
+            const removed = this.store.prune(this.clock.now() - retentionDays * DAY);
+            if (removed > 0) {
+                this.logger.info(`Pruned ${removed} state entries older than ${retentionDays} days`);
+            }
+        }
+
+        const state = this.store.load();
+        for (const route of this.routes.values()) {
+            route.processed = new Set(state.processed[route.name] || []);
+            // Cursors used to be kept per chain
+            route.cursor = state.cursors[route.name] || state.cursors[route.from.key] || 0;
+        }
+        for (const chain of this.chains.values()) {
+            chain.reorgs.load(state.blockHashes[chain.key]);
+        }
+        this.relays = new Map(Object.entries(state.relays).map(([id, relay]) => {
+            // Relays recorded before routes existed name their route `direction`
+            const { direction, ...record } = relay;
+            return [id, { route: direction, ...record }];
+        }));
+
+        // Relays from before a restart still count towards the limit windows
+        const windowStart = this.clock.now() - this.config.limits.window;
+        for (const relay of this.relays.values()) {
+            const route = this.routes.get(relay.route);
+            if (route && !relay.skipped && relay.relayedAt > windowStart && relay.event && relay.event.amount) {
+                route.limiter.record(relay.relayedAt, BigInt(relay.event.amount));
+            }
+        }
+        this.queue.load(state.jobs);
+        if (this.governance) {
+            this.governance.load(state);
+        }
+        if (this.keeper) {
+            this.keeper.load(state.meta.keeper);
+        }
+        if (this.votes) {
+            this.votes.load(state.meta.votes, retentionDays ? this.clock.now() - retentionDays * DAY : 0);
+        }
+        Object.assign(this.stats, state.meta.stats);
+        for (const [name, paused] of Object.entries(state.meta.paused || {})) {
+            if (this.routes.has(name)) {
+                this.routes.get(name).paused = paused;
+                this.logger.warn(`⏸️  Route ${name} is paused (by ${paused.by}${paused.reason ? `: ${paused.reason}` : ''})`);
+            }
+        }
+
+        for (const route of this.routes.values()) {
+            this.logger.info(`Route ${route.name}: ${route.processed.size} processed, resuming from block ${route.cursor}`);
+        }
+        this.logger.info(`Loaded ${this.queue.depth()} queued jobs`);
+    }
+
+    /**
+     * Counters that survive restarts
+     */
+    persistentStats() {
+        return {
+            reorgs: this.stats.reorgs,
+            orphanedRelays: this.stats.orphanedRelays
+        };
+    }
+
+    saveState() {
+        try {
+            this.store.transaction(tx => {
+                for (const route of this.routes.values()) {
+                    tx.setCursor(route.name, route.cursor);
+                }
+                for (const chain of this.chains.values()) {
+                    tx.setBlockHashes(chain.key, chain.reorgs.toJSON());
+                }
+                tx.setMeta('stats', this.persistentStats());
+            });
+            this.logger.debug('State saved to disk');
+            return true;
+        } catch (error) {
+            this.logger.error(`Could not save state: ${error.message}`);
+            return false;
+        }
+    }
+
+    getStats() {
+        const chains = {};
+        for (const chain of this.chains.values()) {
+            const { head, balance, error } = chain.health;
+            chains[chain.key] = {
+                name: chain.name,
+                chainId: chain.config.chainId,
+                head,
+                balance: balance === null ? null : ethers.formatEther(balance),
+                error,
+                rpc: chain.provider.getStats ? chain.provider.getStats() : null,
+                scheduler: chain.scheduler ? chain.scheduler.getStats() : null,
+                subscription: chain.subscription ? chain.subscription.getStats() : null,
+                transactions: chain.txManager.getStats()
+            };
+        }
+
+        const routes = {};
+        for (const route of this.routes.values()) {
+            routes[route.name] = {
+                from: route.from.key,
+                to: route.to.key,
+                bridge: route.config.bridge,
+                event: route.event,
+                method: route.method,
+                lastBlock: route.cursor,
+                blockRange: route.range.size,
+                processed: route.processed.size,
+                paused: route.paused,
+                limits: route.limiter.usage(),
+                ...route.stats,
+                ...this.routeHealth(route)
+            };
+        }
+
+        return {
+            ...this.stats,
+            uptime: Math.floor((this.clock.now() - this.stats.startTime) / 1000),
+            queuedJobs: this.queue.depth(),
+            deadLetterJobs: this.queue.deadLetter.size,
+            chains,
+            routes,
+            alerts: this.alerts.active(),
+            reconciliation: this.reconciler.results,
+            votes: this.votes ? this.votes.stats() : null,
+            governance: this.governance ? this.governance.getStats() : null,
+            keeper: this.keeper ? this.keeper.getStats() : null,
+            orphaned: Array.from(this.relays)
+                .filter(([, relay]) => relay.orphaned)
+                .map(([id, relay]) => ({ id, ...relay }))
+        };
+    }
+
+    stop() {
+        this.logger.info('Stopping relayer...');
+        
+        for (const chain of this.chains.values()) {
+            if (chain.scheduler) {
+                chain.scheduler.stop();
+            }
+            if (chain.subscription) {
+                chain.subscription.stop();
+            }
+        }
+        if (this.queueInterval) {
+            clearInterval(this.queueInterval);
+        }
+        if (this.healthCheckInterval) {
+            clearInterval(this.healthCheckInterval);
+        }
+        if (this.backupInterval) {
+            clearInterval(this.backupInterval);
+        }
+        if (this.reconcileInterval) {
+            clearInterval(this.reconcileInterval);
+        }
+        if (this.voteInterval) {
+            clearInterval(this.voteInterval);
+        }
+        if (this.keeperInterval) {
+            clearInterval(this.keeperInterval);
+        }
+        if (this.governance) {
+            this.governance.stop();
+        }
+        
+        this.saveState();
+        this.store.close();
+        this.logger.info('Relayer stopped');
+    }
+}
+
+module.exports = { BridgeRelayer, RelayerEvents };
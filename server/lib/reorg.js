@@ -0,0 +1,82 @@
+// lib/reorg.js
+
+/**
+ * Remembers the hashes of blocks the relayer has processed on one chain
+ * and detects when the canonical chain stops agreeing with them.
+ */
+class ReorgDetector {
+    constructor(provider, name, depth, logger) {
+        this.provider = provider;
+        this.name = name;
+        this.depth = depth;
+        this.logger = logger;
+        this.hashes = new Map(); // blockNumber -> blockHash
+    }
+
+    /**
+     * Restore hashes persisted by toJSON()
+     */
+    load(entries) {
+        this.hashes = new Map(
+            Object.entries(entries || {}).map(([number, hash]) => [Number(number), hash])
+        );
+    }
+
+    toJSON() {
+        return Object.fromEntries(this.hashes);
+    }
+
+    /**
+     * Record a processed block, keeping only the most recent `depth` entries
+     */
+    record(blockNumber, blockHash) {
+        this.hashes.set(blockNumber, blockHash);
+
+        const numbers = Array.from(this.hashes.keys()).sort((a, b) => a - b);
+        while (numbers.length > this.depth) {
+            this.hashes.delete(numbers.shift());
+        }
+    }
+
+    /**
+     * Compare recorded hashes with the chain. Returns null when the latest
+     * recorded block is still canonical, otherwise the newest recorded block
+     * that still matches (the common ancestor) and the block that diverged.
+     */
+    async check() {
+        const numbers = Array.from(this.hashes.keys()).sort((a, b) => b - a);
+        if (numbers.length === 0) {
+            return null;
+        }
+
+        const latest = await this.provider.getBlock(numbers[0]);
+        if (latest && latest.hash === this.hashes.get(numbers[0])) {
+            return null;
+        }
+
+        this.logger.warn(`⚠️  ${this.name}: block ${numbers[0]} hash changed, searching for common ancestor`);
+
+        for (const number of numbers.slice(1)) {
+            const block = await this.provider.getBlock(number);
+            if (block && block.hash === this.hashes.get(number)) {
+                this.forgetAbove(number);
+                return { commonAncestor: number, divergedAt: numbers[0], deep: false };
+            }
+        }
+
+        // Every tracked block changed; rewind to just before the oldest one
+        const oldest = numbers[numbers.length - 1];
+        this.hashes.clear();
+        return { commonAncestor: oldest - 1, divergedAt: numbers[0], deep: true };
+    }
+
+    forgetAbove(blockNumber) {
+        for (const number of this.hashes.keys()) {
+            if (number > blockNumber) {
+                this.hashes.delete(number);
+            }
+        }
+    }
+}
+
+module.exports = ReorgDetector;
@@ -0,0 +1,54 @@
+// lib/routes/index.js
+
+/**
+ * Bridge types a route can use. Each handler knows its contracts' ABIs, the
+ * event it watches, the relay method it calls and how to turn one into the
+ * other.
+ */
+const handlers = {
+    lock: require('./lock'),
+    unlock: require('./unlock'),
+    stoken: require('./stoken')
+};
+
+/**
+ * Chains and enabled routes from the config, checked for typos before any
+ * connection is made
+ */
+function resolveRoutes(cfg) {
+    const { chains, routes } = cfg;
+    const names = new Set();
+    const enabled = routes.filter(route => route.enabled !== false);
+
+    for (const route of enabled) {
+        if (!route.name || names.has(route.name)) {
+            throw new Error(`Route names must be unique and non-empty (got "${route.name}")`);
+        }
+        names.add(route.name);
+
+        if (!handlers[route.bridge]) {
+            throw new Error(`Route ${route.name}: unknown bridge type "${route.bridge}" (expected ${Object.keys(handlers).join(', ')})`);
+        }
+        for (const key of [route.from, route.to]) {
+            if (!chains[key]) {
+                throw new Error(`Route ${route.name}: chain "${key}" is not defined in chains`);
+            }
+        }
+        if (route.from === route.to) {
+            throw new Error(`Route ${route.name}: source and destination chain are the same`);
+        }
+        if (!route.sourceAddress || !route.destinationAddress) {
+            throw new Error(`Route ${route.name}: sourceAddress and destinationAddress are required`);
+        }
+        if (route.bridge === 'lock' && !route.tokenAddress) {
+            throw new Error(`Route ${route.name}: lock routes need the tokenAddress signed into relays`);
+        }
+    }
+
+    if (enabled.length === 0) {
+        throw new Error('No routes are enabled');
+    }
+    return { chains, routes: enabled };
+}
+
+module.exports = { handlers, resolveRoutes };
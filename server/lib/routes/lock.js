@@ -0,0 +1,62 @@
+// lib/routes/lock.js
+const { ethers } = require('ethers');
+const ABIs = require('../../abis');
+const { lockMessage } = require('../attestation/message');
+
+/**
+ * SourceBridge.TokensLocked -> LocalBridge.relayLock. The relayer signs each
+ * lock with its key on the route's source chain, or collects M-of-N signer
+ * attestations when the route has an attestor, and the destination bridge
+ * checks the signatures before minting.
+ */
+module.exports = {
+    icon: '🔒',
+    label: 'lock',
+    sourceAbi: ABIs.SourceBridge,
+    destinationAbi: ABIs.LocalBridge,
+    event: 'TokensLocked',
+    method: 'relayLock',
+    gasLimit: 300000,
+    alreadyProcessed: 'TransactionAlreadyProcessed',
+
+    parse(event) {
+        const [from, amount, destinationChainId, timestamp] = event.args;
+        return {
+            id: event.transactionHash,
+            destinationChainId: Number(destinationChainId),
+            payload: {
+                from,
+                amount: amount.toString(),
+                timestamp: timestamp.toString()
+            },
+            details: {
+                From: from,
+                Amount: ethers.formatEther(amount),
+                Timestamp: timestamp.toString()
+            }
+        };
+    },
+
+    async args(job, route) {
+        const { from, amount, timestamp } = job.payload;
+        const message = lockMessage({
+            chainId: route.from.config.chainId,
+            bridgeAddress: route.config.sourceAddress,
+            tokenAddress: route.config.tokenAddress,
+            txHash: job.id,
+            from,
+            amount,
+            timestamp
+        });
+
+        const signature = route.attestor
+            ? await route.attestor.collect({
+                chainId: route.from.config.chainId,
+                bridgeAddress: route.config.sourceAddress,
+                txHash: job.id
+            }, message)
+            : await route.from.signer.signMessage(ethers.getBytes(message));
+
+        return [job.id, from, BigInt(amount), BigInt(timestamp), signature];
+    }
+};
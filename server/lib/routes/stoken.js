@@ -0,0 +1,52 @@
+// lib/routes/stoken.js
+const { ethers } = require('ethers');
+const ABIs = require('../../abis');
+
+/**
+ * STokenBridge.TokensSent -> STokenBridge.mintFromRemote. Tokens are burned
+ * on the source chain and minted on the destination.
+ */
+module.exports = {
+    icon: '🔥',
+    label: 'STokenBridge send',
+    sourceAbi: ABIs.STokenBridge,
+    destinationAbi: ABIs.STokenBridge,
+    event: 'TokensSent',
+    method: 'mintFromRemote',
+    gasLimit: 200000,
+    alreadyProcessed: 'already processed',
+
+    parse(event, route) {
+        const [sender, to, amount, nonce, dstChainId] = event.args;
+        const srcChainId = route.from.config.chainId;
+
+        // Same id STokenBridge.mintFromRemote uses to reject replays
+        const id = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ['address', 'uint256', 'uint256', 'uint256'],
+            [to, amount, nonce, srcChainId]
+        ));
+
+        return {
+            id,
+            destinationChainId: Number(dstChainId),
+            payload: {
+                sender,
+                to,
+                amount: amount.toString(),
+                nonce: nonce.toString(),
+                srcChainId
+            },
+            details: {
+                Sender: sender,
+                To: to,
+                Amount: ethers.formatEther(amount),
+                Nonce: nonce.toString()
+            }
+        };
+    },
+
+    async args(job) {
+        const { to, amount, nonce, srcChainId } = job.payload;
+        return [to, BigInt(amount), BigInt(nonce), srcChainId];
+    }
+};
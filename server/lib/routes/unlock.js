@@ -0,0 +1,39 @@
+// lib/routes/unlock.js
+const { ethers } = require('ethers');
+const ABIs = require('../../abis');
+
+/**
+ * LocalBridge.TokensUnlocked -> SourceBridge.relayUnlock, releasing locked
+ * tokens once their wrapped counterpart has been burned
+ */
+module.exports = {
+    icon: '🔓',
+    label: 'unlock',
+    sourceAbi: ABIs.LocalBridge,
+    destinationAbi: ABIs.SourceBridge,
+    event: 'TokensUnlocked',
+    method: 'relayUnlock',
+    gasLimit: 200000,
+    alreadyProcessed: 'UnlockAlreadyProcessed',
+
+    parse(event) {
+        const [burnTxHash, to, amount] = event.args;
+        return {
+            id: burnTxHash,
+            payload: {
+                burnTxHash,
+                to,
+                amount: amount.toString()
+            },
+            details: {
+                To: to,
+                Amount: ethers.formatEther(amount)
+            }
+        };
+    },
+
+    async args(job) {
+        const { burnTxHash, to, amount } = job.payload;
+        return [burnTxHash, to, BigInt(amount)];
+    }
+};
@@ -0,0 +1,327 @@
+// lib/rpc-provider.js
+const { ethers } = require('ethers');
+const { redactUrl } = require('./config');
+const { systemClock } = require('./clock');
+const { isRangeError } = require('./events');
+
+// Errors about the request itself, which any node would return the same.
+// Anything else (timeouts, refused connections, bad responses) is put
+// down to the endpoint.
+const REQUEST_ERRORS = [
+    'CALL_EXCEPTION', 'INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED',
+    'TRANSACTION_REPLACED', 'INVALID_ARGUMENT', 'ACTION_REJECTED', 'OFFCHAIN_FAULT'
+];
+
+function isRateLimit(error) {
+    if (isRangeError(error)) {
+        return false; // shares -32005 with rate limits on some providers
+    }
+    const status = error.info && error.info.responseStatus;
+    if (status && String(status).startsWith('429')) {
+        return true;
+    }
+    const rpcError = error.error || (error.info && error.info.error);
+    if (rpcError && rpcError.code === -32005) {
+        return true;
+    }
+    return /rate limit|too many requests|limit exceeded|exceeded .*capacity/i.test(error.message);
+}
+
+/**
+ * A node refusing a raw transaction because it already has it, typically
+ * one we sent through another endpoint before it timed out
+ */
+function isAlreadyKnown(error) {
+    const rpcError = error.error || (error.info && error.info.error);
+    const message = (rpcError && rpcError.message) || error.message;
+    return /already known|known transaction|already imported/i.test(message);
+}
+
+function isEndpointError(error) {
+    if (isRangeError(error)) {
+        return false; // left to the caller to narrow the range
+    }
+    if (isAlreadyKnown(error)) {
+        return false; // the node answered; see FailoverProvider.broadcast()
+    }
+    return !REQUEST_ERRORS.includes(error.code) || isRateLimit(error);
+}
+
+const blockTag = tag => (ethers.isHexString(tag) ? Number(tag) : tag);
+
+/**
+ * Comparable form of a getLogs result; clients differ in hex padding and case
+ */
+function logsKey(logs) {
+    return JSON.stringify(logs
+        .map(log => [
+            Number(log.blockNumber),
+            Number(log.logIndex),
+            log.blockHash.toLowerCase(),
+            log.transactionHash.toLowerCase(),
+            log.address.toLowerCase(),
+            log.data.toLowerCase(),
+            log.topics.map(topic => topic.toLowerCase())
+        ])
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1]));
+}
+
+/**
+ * One RPC endpoint and its recent record. The score is the share of
+ * requests that succeeded within `scoreWindow`, so an endpoint that failed
+ * a while ago earns its place back once the window moves on.
+ */
+class Endpoint {
+    constructor(url, index, chainId, options, clock) {
+        this.url = url;
+        this.label = redactUrl(url);
+        this.index = index;
+        this.options = options;
+        this.clock = clock;
+
+        const request = new ethers.FetchRequest(url);
+        request.timeout = options.requestTimeout;
+        // Fail over on a 429 instead of waiting on ethers' own retries
+        request.setThrottleParams({ maxAttempts: 1 });
+        this.provider = new ethers.JsonRpcProvider(request, chainId, { staticNetwork: true });
+
+        this.outcomes = []; // { at, ok } within scoreWindow
+        this.requests = 0;
+        this.failures = 0;
+        this.rateLimits = 0;
+        this.consecutiveFailures = 0;
+        this.backoffs = 0;          // consecutive backoffs, for the delay
+        this.backoffUntil = 0;
+        this.latency = null;        // ms, moving average
+        this.lastError = null;
+    }
+
+    get available() {
+        return this.clock.now() >= this.backoffUntil;
+    }
+
+    get score() {
+        const since = this.clock.now() - this.options.scoreWindow;
+        this.outcomes = this.outcomes.filter(outcome => outcome.at >= since);
+        if (this.outcomes.length === 0) {
+            return 100;
+        }
+        return Math.round(100 * this.outcomes.filter(outcome => outcome.ok).length / this.outcomes.length);
+    }
+
+    succeeded(elapsed) {
+        this.requests++;
+        this.outcomes.push({ at: this.clock.now(), ok: true });
+        this.latency = this.latency === null ? elapsed : Math.round(this.latency * 0.8 + elapsed * 0.2);
+        this.consecutiveFailures = 0;
+        this.backoffs = 0;
+    }
+
+    /**
+     * Record a failure, and back off the endpoint when it is rate limiting
+     * or keeps failing. Returns the backoff in ms, or 0.
+     */
+    failed(error) {
+        const rateLimited = isRateLimit(error);
+        this.requests++;
+        this.failures++;
+        this.outcomes.push({ at: this.clock.now(), ok: false });
+        this.consecutiveFailures++;
+        this.lastError = error.shortMessage || error.message;
+        if (rateLimited) {
+            this.rateLimits++;
+            this.lastError = `rate limited (${this.lastError})`;
+        }
+
+        if (!rateLimited && this.consecutiveFailures < this.options.maxFailures) {
+            return 0;
+        }
+        this.backoffs++;
+        const delay = Math.min(this.options.backoffBaseDelay * 2 ** (this.backoffs - 1), this.options.backoffMaxDelay);
+        this.backoffUntil = this.clock.now() + delay;
+        return delay;
+    }
+
+    getStats() {
+        return {
+            url: this.label,
+            score: this.score,
+            available: this.available,
+            requests: this.requests,
+            failures: this.failures,
+            rateLimits: this.rateLimits,
+            latency: this.latency,
+            backoffUntil: this.available ? null : this.backoffUntil,
+            lastError: this.lastError
+        };
+    }
+}
+
+/**
+ * Provider for one chain backed by several RPC endpoints. Each request goes
+ * to the best-scoring endpoint that is not backing off and moves on to the
+ * next when the endpoint fails, times out or rate limits; errors the node
+ * returns for the request itself, such as reverts, are passed straight on.
+ *
+ * With a quorum above 1, log queries go to that many endpoints and are only
+ * returned when every answer agrees, so a single lagging or misbehaving
+ * node cannot make the relayer act on events that are not there.
+ */
+class FailoverProvider extends ethers.AbstractProvider {
+    constructor(chainConfig, options, logger, clock = systemClock) {
+        const network = ethers.Network.from(chainConfig.chainId);
+        super(network);
+        this.network = network;
+        this.name = chainConfig.name;
+        this.quorum = chainConfig.quorum;
+        this.logger = logger;
+        this.clock = clock;
+
+        const urls = [chainConfig.rpcUrl, ...chainConfig.rpcUrls];
+        this.endpoints = urls.map((url, index) => new Endpoint(url, index, chainConfig.chainId, options, clock));
+        this.disagreements = 0;
+    }
+
+    async _detectNetwork() {
+        return this.network;
+    }
+
+    /**
+     * Endpoints in the order to try them: available ones by score, then
+     * configuration order, then those backing off, soonest back first
+     */
+    ranked() {
+        const available = this.endpoints.filter(endpoint => endpoint.available)
+            .sort((a, b) => b.score - a.score || a.index - b.index);
+        const waiting = this.endpoints.filter(endpoint => !endpoint.available)
+            .sort((a, b) => a.backoffUntil - b.backoffUntil);
+        return [...available, ...waiting];
+    }
+
+    async _perform(req) {
+        if (req.method === 'getLogs' && this.quorum > 1) {
+            return this.performWithQuorum(req);
+        }
+        if (req.method === 'broadcastTransaction') {
+            return this.broadcast(req);
+        }
+
+        let lastError;
+        for (const endpoint of this.ranked()) {
+            try {
+                return await this.attempt(endpoint, req);
+            } catch (error) {
+                if (!isEndpointError(error)) {
+                    throw error;
+                }
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    async attempt(endpoint, req) {
+        const start = this.clock.now();
+        try {
+            const result = await endpoint.provider._perform(req);
+            endpoint.succeeded(this.clock.now() - start);
+            return result;
+        } catch (error) {
+            if (!isEndpointError(error)) {
+                endpoint.succeeded(this.clock.now() - start); // the node answered
+                throw error;
+            }
+            const backoff = endpoint.failed(error);
+            if (backoff > 0) {
+                this.logger.warn(`${this.name}: RPC ${endpoint.label} ${isRateLimit(error) ? 'is rate limiting' : `failed ${endpoint.consecutiveFailures} times`}, backing off for ${backoff / 1000}s: ${endpoint.lastError}`);
+            } else {
+                this.logger.debug(`${this.name}: RPC ${endpoint.label} failed ${req.method}, trying the next endpoint: ${endpoint.lastError}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send a signed transaction without sending it twice over. An endpoint
+     * that times out may well have passed it on, so before moving to the
+     * next endpoint the transaction is looked up there, and a node that
+     * already has it counts as a successful send.
+     */
+    async broadcast(req) {
+        const hash = ethers.Transaction.from(req.signedTransaction).hash;
+        let lastError = null;
+        for (const endpoint of this.ranked()) {
+            try {
+                if (lastError && await this.attempt(endpoint, { method: 'getTransaction', hash })) {
+                    this.logger.info(`${this.name}: transaction ${hash} reached the network despite the failed send, not resending`);
+                    return hash;
+                }
+                return await this.attempt(endpoint, req);
+            } catch (error) {
+                if (isAlreadyKnown(error)) {
+                    return hash;
+                }
+                if (!isEndpointError(error)) {
+                    throw error;
+                }
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Ask `quorum` endpoints at once, topping up from the rest as any fail,
+     * and insist the answers match
+     */
+    async performWithQuorum(req) {
+        const candidates = this.ranked();
+        const results = [];
+        let lastError = null;
+
+        while (results.length < this.quorum && candidates.length > 0) {
+            const batch = candidates.splice(0, this.quorum - results.length);
+            const settled = await Promise.allSettled(batch.map(endpoint => this.attempt(endpoint, req)));
+            for (const { status, value, reason } of settled) {
+                if (status === 'fulfilled') {
+                    results.push(value);
+                } else if (!isEndpointError(reason)) {
+                    throw reason;
+                } else {
+                    lastError = reason;
+                }
+            }
+        }
+
+        if (results.length < this.quorum) {
+            const reason = lastError ? `: ${lastError.shortMessage || lastError.message}` : '';
+            throw ethers.makeError(`only ${results.length} of the ${this.quorum} RPC endpoints needed for quorum answered${reason}`, 'SERVER_ERROR');
+        }
+
+        const [first, ...rest] = results.map(logsKey);
+        if (rest.some(key => key !== first)) {
+            this.disagreements++;
+            const { fromBlock, toBlock } = req.filter;
+            this.logger.warn(`${this.name}: RPC endpoints disagree on logs for blocks ${blockTag(fromBlock)}-${blockTag(toBlock)} (${results.map(logs => logs.length).join(' vs ')} logs)`);
+            throw ethers.makeError(`RPC endpoints disagree on logs for blocks ${blockTag(fromBlock)}-${blockTag(toBlock)}`, 'SERVER_ERROR');
+        }
+        return results[0];
+    }
+
+    destroy() {
+        this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+        super.destroy();
+    }
+
+    getStats() {
+        const [active] = this.ranked();
+        return {
+            quorum: this.quorum,
+            active: active.label,
+            disagreements: this.disagreements,
+            endpoints: this.endpoints.map(endpoint => endpoint.getStats())
+        };
+    }
+}
+
+module.exports = { FailoverProvider };
@@ -0,0 +1,110 @@
+// lib/scheduler.js
+const { systemClock } = require('./clock');
+
+/**
+ * Runs one chain's polls without ever overlapping them. The next timed run
+ * is scheduled only once the current one has finished, and a run asked for
+ * while one is in progress (by a subscription, say) happens straight after
+ * it instead of alongside it. A run that returns true, because it is still
+ * catching up, is followed by another at once.
+ */
+class PollScheduler {
+    constructor(name, interval, task, logger, clock = systemClock) {
+        this.name = name;
+        this.interval = interval;
+        this.task = task;
+        this.logger = logger;
+        this.clock = clock;
+
+        this.timed = false;     // run every `interval`, or only when triggered
+        this.stopped = true;
+        this.running = false;
+        this.triggered = false; // asked for while running
+        this.timer = null;
+        this.stats = { runs: 0, deferred: 0, lastRunAt: null, lastDuration: null };
+    }
+
+    start({ timed = true } = {}) {
+        this.stopped = false;
+        this.timed = timed;
+        this.schedule(0);
+    }
+
+    /**
+     * Switch between running on the interval and only on trigger()
+     */
+    setTimed(timed) {
+        this.timed = timed;
+        if (timed && !this.running && !this.timer && !this.stopped) {
+            this.schedule(0);
+        }
+        if (!timed && this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    trigger() {
+        if (this.stopped) {
+            return;
+        }
+        if (this.running) {
+            this.triggered = true;
+            this.stats.deferred++;
+            return;
+        }
+        this.schedule(0, true);
+    }
+
+    schedule(delay, triggered = false) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.run(triggered);
+        }, delay);
+    }
+
+    async run(triggered) {
+        this.running = true;
+        this.triggered = false;
+        const start = this.clock.now();
+        let behind = false;
+
+        try {
+            behind = await this.task(triggered);
+        } catch (error) {
+            this.logger.error(`${this.name}: poll failed: ${error.message}`);
+        } finally {
+            this.running = false;
+            this.stats.runs++;
+            this.stats.lastRunAt = start;
+            this.stats.lastDuration = this.clock.now() - start;
+        }
+
+        if (this.stopped) {
+            return;
+        }
+        if (this.triggered || behind) {
+            this.schedule(0, true);
+        } else if (this.timed) {
+            this.schedule(this.interval);
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    getStats() {
+        return {
+            timed: this.timed,
+            interval: this.interval,
+            running: this.running,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = PollScheduler;
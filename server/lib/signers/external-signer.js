@@ -0,0 +1,94 @@
+// lib/signers/external-signer.js
+const { ethers } = require('ethers');
+
+/**
+ * Post a single JSON-RPC request and return its result
+ */
+async function jsonRpc(url, method, params, timeout) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+        signal: AbortSignal.timeout(timeout)
+    });
+    if (!response.ok) {
+        throw new Error(`${method} failed: HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.error) {
+        throw new Error(`${method} failed: ${body.error.message}`);
+    }
+    return body.result;
+}
+
+/**
+ * Transaction fields as eth_signTransaction expects them
+ */
+function rpcTransaction(tx, from) {
+    const quantity = value => (value == null ? undefined : ethers.toQuantity(value));
+    const request = {
+        from,
+        to: tx.to,
+        data: tx.data || '0x',
+        value: quantity(tx.value || 0),
+        gas: quantity(tx.gasLimit),
+        nonce: quantity(tx.nonce),
+        chainId: quantity(tx.chainId),
+        gasPrice: quantity(tx.gasPrice),
+        maxFeePerGas: quantity(tx.maxFeePerGas),
+        maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas)
+    };
+    return Object.fromEntries(Object.entries(request).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Signs through an external signer's JSON-RPC endpoint (Clef, Web3Signer and
+ * the like) with eth_signTransaction and eth_sign. The key stays with the
+ * signer; only the account address is configured here.
+ */
+class ExternalSigner extends ethers.AbstractSigner {
+    constructor(url, address, timeout, provider = null) {
+        super(provider);
+        this.url = url;
+        this.address = ethers.getAddress(address);
+        this.timeout = timeout;
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    connect(provider) {
+        return new ExternalSigner(this.url, this.address, this.timeout, provider);
+    }
+
+    async signTransaction(tx) {
+        const populated = await this.populateTransaction(tx);
+        const result = await jsonRpc(
+            this.url,
+            'eth_signTransaction',
+            [rpcTransaction(populated, this.address)],
+            this.timeout
+        );
+
+        // Clef answers with { raw, tx }, most other signers with the raw hex
+        const raw = typeof result === 'string' ? result : result.raw;
+        if (ethers.Transaction.from(raw).from !== this.address) {
+            throw new Error(`External signer signed with a different account than ${this.address}`);
+        }
+        return raw;
+    }
+
+    async signMessage(message) {
+        const data = typeof message === 'string' ? ethers.hexlify(ethers.toUtf8Bytes(message)) : ethers.hexlify(message);
+        return jsonRpc(this.url, 'eth_sign', [this.address, data], this.timeout);
+    }
+
+    async signTypedData(domain, types, value) {
+        const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+        return jsonRpc(this.url, 'eth_signTypedData_v4', [this.address, JSON.stringify(payload)], this.timeout);
+    }
+}
+
+module.exports = ExternalSigner;
@@ -0,0 +1,71 @@
+// lib/signers/http-signer.js
+const { ethers } = require('ethers');
+
+/**
+ * Signs through a KMS-style HTTP service that only ever sees 32-byte
+ * digests: POST <url> { keyId, digest } answers { signature }, either as a
+ * 65-byte hex string or as { r, s, v }. Transactions and messages are hashed
+ * locally and every signature is checked against the configured address.
+ */
+class HttpSigner extends ethers.AbstractSigner {
+    constructor(options, provider = null) {
+        super(provider);
+        this.options = options;
+        this.url = options.url;
+        this.keyId = options.keyId;
+        this.address = ethers.getAddress(options.address);
+        this.timeout = options.requestTimeout;
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    connect(provider) {
+        return new HttpSigner(this.options, provider);
+    }
+
+    async signDigest(digest) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = this.options.authTokenEnv && process.env[this.options.authTokenEnv];
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ keyId: this.keyId, digest }),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Signing service error: ${body.error || `HTTP ${response.status}`}`);
+        }
+
+        const signature = ethers.Signature.from(body.signature);
+        if (ethers.recoverAddress(digest, signature) !== this.address) {
+            throw new Error(`Signing service key ${this.keyId} does not belong to ${this.address}`);
+        }
+        return signature;
+    }
+
+    async signTransaction(tx) {
+        const { from, ...fields } = await this.populateTransaction(tx);
+        const unsigned = ethers.Transaction.from(fields);
+        unsigned.signature = await this.signDigest(unsigned.unsignedHash);
+        return unsigned.serialized;
+    }
+
+    async signMessage(message) {
+        const signature = await this.signDigest(ethers.hashMessage(message));
+        return signature.serialized;
+    }
+
+    async signTypedData(domain, types, value) {
+        const signature = await this.signDigest(ethers.TypedDataEncoder.hash(domain, types, value));
+        return signature.serialized;
+    }
+}
+
+module.exports = HttpSigner;
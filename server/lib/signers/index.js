@@ -0,0 +1,61 @@
+// lib/signers/index.js
+const fs = require('fs');
+const { ethers } = require('ethers');
+const ExternalSigner = require('./external-signer');
+const HttpSigner = require('./http-signer');
+
+function fromEnv(name, purpose) {
+    const value = name && process.env[name];
+    if (!value) {
+        throw new Error(`Set ${name} to ${purpose}`);
+    }
+    return value;
+}
+
+/**
+ * Fail early when a local key does not match the configured address
+ */
+function checkAddress(wallet, address) {
+    if (address && ethers.getAddress(address) !== wallet.address) {
+        throw new Error(`Signer key belongs to ${wallet.address}, not the configured ${address}`);
+    }
+    return wallet;
+}
+
+/**
+ * Build the signer described by a `signer` config block. The result is not
+ * connected to a provider; call connect() once per chain. Every backend
+ * exposes its account as `address`.
+ *
+ *   keystore     encrypted JSON keystore, passphrase read from `passphraseEnv`
+ *   json-rpc     external signer at `url` (eth_signTransaction / eth_sign)
+ *   http         KMS-style digest signing service at `url`
+ *   private-key  raw key read from `privateKeyEnv`, for development
+ */
+function createSigner(options) {
+    switch (options.type) {
+        case 'keystore': {
+            const passphrase = fromEnv(options.passphraseEnv, `decrypt ${options.keystoreFile}`);
+            const json = fs.readFileSync(options.keystoreFile, 'utf8');
+            return checkAddress(ethers.Wallet.fromEncryptedJsonSync(json, passphrase), options.address);
+        }
+        case 'json-rpc':
+            if (!options.url || !options.address) {
+                throw new Error('json-rpc signers need url and address');
+            }
+            return new ExternalSigner(options.url, options.address, options.requestTimeout);
+        case 'http':
+            if (!options.url || !options.address) {
+                throw new Error('http signers need url and address');
+            }
+            return new HttpSigner(options);
+        case 'private-key': {
+            const privateKey = fromEnv(options.privateKeyEnv, 'the signer\'s private key');
+            return checkAddress(new ethers.Wallet(privateKey), options.address);
+        }
+        default:
+            throw new Error(`Unknown signer type: ${options.type} (expected keystore, json-rpc, http or private-key)`);
+    }
+}
+
+module.exports = { createSigner, ExternalSigner, HttpSigner };
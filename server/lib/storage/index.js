@@ -0,0 +1,21 @@
+// lib/storage/index.js
+const { systemClock } = require('../clock');
+const JsonStore = require('./json-store');
+const SqliteStore = require('./sqlite-store');
+
+/**
+ * Build the state store selected by `storage.backend`, timestamping writes
+ * from `clock`
+ */
+function createStore(storageConfig, logger, clock = systemClock) {
+    switch (storageConfig.backend) {
+        case 'json':
+            return new JsonStore(storageConfig.jsonFile, logger, clock);
+        case 'sqlite':
+            return new SqliteStore(storageConfig.sqliteFile, logger, clock);
+        default:
+            throw new Error(`Unknown storage backend: ${storageConfig.backend}`);
+    }
+}
+
+module.exports = { createStore, JsonStore, SqliteStore };
@@ -0,0 +1,176 @@
+// lib/storage/json-store.js
+const fs = require('fs');
+const { systemClock } = require('../clock');
+const StoreTransaction = require('./transaction');
+
+const VERSION = 2;
+
+function emptyState() {
+    return {
+        version: VERSION,
+        cursors: {},
+        processed: {},   // kind -> { id: processedAt }
+        relays: {},
+        jobs: {},
+        blockHashes: {},
+        proposals: {},      // governance index, see lib/governance.js
+        proposalVotes: {},  // "<proposal id>:<voter>" -> vote
+        meta: {}
+    };
+}
+
+/**
+ * Keeps relayer state in a single JSON file. Every transaction rewrites the
+ * file through a temporary copy that is fsynced and renamed into place, so a
+ * crash leaves either the old or the new state on disk, never a torn write.
+ */
+class JsonStore {
+    constructor(file, logger, clock = systemClock) {
+        this.file = file;
+        this.logger = logger;
+        this.clock = clock;
+        this.state = emptyState();
+    }
+
+    open() {
+        this.state = this.read();
+    }
+
+    close() {}
+
+    read() {
+        if (!fs.existsSync(this.file)) {
+            return emptyState();
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        if (data.version !== VERSION) {
+            throw new Error(`${this.file} is not a version ${VERSION} state file; run scripts/migrate-processed.js`);
+        }
+        return { ...emptyState(), ...data };
+    }
+
+    isEmpty() {
+        return Object.keys(this.state.cursors).length === 0 &&
+            Object.keys(this.state.processed).length === 0;
+    }
+
+    load() {
+        const processed = {};
+        for (const [kind, ids] of Object.entries(this.state.processed)) {
+            processed[kind] = Object.keys(ids);
+        }
+
+        return {
+            cursors: { ...this.state.cursors },
+            processed,
+            relays: { ...this.state.relays },
+            jobs: Object.values(this.state.jobs),
+            blockHashes: { ...this.state.blockHashes },
+            proposals: Object.values(this.state.proposals),
+            proposalVotes: Object.values(this.state.proposalVotes),
+            meta: { ...this.state.meta }
+        };
+    }
+
+    transaction(fn) {
+        const tx = new StoreTransaction(this.clock);
+        fn(tx);
+        this.apply(tx.ops);
+    }
+
+    apply(ops) {
+        if (ops.length === 0) {
+            return;
+        }
+
+        try {
+            for (const op of ops) {
+                this.applyOp(op);
+            }
+            this.write();
+        } catch (error) {
+            // Keep memory consistent with what is actually on disk
+            this.state = this.read();
+            throw error;
+        }
+    }
+
+    applyOp(op) {
+        const state = this.state;
+        switch (op.op) {
+            case 'setCursor':
+                state.cursors[op.chain] = op.block;
+                break;
+            case 'markProcessed':
+                state.processed[op.kind] = state.processed[op.kind] || {};
+                state.processed[op.kind][op.id] = op.at;
+                break;
+            case 'putRelay':
+                state.relays[op.id] = { ...op.record };
+                break;
+            case 'putJob':
+                state.jobs[op.job.id] = { ...op.job };
+                break;
+            case 'deleteJob':
+                delete state.jobs[op.id];
+                break;
+            case 'setBlockHashes':
+                state.blockHashes[op.chain] = op.hashes;
+                break;
+            case 'putProposal':
+                state.proposals[op.proposal.id] = { ...op.proposal };
+                break;
+            case 'putProposalVote':
+                state.proposalVotes[`${op.vote.proposalId}:${op.vote.voter}`] = { ...op.vote };
+                break;
+            case 'setMeta':
+                state.meta[op.key] = op.value;
+                break;
+            default:
+                throw new Error(`Unknown store operation: ${op.op}`);
+        }
+    }
+
+    write() {
+        const tmp = `${this.file}.tmp`;
+        const data = JSON.stringify({ ...this.state, lastSaved: new Date(this.clock.now()).toISOString() }, null, 2);
+
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, this.file);
+    }
+
+    /**
+     * Drop processed ids and relay history older than `before` (ms timestamp)
+     */
+    prune(before) {
+        let removed = 0;
+        for (const ids of Object.values(this.state.processed)) {
+            for (const [id, at] of Object.entries(ids)) {
+                if (at < before) {
+                    delete ids[id];
+                    removed++;
+                }
+            }
+        }
+        for (const [id, record] of Object.entries(this.state.relays)) {
+            if ((record.relayedAt || 0) < before) {
+                delete this.state.relays[id];
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            this.write();
+        }
+        return removed;
+    }
+}
+
+module.exports = JsonStore;
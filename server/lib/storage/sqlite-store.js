@@ -0,0 +1,228 @@
+// lib/storage/sqlite-store.js
+const { systemClock } = require('../clock');
+const StoreTransaction = require('./transaction');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS cursors (
+        chain TEXT PRIMARY KEY,
+        block INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS processed (
+        kind TEXT NOT NULL,
+        id TEXT NOT NULL,
+        processed_at INTEGER NOT NULL,
+        PRIMARY KEY (kind, id)
+    );
+    CREATE TABLE IF NOT EXISTS relays (
+        id TEXT PRIMARY KEY,
+        record TEXT NOT NULL,
+        relayed_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        job TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS block_hashes (
+        chain TEXT NOT NULL,
+        number INTEGER NOT NULL,
+        hash TEXT NOT NULL,
+        PRIMARY KEY (chain, number)
+    );
+    CREATE TABLE IF NOT EXISTS proposals (
+        id TEXT PRIMARY KEY,
+        proposal TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS proposal_votes (
+        proposal_id TEXT NOT NULL,
+        voter TEXT NOT NULL,
+        vote TEXT NOT NULL,
+        PRIMARY KEY (proposal_id, voter)
+    );
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+/**
+ * Open a database with Node's built-in SQLite module (Node 22.5+)
+ */
+function openDatabase(file) {
+    let sqlite;
+    try {
+        sqlite = require('node:sqlite');
+    } catch (error) {
+        throw new Error(`SQLite storage requires Node 22.5 or newer (running ${process.version})`);
+    }
+    return new sqlite.DatabaseSync(file);
+}
+
+/**
+ * Keeps relayer state in an embedded SQLite database. Each transaction runs
+ * inside BEGIN/COMMIT, so cursors, processed ids and relay history always
+ * move together.
+ */
+class SqliteStore {
+    constructor(file, logger, clock = systemClock) {
+        this.file = file;
+        this.logger = logger;
+        this.clock = clock;
+        this.db = null;
+    }
+
+    open() {
+        this.db = openDatabase(this.file);
+        this.db.exec('PRAGMA journal_mode = WAL');
+        this.db.exec('PRAGMA synchronous = FULL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            setCursor: this.db.prepare(
+                'INSERT INTO cursors (chain, block) VALUES (?, ?) ON CONFLICT(chain) DO UPDATE SET block = excluded.block'
+            ),
+            markProcessed: this.db.prepare(
+                'INSERT OR IGNORE INTO processed (kind, id, processed_at) VALUES (?, ?, ?)'
+            ),
+            putRelay: this.db.prepare(
+                'INSERT INTO relays (id, record, relayed_at) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET record = excluded.record'
+            ),
+            putJob: this.db.prepare(
+                'INSERT INTO jobs (id, job) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET job = excluded.job'
+            ),
+            deleteJob: this.db.prepare('DELETE FROM jobs WHERE id = ?'),
+            clearBlockHashes: this.db.prepare('DELETE FROM block_hashes WHERE chain = ?'),
+            putBlockHash: this.db.prepare('INSERT INTO block_hashes (chain, number, hash) VALUES (?, ?, ?)'),
+            putProposal: this.db.prepare(
+                'INSERT INTO proposals (id, proposal) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET proposal = excluded.proposal'
+            ),
+            putProposalVote: this.db.prepare(
+                'INSERT INTO proposal_votes (proposal_id, voter, vote) VALUES (?, ?, ?) ON CONFLICT(proposal_id, voter) DO UPDATE SET vote = excluded.vote'
+            ),
+            setMeta: this.db.prepare(
+                'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+            )
+        };
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    isEmpty() {
+        const cursors = this.db.prepare('SELECT COUNT(*) AS n FROM cursors').get().n;
+        const processed = this.db.prepare('SELECT COUNT(*) AS n FROM processed').get().n;
+        return cursors === 0 && processed === 0;
+    }
+
+    load() {
+        const state = {
+            cursors: {},
+            processed: {},
+            relays: {},
+            jobs: [],
+            blockHashes: {},
+            proposals: [],
+            proposalVotes: [],
+            meta: {}
+        };
+
+        for (const row of this.db.prepare('SELECT chain, block FROM cursors').all()) {
+            state.cursors[row.chain] = row.block;
+        }
+        for (const row of this.db.prepare('SELECT kind, id FROM processed').all()) {
+            (state.processed[row.kind] = state.processed[row.kind] || []).push(row.id);
+        }
+        for (const row of this.db.prepare('SELECT id, record FROM relays').all()) {
+            state.relays[row.id] = JSON.parse(row.record);
+        }
+        for (const row of this.db.prepare('SELECT job FROM jobs').all()) {
+            state.jobs.push(JSON.parse(row.job));
+        }
+        for (const row of this.db.prepare('SELECT chain, number, hash FROM block_hashes').all()) {
+            state.blockHashes[row.chain] = state.blockHashes[row.chain] || {};
+            state.blockHashes[row.chain][row.number] = row.hash;
+        }
+        for (const row of this.db.prepare('SELECT proposal FROM proposals').all()) {
+            state.proposals.push(JSON.parse(row.proposal));
+        }
+        for (const row of this.db.prepare('SELECT vote FROM proposal_votes').all()) {
+            state.proposalVotes.push(JSON.parse(row.vote));
+        }
+        for (const row of this.db.prepare('SELECT key, value FROM meta').all()) {
+            state.meta[row.key] = JSON.parse(row.value);
+        }
+
+        return state;
+    }
+
+    transaction(fn) {
+        const tx = new StoreTransaction(this.clock);
+        fn(tx);
+        this.apply(tx.ops);
+    }
+
+    apply(ops) {
+        if (ops.length === 0) {
+            return;
+        }
+
+        const s = this.statements;
+        this.db.exec('BEGIN IMMEDIATE');
+        try {
+            for (const op of ops) {
+                switch (op.op) {
+                    case 'setCursor':
+                        s.setCursor.run(op.chain, op.block);
+                        break;
+                    case 'markProcessed':
+                        s.markProcessed.run(op.kind, op.id, op.at);
+                        break;
+                    case 'putRelay':
+                        s.putRelay.run(op.id, JSON.stringify(op.record), op.record.relayedAt || this.clock.now());
+                        break;
+                    case 'putJob':
+                        s.putJob.run(op.job.id, JSON.stringify(op.job));
+                        break;
+                    case 'deleteJob':
+                        s.deleteJob.run(op.id);
+                        break;
+                    case 'setBlockHashes':
+                        s.clearBlockHashes.run(op.chain);
+                        for (const [number, hash] of Object.entries(op.hashes)) {
+                            s.putBlockHash.run(op.chain, Number(number), hash);
+                        }
+                        break;
+                    case 'putProposal':
+                        s.putProposal.run(op.proposal.id, JSON.stringify(op.proposal));
+                        break;
+                    case 'putProposalVote':
+                        s.putProposalVote.run(op.vote.proposalId, op.vote.voter, JSON.stringify(op.vote));
+                        break;
+                    case 'setMeta':
+                        s.setMeta.run(op.key, JSON.stringify(op.value));
+                        break;
+                    default:
+                        throw new Error(`Unknown store operation: ${op.op}`);
+                }
+            }
+            this.db.exec('COMMIT');
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * Drop processed ids and relay history older than `before` (ms timestamp)
+     */
+    prune(before) {
+        const processed = this.db.prepare('DELETE FROM processed WHERE processed_at < ?').run(before);
+        const relays = this.db.prepare('DELETE FROM relays WHERE relayed_at < ?').run(before);
+        return Number(processed.changes) + Number(relays.changes);
+    }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,59 @@
+// lib/storage/transaction.js
+const { systemClock } = require('../clock');
+
+/**
+ * Collects writes so a store can apply them all at once, or not at all
+ */
+class StoreTransaction {
+    constructor(clock = systemClock) {
+        this.clock = clock;
+        this.ops = [];
+    }
+
+    setCursor(chain, block) {
+        this.ops.push({ op: 'setCursor', chain, block });
+        return this;
+    }
+
+    markProcessed(kind, id, at = this.clock.now()) {
+        this.ops.push({ op: 'markProcessed', kind, id, at });
+        return this;
+    }
+
+    putRelay(id, record) {
+        this.ops.push({ op: 'putRelay', id, record });
+        return this;
+    }
+
+    putJob(job) {
+        this.ops.push({ op: 'putJob', job });
+        return this;
+    }
+
+    deleteJob(id) {
+        this.ops.push({ op: 'deleteJob', id });
+        return this;
+    }
+
+    setBlockHashes(chain, hashes) {
+        this.ops.push({ op: 'setBlockHashes', chain, hashes });
+        return this;
+    }
+
+    putProposal(proposal) {
+        this.ops.push({ op: 'putProposal', proposal });
+        return this;
+    }
+
+    putProposalVote(vote) {
+        this.ops.push({ op: 'putProposalVote', vote });
+        return this;
+    }
+
+    setMeta(key, value) {
+        this.ops.push({ op: 'setMeta', key, value });
+        return this;
+    }
+}
+
+module.exports = StoreTransaction;
@@ -0,0 +1,129 @@
+// lib/stream.js
+const { ethers } = require('ethers');
+
+const TRANSFER_EVENTS = ['transferDetected', 'transferHeld', 'relaySubmitted', 'relayConfirmed', 'relayFailed'];
+const EVENTS = [...TRANSFER_EVENTS, 'healthCheck'];
+
+/**
+ * Does a transfer event match a client's filters? Health events reach
+ * every client.
+ */
+function matches(filters, name, data) {
+    if (!TRANSFER_EVENTS.includes(name)) {
+        return true;
+    }
+    if (filters.route && data.route !== filters.route) {
+        return false;
+    }
+    if (filters.hash) {
+        const hashes = [data.id, data.source.txHash, data.source.burnTxHash, data.relay.txHash];
+        if (!hashes.some(value => typeof value === 'string' && value.toLowerCase() === filters.hash)) {
+            return false;
+        }
+    }
+    if (filters.address) {
+        const addresses = [data.source.from, data.source.to, data.source.sender];
+        if (!addresses.some(value => typeof value === 'string' && value.toLowerCase() === filters.address)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Server-Sent Events feed of relayer events for the dashboards. Recent
+ * events are kept so a client that reconnects with Last-Event-ID misses
+ * nothing, and a comment is sent every `heartbeatInterval` so idle proxies
+ * keep the connection open.
+ */
+class EventStream {
+    constructor(relayer, options, logger) {
+        this.history = [];
+        this.historySize = options.streamHistory;
+        this.nextId = 1;
+        this.clients = new Set();
+        this.logger = logger;
+
+        for (const name of EVENTS) {
+            relayer.on(name, data => this.publish(name, data));
+        }
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': ping\n\n');
+            }
+        }, options.heartbeatInterval);
+        this.heartbeat.unref();
+    }
+
+    publish(name, data) {
+        const event = { id: this.nextId++, name, data };
+        this.history.push(event);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        for (const client of this.clients) {
+            this.send(client, event);
+        }
+    }
+
+    send(client, event) {
+        if (matches(client.filters, event.name, event.data)) {
+            client.res.write(`id: ${event.id}\nevent: ${event.name}\ndata: ${JSON.stringify(event.data)}\n\n`);
+        }
+    }
+
+    /**
+     * Express handler: GET /events?route=&address=&hash=
+     */
+    handle(req, res) {
+        const { route, address, hash } = req.query;
+        // A repeated parameter arrives as an array
+        if (address && !(typeof address === 'string' && ethers.isAddress(address))) {
+            return res.status(400).json({ error: `Invalid address: ${address}` });
+        }
+        if ((route && typeof route !== 'string') || (hash && typeof hash !== 'string')) {
+            return res.status(400).json({ error: 'route and hash may each be given once' });
+        }
+
+        const client = {
+            res,
+            filters: {
+                route: route || null,
+                address: address ? address.toLowerCase() : null,
+                hash: hash ? hash.toLowerCase() : null
+            }
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 3000\n\n');
+
+        // Replay what a reconnecting client missed
+        const lastId = Number(req.get('Last-Event-ID'));
+        if (Number.isInteger(lastId)) {
+            this.history.filter(event => event.id > lastId).forEach(event => this.send(client, event));
+        }
+
+        this.clients.add(client);
+        this.logger.debug(`Event stream client connected (${this.clients.size} open)`);
+        req.on('close', () => {
+            this.clients.delete(client);
+            this.logger.debug(`Event stream client disconnected (${this.clients.size} open)`);
+        });
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+    }
+}
+
+module.exports = EventStream;
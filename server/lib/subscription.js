@@ -0,0 +1,173 @@
+// lib/subscription.js
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { systemClock } = require('./clock');
+
+/**
+ * WebSocket subscription to a chain's new blocks and to a set of log
+ * filters. Emits `connected`, `disconnected`, `block` (number) and `log`
+ * (key, log).
+ *
+ * ethers does not reconnect a WebSocketProvider, so a failed, dropped or
+ * silent connection (no block for `staleTimeout`) is torn down and opened
+ * again with exponential backoff until stop() is called.
+ */
+class ChainSubscription extends EventEmitter {
+    constructor(name, url, chainId, options, logger, clock = systemClock) {
+        super();
+        this.name = name;
+        this.url = url;
+        this.chainId = chainId;
+        this.options = options;
+        this.logger = logger;
+        this.clock = clock;
+
+        this.filters = new Map(); // key -> log filter
+        this.provider = null;
+        this.connected = false;
+        this.stopped = true;
+        this.failures = 0;          // consecutive failed connections
+        this.reconnects = 0;
+        this.reconnectTimer = null;
+        this.staleTimer = null;
+        this.lastBlock = null;
+        this.lastBlockAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Subscribe to a log filter ({ address, topics }) under `key`. Takes
+     * effect on the next connection.
+     */
+    watch(key, filter) {
+        this.filters.set(key, filter);
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+    }
+
+    async connect() {
+        this.reconnectTimer = null;
+        const provider = new ethers.WebSocketProvider(this.url, this.chainId);
+        const socket = provider.websocket;
+        this.provider = provider;
+
+        // Without an error listener a refused connection would crash the process
+        socket.on('error', error => {
+            this.lastError = error.message;
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('timed out connecting')), this.options.connectTimeout);
+                socket.once('open', () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+                socket.once('close', () => {
+                    clearTimeout(timer);
+                    reject(new Error(this.lastError || 'connection closed'));
+                });
+            });
+
+            await provider.on('block', number => this.onBlock(number));
+            for (const [key, filter] of this.filters) {
+                await provider.on(filter, log => this.emit('log', key, log));
+            }
+        } catch (error) {
+            this.lastError = error.message;
+            this.logger.warn(`${this.name}: WebSocket unavailable (${error.message})`);
+            return this.disconnect(provider);
+        }
+
+        if (this.stopped) {
+            return this.disconnect(provider);
+        }
+        socket.on('close', () => {
+            if (provider === this.provider) {
+                this.logger.warn(`${this.name}: WebSocket closed`);
+                this.disconnect(provider);
+            }
+        });
+
+        this.connected = true;
+        this.failures = 0;
+        this.lastError = null;
+        this.resetStaleTimer();
+        this.logger.info(`🔌 ${this.name}: subscribed to new blocks and ${this.filters.size} log filters over WebSocket`);
+        this.emit('connected');
+    }
+
+    onBlock(number) {
+        this.lastBlock = number;
+        this.lastBlockAt = this.clock.now();
+        this.resetStaleTimer();
+        this.emit('block', number);
+    }
+
+    resetStaleTimer() {
+        clearTimeout(this.staleTimer);
+        this.staleTimer = setTimeout(() => {
+            this.logger.warn(`${this.name}: no block over WebSocket for ${this.options.staleTimeout / 1000}s, reconnecting`);
+            this.lastError = 'stale';
+            this.disconnect(this.provider);
+        }, this.options.staleTimeout);
+        this.staleTimer.unref();
+    }
+
+    /**
+     * Tear down a connection and, unless stopped, schedule the next one
+     */
+    disconnect(provider) {
+        if (provider !== this.provider) {
+            return; // an older connection closing late
+        }
+        clearTimeout(this.staleTimer);
+        this.provider = null;
+        provider.destroy().catch(() => {});
+
+        if (this.connected) {
+            this.connected = false;
+            if (!this.stopped) {
+                this.emit('disconnected');
+            }
+        }
+        if (this.stopped || this.reconnectTimer) {
+            return;
+        }
+
+        this.failures++;
+        const delay = Math.min(
+            this.options.reconnectBaseDelay * 2 ** (this.failures - 1),
+            this.options.reconnectMaxDelay
+        );
+        this.logger.info(`${this.name}: reconnecting WebSocket in ${delay / 1000}s`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnects++;
+            this.connect();
+        }, delay);
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.provider) {
+            this.disconnect(this.provider);
+        }
+    }
+
+    getStats() {
+        return {
+            connected: this.connected,
+            reconnects: this.reconnects,
+            lastBlock: this.lastBlock,
+            lastBlockAt: this.lastBlockAt,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = ChainSubscription;
@@ -0,0 +1,173 @@
+// lib/transfers.js
+const { JobState } = require('./queue');
+
+const TransferStatus = {
+    QUEUED: 'queued',       // detected, not yet attempted
+    RETRYING: 'retrying',   // failed at least once, waiting for its next attempt
+    SUBMITTED: 'submitted', // relay transaction in flight
+    FAILED: 'failed',       // out of attempts, in the dead-letter list
+    HELD: 'held',           // broke a relay limit, waiting for approval
+    RELAYED: 'relayed',
+    ORPHANED: 'orphaned',   // relayed, but its source event was reorged away
+    SKIPPED: 'skipped'      // dropped by an operator, never relayed
+};
+
+const ADDRESS_FIELDS = ['from', 'to', 'sender'];
+
+function jobStatus(job) {
+    if (job.state === JobState.FAILED) {
+        return TransferStatus.FAILED;
+    }
+    if (job.state === JobState.SUBMITTED) {
+        return TransferStatus.SUBMITTED;
+    }
+    if (job.state === JobState.HELD) {
+        return TransferStatus.HELD;
+    }
+    return job.attempts > 0 ? TransferStatus.RETRYING : TransferStatus.QUEUED;
+}
+
+function confirmations(head, blockNumber) {
+    if (head === null || blockNumber === null || blockNumber === undefined) {
+        return null;
+    }
+    return Math.max(0, head - blockNumber + 1);
+}
+
+/**
+ * Read-only view of transfers for the dashboard API, built from the relay
+ * queue (in flight or failed) and the relay history (done). Confirmations
+ * count against the chain heads the relayer last saw, so lookups never
+ * touch an RPC.
+ */
+class TransferLookup {
+    constructor(relayer) {
+        this.relayer = relayer;
+    }
+
+    /**
+     * Transfers matching `filters`, newest first:
+     *   address - sender or recipient, any case
+     *   route   - route name, i.e. the direction of the transfer
+     *   status  - one of TransferStatus
+     */
+    list({ address, route, status, offset = 0, limit = 50 } = {}) {
+        const wanted = address ? address.toLowerCase() : null;
+        const transfers = this.all().filter(transfer =>
+            (!route || transfer.route === route) &&
+            (!status || transfer.status === status) &&
+            (!wanted || ADDRESS_FIELDS.some(field =>
+                typeof transfer.source[field] === 'string' && transfer.source[field].toLowerCase() === wanted
+            ))
+        );
+
+        return {
+            total: transfers.length,
+            offset,
+            limit,
+            transfers: transfers.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Find a transfer by its id, source transaction hash, burn transaction
+     * hash or relay transaction hash
+     */
+    find(hash) {
+        const wanted = hash.toLowerCase();
+        return this.all().find(transfer =>
+            [transfer.id, transfer.source.txHash, transfer.source.burnTxHash, transfer.relay.txHash]
+                .some(value => typeof value === 'string' && value.toLowerCase() === wanted)
+        ) || null;
+    }
+
+    all() {
+        const { queue, relays } = this.relayer;
+        const transfers = [];
+
+        for (const jobs of [queue.jobs, queue.deadLetter]) {
+            for (const job of jobs.values()) {
+                transfers.push(this.fromJob(job));
+            }
+        }
+        for (const [id, relay] of relays) {
+            if (!queue.has(id)) {
+                transfers.push(this.fromRelay(id, relay));
+            }
+        }
+
+        return transfers.sort((a, b) => (b.queuedAt || b.relayedAt || 0) - (a.queuedAt || a.relayedAt || 0));
+    }
+
+    fromJob(job) {
+        const { eventTxHash, blockNumber, blockHash, ...event } = job.payload;
+        return {
+            ...this.transfer(job.id, job.route, jobStatus(job), { eventTxHash, blockNumber, blockHash, event }),
+            relay: {
+                txHash: job.txHash,
+                blockNumber: null,
+                confirmations: null,
+                attempts: job.attempts,
+                lastError: job.lastError,
+                nextAttemptAt: job.state === JobState.PENDING ? job.nextAttemptAt : null
+            },
+            heldReason: job.heldReason || null,
+            skipped: null,
+            queuedAt: job.createdAt,
+            relayedAt: null
+        };
+    }
+
+    fromRelay(id, relay) {
+        let status = relay.orphaned ? TransferStatus.ORPHANED : TransferStatus.RELAYED;
+        if (relay.skipped) {
+            status = TransferStatus.SKIPPED;
+        }
+        const transfer = this.transfer(id, relay.route, status, relay);
+        return {
+            ...transfer,
+            relay: {
+                txHash: relay.relayTxHash,
+                blockNumber: relay.relayBlockNumber === undefined ? null : relay.relayBlockNumber,
+                confirmations: confirmations(this.head(transfer.toChain), relay.relayBlockNumber),
+                attempts: relay.attempts === undefined ? null : relay.attempts,
+                lastError: null,
+                nextAttemptAt: null
+            },
+            heldReason: null,
+            skipped: relay.skipped || null,
+            queuedAt: relay.queuedAt || null,
+            relayedAt: relay.skipped ? null : relay.relayedAt || null
+        };
+    }
+
+    /**
+     * Fields shared by queued and relayed transfers. Relays recorded before
+     * the history kept event fields have only the source transaction.
+     */
+    transfer(id, routeName, status, { eventTxHash, blockNumber, blockHash, event = {} }) {
+        const route = this.relayer.routes.get(routeName);
+        const fromChain = route ? route.from.key : null;
+        return {
+            id,
+            route: routeName,
+            status,
+            fromChain,
+            toChain: route ? route.to.key : null,
+            source: {
+                ...event,
+                txHash: eventTxHash,
+                blockNumber,
+                blockHash,
+                confirmations: confirmations(this.head(fromChain), blockNumber)
+            }
+        };
+    }
+
+    head(chainKey) {
+        const chain = chainKey && this.relayer.chains.get(chainKey);
+        return chain ? chain.health.head : null;
+    }
+}
+
+module.exports = { TransferLookup, TransferStatus };
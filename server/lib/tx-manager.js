@@ -0,0 +1,362 @@
+// lib/tx-manager.js
+const { ethers } = require('ethers');
+const { systemClock } = require('./clock');
+
+/**
+ * Multiply a bigint by a float such as the configured gas multiplier
+ */
+function scale(value, multiplier) {
+    return (value * BigInt(Math.round(multiplier * 1000))) / 1000n;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a broadcast was turned down because its nonce is taken, by a
+ * transaction mined or pending from this account, perhaps sent elsewhere
+ */
+function isNonceError(error) {
+    return ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'].includes(error.code) ||
+        /nonce too low|nonce has already been used|replacement transaction underpriced|already known/i.test(error.message);
+}
+
+/**
+ * Whether a failed broadcast certainly left its nonce unused: the
+ * transaction was never signed, or the node refused it for something other
+ * than the nonce. No answer at all (a timeout, a dropped connection) may
+ * still mean the node took it.
+ */
+function isNonceUnused(error) {
+    if (error.unsigned) {
+        return true;
+    }
+    return !isNonceError(error) && !['TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR'].includes(error.code);
+}
+
+/**
+ * Sends transactions for one chain from one account. Nonces are assigned
+ * locally so several relays can be in flight at once; transactions that sit
+ * in the mempool too long are replaced at the same nonce with higher fees,
+ * and cancelled once they run out of replacements. Fees never go past
+ * `maxFeePerGas`; a transaction that would need more, or whose cancel is
+ * not mined either, is left pending and flagged as stuck.
+ */
+class TransactionManager {
+    constructor(signer, provider, options, logger, clock = systemClock) {
+        this.signer = signer;
+        this.provider = provider;
+        this.name = options.name;
+        this.gasMultiplier = options.gasMultiplier;
+        this.replaceAfter = options.replaceAfter;
+        this.feeBumpPercent = options.feeBumpPercent;
+        this.maxReplacements = options.maxReplacements;
+        this.maxFeePerGas = options.maxFeePerGas == null ? null : ethers.parseUnits(String(options.maxFeePerGas), 'gwei');
+        this.pollInterval = options.receiptPollInterval;
+        this.logger = logger;
+        this.clock = clock;
+
+        this.address = null;
+        this.chainId = null;
+        this.nextNonce = null;
+        this.freeNonces = []; // reserved but never broadcast, reused first
+        this.pending = new Map(); // nonce -> in-flight transaction
+        this.stats = {
+            sent: 0,
+            replaced: 0,
+            resubmitted: 0,
+            cancelled: 0,
+            stuck: 0
+        };
+    }
+
+    async init() {
+        this.address = await this.signer.getAddress();
+        this.chainId = (await this.provider.getNetwork()).chainId;
+        await this.resync();
+    }
+
+    /**
+     * Take the next nonce from the node's view of pending transactions
+     */
+    async resync() {
+        this.nextNonce = await this.provider.getTransactionCount(this.address, 'pending');
+        this.freeNonces = [];
+        this.logger.debug(`${this.name}: next nonce ${this.nextNonce}`);
+    }
+
+    takeNonce() {
+        if (this.freeNonces.length > 0) {
+            return this.freeNonces.shift();
+        }
+        return this.nextNonce++;
+    }
+
+    /**
+     * Return a nonce that was never broadcast so no gap is left behind it
+     */
+    releaseNonce(nonce) {
+        if (nonce === this.nextNonce - 1) {
+            this.nextNonce--;
+        } else {
+            this.freeNonces.push(nonce);
+            this.freeNonces.sort((a, b) => a - b);
+        }
+    }
+
+    /**
+     * Estimate gas with the configured buffer. Reverts are rethrown so a
+     * doomed relay is never broadcast; other failures use the fallback limit.
+     */
+    async estimateGas(request, fallbackGasLimit) {
+        try {
+            const estimate = await this.provider.estimateGas({ ...request, from: this.address });
+            return scale(estimate, this.gasMultiplier);
+        } catch (error) {
+            if (error.code === 'CALL_EXCEPTION') {
+                throw error;
+            }
+            this.logger.warn(`${this.name}: gas estimation failed (${error.message}), using ${fallbackGasLimit}`);
+            return BigInt(fallbackGasLimit);
+        }
+    }
+
+    /**
+     * Current network fees with the configured buffer, up to maxFeePerGas
+     */
+    async getFees() {
+        const feeData = await this.provider.getFeeData();
+        const cap = value => (this.maxFeePerGas !== null && value > this.maxFeePerGas ? this.maxFeePerGas : value);
+        if (feeData.maxFeePerGas != null) {
+            return {
+                maxFeePerGas: cap(scale(feeData.maxFeePerGas, this.gasMultiplier)),
+                maxPriorityFeePerGas: cap(scale(feeData.maxPriorityFeePerGas, this.gasMultiplier))
+            };
+        }
+        return { gasPrice: cap(scale(feeData.gasPrice, this.gasMultiplier)) };
+    }
+
+    overCap(fees) {
+        const fee = fees.gasPrice != null ? fees.gasPrice : fees.maxFeePerGas;
+        return this.maxFeePerGas !== null && fee > this.maxFeePerGas;
+    }
+
+    /**
+     * Raise fees by at least feeBumpPercent, or to the current network fee
+     */
+    async bumpFees(fees) {
+        const current = await this.getFees();
+        const bump = value => scale(value, 1 + this.feeBumpPercent / 100);
+        const max = (a, b) => (a > b ? a : b);
+
+        if (fees.gasPrice != null) {
+            return { gasPrice: max(bump(fees.gasPrice), current.gasPrice || 0n) };
+        }
+        return {
+            maxFeePerGas: max(bump(fees.maxFeePerGas), current.maxFeePerGas || 0n),
+            maxPriorityFeePerGas: max(bump(fees.maxPriorityFeePerGas), current.maxPriorityFeePerGas || 0n)
+        };
+    }
+
+    /**
+     * Send a contract call and resolve with the receipt of whichever
+     * transaction at its nonce gets mined. `onSent` is called with the hash
+     * of the first broadcast and of every speed-up.
+     */
+    async send(request, fallbackGasLimit, onSent = null) {
+        const gasLimit = await this.estimateGas(request, fallbackGasLimit);
+        const fees = await this.getFees();
+        const nonce = this.takeNonce();
+
+        const tx = {
+            nonce,
+            request: {
+                to: request.to,
+                data: request.data,
+                value: request.value || 0n,
+                chainId: this.chainId,
+                nonce,
+                gasLimit
+            },
+            fees,
+            onSent,
+            hashes: [],
+            raw: null,
+            sentAt: 0,
+            replacements: 0,
+            cancelled: false,
+            stuck: false,       // out of replacements or at the fee cap
+            cancelHashes: new Set()
+        };
+        this.pending.set(nonce, tx);
+
+        try {
+            try {
+                await this.broadcast(tx, fees);
+            } catch (error) {
+                this.pending.delete(nonce);
+                if (isNonceUnused(error)) {
+                    // Nothing took this nonce; let the next send reuse it
+                    this.releaseNonce(nonce);
+                } else {
+                    // Stale or unknown; start again from the node's count
+                    this.logger.warn(`${this.name}: broadcast at nonce ${nonce} failed (${error.shortMessage || error.message}), resyncing nonces`);
+                    await this.resync().catch(resyncError => {
+                        this.logger.warn(`${this.name}: could not resync nonces: ${resyncError.message}`);
+                    });
+                }
+                throw error;
+            }
+            this.stats.sent++;
+            return await this.waitForReceipt(tx);
+        } finally {
+            this.pending.delete(nonce);
+        }
+    }
+
+    async broadcast(tx, fees, request = tx.request) {
+        let signed;
+        try {
+            signed = await this.signer.signTransaction({ ...request, ...fees });
+        } catch (error) {
+            error.unsigned = true;
+            throw error;
+        }
+        const response = await this.provider.broadcastTransaction(signed);
+
+        tx.fees = fees;
+        tx.raw = signed;
+        tx.sentAt = this.clock.now();
+        tx.hashes.push(response.hash);
+        this.logger.info(`${this.name}: transaction sent ${response.hash} (nonce ${tx.nonce})`);
+        if (tx.onSent && request === tx.request) {
+            tx.onSent(response.hash);
+        }
+        return response;
+    }
+
+    /**
+     * Watch every transaction sent at this nonce until one is mined,
+     * speeding up, resubmitting or cancelling along the way
+     */
+    async waitForReceipt(tx) {
+        for (;;) {
+            for (const hash of tx.hashes) {
+                const receipt = await this.provider.getTransactionReceipt(hash);
+                if (!receipt) {
+                    continue;
+                }
+                if (tx.cancelHashes.has(hash)) {
+                    throw new Error(`Transaction at nonce ${tx.nonce} was cancelled after ${tx.replacements} replacements`);
+                }
+                if (receipt.status !== 1) {
+                    throw new Error(`Transaction ${hash} reverted in block ${receipt.blockNumber}`);
+                }
+                return receipt;
+            }
+
+            try {
+                await this.checkPending(tx);
+            } catch (error) {
+                if (error.nonceUsed) {
+                    await this.resync();
+                    throw error;
+                }
+                // Underpriced replacements and flaky RPCs must not orphan the nonce
+                this.logger.warn(`${this.name}: could not rebroadcast nonce ${tx.nonce}: ${error.message}`);
+            }
+
+            await sleep(this.pollInterval);
+        }
+    }
+
+    async checkPending(tx) {
+        const minedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+        if (minedNonce > tx.nonce) {
+            // Give a just-mined receipt one more round before giving up
+            if (tx.nonceUsedAt && this.clock.now() - tx.nonceUsedAt > this.pollInterval * 2) {
+                const error = new Error(`Nonce ${tx.nonce} was used by a transaction this relayer did not send`);
+                error.nonceUsed = true;
+                throw error;
+            }
+            tx.nonceUsedAt = tx.nonceUsedAt || this.clock.now();
+        } else if (await this.isDropped(tx)) {
+            this.logger.warn(`${this.name}: transaction at nonce ${tx.nonce} was dropped, resubmitting`);
+            tx.sentAt = this.clock.now();
+            this.stats.resubmitted++;
+            await this.provider.broadcastTransaction(tx.raw);
+        } else if (this.clock.now() - tx.sentAt > this.replaceAfter) {
+            await this.replace(tx);
+        }
+    }
+
+    async isDropped(tx) {
+        for (const hash of tx.hashes) {
+            if (await this.provider.getTransaction(hash)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Re-send at the same nonce with higher fees, or cancel with a zero-value
+     * self-transfer once the replacement budget is spent. Gives up on fees
+     * after the cancel, or when the next bump would pass maxFeePerGas.
+     */
+    async replace(tx) {
+        if (tx.stuck) {
+            return;
+        }
+        const fees = await this.bumpFees(tx.fees);
+
+        if (tx.cancelled || this.overCap(fees)) {
+            tx.stuck = true;
+            this.stats.stuck++;
+            this.logger.error(`🚨 ${this.name}: transaction at nonce ${tx.nonce} is stuck${tx.cancelled ? ' after its cancel' : ' at the fee cap'}, no longer raising fees`);
+            return;
+        }
+
+        if (tx.replacements < this.maxReplacements) {
+            tx.replacements++;
+            this.stats.replaced++;
+            this.logger.warn(`${this.name}: nonce ${tx.nonce} stuck for ${this.replaceAfter / 1000}s, speeding up (${tx.replacements}/${this.maxReplacements})`);
+            await this.broadcast(tx, fees);
+            return;
+        }
+
+        tx.cancelled = true;
+        this.stats.cancelled++;
+        this.logger.warn(`${this.name}: cancelling transaction at nonce ${tx.nonce}`);
+
+        const response = await this.broadcast(tx, fees, {
+            to: this.address,
+            data: '0x',
+            value: 0n,
+            chainId: this.chainId,
+            nonce: tx.nonce,
+            gasLimit: 21000n
+        });
+        tx.cancelHashes.add(response.hash);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            nextNonce: this.nextNonce,
+            pending: Array.from(this.pending.values()).map(tx => ({
+                nonce: tx.nonce,
+                hashes: tx.hashes,
+                replacements: tx.replacements,
+                cancelled: tx.cancelled,
+                stuck: tx.stuck,
+                fees: Object.fromEntries(
+                    Object.entries(tx.fees).map(([key, value]) => [key, ethers.formatUnits(value, 'gwei')])
+                )
+            }))
+        };
+    }
+}
+
+module.exports = TransactionManager;
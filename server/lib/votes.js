@@ -0,0 +1,316 @@
+// lib/votes.js
+const { ethers } = require('ethers');
+const ABIs = require('../abis');
+
+// Governor proposal states, as returned by state()
+const ProposalState = {
+    PENDING: 0,
+    ACTIVE: 1
+};
+
+const VoteStatus = {
+    PENDING: 'pending',       // Verified, waiting for a batch
+    SUBMITTED: 'submitted',   // In a relayVotes transaction
+    RELAYED: 'relayed',
+    FAILED: 'failed',         // Ran out of attempts
+    EXPIRED: 'expired'        // Voting closed before it was relayed
+};
+
+class VoteError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'VoteError';
+        this.status = status;
+    }
+}
+
+/**
+ * Hash a voter signs over their snapshot, built as the dashboard's
+ * snapshotAndSign() does
+ */
+function snapshotHash(sourceChainId, snapshotAddress, governorAddress, proposalId, voter, votes, snapshotTime) {
+    return ethers.solidityPackedKeccak256(
+        ['uint64', 'address', 'address', 'uint256', 'address', 'uint256', 'uint256'],
+        [sourceChainId, snapshotAddress, governorAddress, proposalId, voter, votes, snapshotTime]
+    );
+}
+
+/**
+ * Relays source-chain vote snapshots to the governor chain. Voters submit
+ * their snapshot signature; it is checked against the snapshot contract and
+ * the proposal, then sent with others for the same proposal in one
+ * relayVotes call once `batchSize` votes are waiting, the oldest has waited
+ * `batchDelay`, or the deadline is within `deadlineMargin`.
+ */
+class VoteRelay {
+    constructor(relayer, options, logger) {
+        this.relayer = relayer;
+        this.options = options;
+        this.logger = logger;
+
+        this.source = relayer.chains.get(options.sourceChain);
+        this.target = relayer.chains.get(options.governorChain);
+        this.snapshots = new ethers.Contract(options.snapshotAddress, ABIs.VoteSnapshot, this.source.provider);
+        this.governor = new ethers.Contract(options.governorAddress, ABIs.MultiTokenGovernor, this.target.provider);
+        this.destination = new ethers.Contract(options.relayAddress, ABIs.VoteRelay, this.target.signer);
+
+        this.proposals = new Map(); // proposal id -> { id, deadline, votes: Map<voter, vote> }
+        this.running = false;
+    }
+
+    /**
+     * Verify a submitted signature and queue the vote. Throws VoteError
+     * with an HTTP status when the submission is rejected.
+     */
+    async submit({ proposalId, voter, signature }) {
+        let id;
+        try {
+            id = BigInt(proposalId);
+        } catch {
+            throw new VoteError(400, 'proposalId must be an integer');
+        }
+        if (typeof voter !== 'string' || !ethers.isAddress(voter)) {
+            throw new VoteError(400, 'voter must be an address');
+        }
+        if (!ethers.isHexString(signature, 65)) {
+            throw new VoteError(400, 'signature must be a 65-byte hex string');
+        }
+        voter = ethers.getAddress(voter);
+
+        const existing = this.get(id.toString(), voter);
+        if (existing && existing.status !== VoteStatus.FAILED && existing.status !== VoteStatus.EXPIRED) {
+            throw new VoteError(409, `${voter} already has a ${existing.status} vote for proposal ${id}`);
+        }
+
+        const [snapshot, state, proposalSnapshot, deadline, clock] = await Promise.all([
+            this.snapshots.getSnapshot(id, voter),
+            this.governor.state(id).then(Number).catch(() => null),
+            this.governor.proposalSnapshot(id),
+            this.governor.proposalDeadline(id),
+            this.governor.clock()
+        ]);
+
+        if (state === null || deadline === 0n) {
+            throw new VoteError(404, `Proposal ${id} does not exist on the governor`);
+        }
+        if (snapshot.voter !== voter) {
+            throw new VoteError(404, `No snapshot of ${voter} for proposal ${id}; call snapshotVotes first`);
+        }
+        if (snapshot.relayed) {
+            throw new VoteError(409, `The snapshot of ${voter} for proposal ${id} was already relayed`);
+        }
+        if (snapshot.proposalSnapshot !== proposalSnapshot) {
+            throw new VoteError(422, `Snapshot was taken for timepoint ${snapshot.proposalSnapshot} but the proposal snapshot is ${proposalSnapshot}`);
+        }
+        if (![ProposalState.PENDING, ProposalState.ACTIVE].includes(state) || clock >= deadline) {
+            throw new VoteError(409, `Proposal ${id} is closed for voting (state ${state})`);
+        }
+
+        const hash = snapshotHash(
+            this.source.config.chainId, this.options.snapshotAddress, this.options.governorAddress,
+            id, voter, snapshot.votes, snapshot.snapshotTime
+        );
+        let signer;
+        try {
+            signer = ethers.verifyMessage(ethers.getBytes(hash), signature);
+        } catch (error) {
+            throw new VoteError(400, `Invalid signature: ${error.shortMessage || error.message}`);
+        }
+        if (signer !== voter) {
+            throw new VoteError(422, `Signature is by ${signer}, not ${voter}, or does not cover the current snapshot`);
+        }
+
+        const vote = {
+            proposalId: id.toString(),
+            voter,
+            votes: snapshot.votes.toString(),
+            snapshotTime: snapshot.snapshotTime.toString(),
+            signature,
+            status: VoteStatus.PENDING,
+            attempts: 0,
+            txHash: null,
+            lastError: null,
+            submittedAt: this.relayer.clock.now(),
+            relayedAt: null
+        };
+        const proposal = this.proposals.get(vote.proposalId) ||
+            { id: vote.proposalId, deadline: deadline.toString(), votes: new Map() };
+        proposal.votes.set(voter, vote);
+        this.proposals.set(proposal.id, proposal);
+        this.save();
+
+        this.logger.info(`🗳️  Vote snapshot from ${voter} for proposal ${id}: ${ethers.formatEther(snapshot.votes)} votes`);
+        return vote;
+    }
+
+    get(proposalId, voter) {
+        const proposal = this.proposals.get(proposalId);
+        return proposal ? proposal.votes.get(ethers.getAddress(voter)) || null : null;
+    }
+
+    /**
+     * Votes for a proposal, optionally only one voter's
+     */
+    list(proposalId, voter = null) {
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return [];
+        }
+        const votes = Array.from(proposal.votes.values());
+        return voter ? votes.filter(vote => vote.voter === ethers.getAddress(voter)) : votes;
+    }
+
+    /**
+     * Relay every proposal's waiting votes that are due
+     */
+    async run() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        try {
+            const clock = await this.governor.clock();
+            for (const proposal of this.proposals.values()) {
+                const waiting = Array.from(proposal.votes.values()).filter(vote => vote.status === VoteStatus.PENDING);
+                if (waiting.length === 0) {
+                    continue;
+                }
+                try {
+                    await this.flush(proposal, waiting, clock);
+                } catch (error) {
+                    this.logger.error(`Vote relay for proposal ${proposal.id} failed: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            this.logger.error(`Vote relay failed: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async flush(proposal, waiting, clock) {
+        const deadline = BigInt(proposal.deadline);
+        if (clock >= deadline) {
+            return this.expire(proposal, waiting, 'voting closed before the vote was relayed');
+        }
+
+        const state = Number(await this.governor.state(proposal.id));
+        if (state === ProposalState.PENDING) {
+            return; // Relay once voting opens
+        }
+        if (state !== ProposalState.ACTIVE) {
+            return this.expire(proposal, waiting, `proposal is no longer active (state ${state})`);
+        }
+
+        const closing = deadline - clock <= BigInt(this.options.deadlineMargin);
+        const oldest = Math.min(...waiting.map(vote => vote.submittedAt));
+        if (!closing && waiting.length < this.options.batchSize && this.relayer.clock.now() - oldest < this.options.batchDelay) {
+            return;
+        }
+
+        for (let i = 0; i < waiting.length; i += this.options.batchSize) {
+            await this.relayBatch(proposal, waiting.slice(i, i + this.options.batchSize));
+        }
+    }
+
+    async relayBatch(proposal, batch) {
+        batch.forEach(vote => {
+            vote.status = VoteStatus.SUBMITTED;
+            vote.attempts++;
+        });
+
+        try {
+            const snapshots = batch.map(vote => ({
+                voter: vote.voter,
+                votes: BigInt(vote.votes),
+                snapshotTime: BigInt(vote.snapshotTime),
+                signature: vote.signature
+            }));
+            this.logger.info(`Relaying ${batch.length} votes for proposal ${proposal.id} to ${this.target.name}...`);
+
+            const request = await this.destination.relayVotes.populateTransaction(proposal.id, snapshots);
+            const receipt = await this.target.txManager.send(request, this.options.gasLimit, hash => {
+                batch.forEach(vote => {
+                    vote.txHash = hash;
+                });
+            });
+
+            batch.forEach(vote => {
+                vote.status = VoteStatus.RELAYED;
+                vote.txHash = receipt.hash;
+                vote.lastError = null;
+                vote.relayedAt = this.relayer.clock.now();
+            });
+            this.logger.info(`✅ Relayed ${batch.length} votes for proposal ${proposal.id} in block ${receipt.blockNumber}`);
+        } catch (error) {
+            batch.forEach(vote => {
+                vote.lastError = error.message;
+                vote.status = vote.attempts >= this.options.maxAttempts ? VoteStatus.FAILED : VoteStatus.PENDING;
+            });
+            this.logger.error(`Relaying votes for proposal ${proposal.id} failed: ${error.message}`);
+        } finally {
+            this.save();
+        }
+    }
+
+    expire(proposal, votes, reason) {
+        votes.forEach(vote => {
+            vote.status = VoteStatus.EXPIRED;
+            vote.lastError = reason;
+        });
+        this.save();
+        this.logger.warn(`${votes.length} votes for proposal ${proposal.id} expired: ${reason}`);
+    }
+
+    save() {
+        try {
+            this.relayer.store.transaction(tx => tx.setMeta('votes', this.toJSON()));
+        } catch (error) {
+            this.logger.error(`Could not save votes: ${error.message}`);
+        }
+    }
+
+    toJSON() {
+        return Array.from(this.proposals.values(), proposal => ({
+            id: proposal.id,
+            deadline: proposal.deadline,
+            votes: Array.from(proposal.votes.values())
+        }));
+    }
+
+    /**
+     * Restore saved votes, dropping proposals with nothing waiting whose
+     * last vote was submitted before `before`. A batch that was in flight
+     * when the relayer stopped is sent again.
+     */
+    load(saved = [], before = 0) {
+        for (const { id, deadline, votes } of saved) {
+            const waiting = votes.some(vote => vote.status === VoteStatus.PENDING || vote.status === VoteStatus.SUBMITTED);
+            if (!waiting && Math.max(...votes.map(vote => vote.submittedAt)) < before) {
+                continue;
+            }
+
+            this.proposals.set(id, {
+                id,
+                deadline,
+                votes: new Map(votes.map(vote => [vote.voter, {
+                    ...vote,
+                    status: vote.status === VoteStatus.SUBMITTED ? VoteStatus.PENDING : vote.status
+                }]))
+            });
+        }
+    }
+
+    stats() {
+        const counts = Object.fromEntries(Object.values(VoteStatus).map(status => [status, 0]));
+        for (const proposal of this.proposals.values()) {
+            for (const vote of proposal.votes.values()) {
+                counts[vote.status]++;
+            }
+        }
+        return { proposals: this.proposals.size, ...counts };
+    }
+}
+
+module.exports = { VoteRelay, VoteStatus, VoteError, snapshotHash };
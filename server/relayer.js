@@ -0,0 +1,47 @@
+// relayer.js
+const config = require('./config');
+const { BridgeRelayer } = require('./lib/relayer');
+const { createLogger } = require('./lib/logger');
+const { createDashboard } = require('./lib/dashboard');
+const { redact } = require('./lib/config');
+
+/**
+ * Run the relayer from config.js: start relaying, serve the dashboard if
+ * enabled and stop cleanly on SIGINT/SIGTERM. To embed the relayer
+ * instead, require index.js.
+ */
+function main() {
+    const logger = createLogger(config.logging);
+
+    // Initialize and start relayer
+    logger.info(`Config profile: ${config.source.profile}${config.source.env.length ? ` with ${config.source.env.length} environment overrides` : ''}`);
+    logger.debug(`Effective config: ${JSON.stringify(redact(config))}`);
+
+    const relayer = new BridgeRelayer(config, { logger });
+    relayer.start().catch(error => {
+        logger.error(`Fatal error: ${error.message}`);
+        process.exit(1);
+    });
+
+    // Web dashboard (optional)
+    if (config.dashboard.enabled) {
+        createDashboard(relayer, config, logger).listen(config.dashboard.port, config.dashboard.host, () => {
+            logger.info(`Dashboard running on http://${config.dashboard.host}:${config.dashboard.port}`);
+        });
+    }
+
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        logger.info('Shutting down relayer...');
+        relayer.stop();
+        process.exit(0);
+    });
+
+    process.on('SIGTERM', () => {
+        logger.info('Shutting down relayer...');
+        relayer.stop();
+        process.exit(0);
+    });
+}
+
+main();
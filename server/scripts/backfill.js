@@ -0,0 +1,92 @@
+// scripts/backfill.js
+const { ethers } = require('ethers');
+const config = require('../config');
+const { BridgeRelayer } = require('../index');
+
+/**
+ * Replay a block range on a route's source chain and queue relays for
+ * events it missed. Run it while the relayer is stopped; queued jobs are
+ * relayed on the next start.
+ *
+ *   node scripts/backfill.js --route <name> --from <block> [--to <block>] [--dry-run]
+ */
+function parseArgs(argv) {
+    const args = { dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--route':
+                args.route = argv[++i];
+                break;
+            case '--from':
+                args.from = Number(argv[++i]);
+                break;
+            case '--to':
+                args.to = Number(argv[++i]);
+                break;
+            case '--dry-run':
+                args.dryRun = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    if (!args.route) {
+        throw new Error('--route is required');
+    }
+    if (!Number.isInteger(args.from) || args.from < 0) {
+        throw new Error('--from must be a block number');
+    }
+    if (args.to !== undefined && (!Number.isInteger(args.to) || args.to < args.from)) {
+        throw new Error('--to must be a block number not below --from');
+    }
+    return args;
+}
+
+async function backfill(args) {
+    const relayer = new BridgeRelayer(config);
+
+    try {
+        const route = relayer.getRoute(args.route);
+
+        // Never replay past what the live relayer would consider final
+        const safeBlock = await relayer.getSafeBlock(route.from);
+        const toBlock = Math.min(args.to === undefined ? safeBlock : args.to, safeBlock);
+
+        console.log(`=== Backfill ${route.name} on ${route.from.name} blocks ${args.from}-${toBlock}${args.dryRun ? ' (dry run)' : ''} ===\n`);
+
+        const summary = await relayer.backfill(route.name, args.from, toBlock, { dryRun: args.dryRun });
+
+        for (const job of summary.jobs) {
+            const who = job.payload.from ? `from ${job.payload.from}` : `to ${job.payload.to}`;
+            console.log(`   ${args.dryRun ? 'Would relay' : 'Queued'} ${job.route} ${job.id}`);
+            console.log(`      block ${job.payload.blockNumber}, ${who}, amount ${ethers.formatEther(job.payload.amount)}`);
+        }
+
+        console.log('\n=== Summary ===');
+        console.log(`Events found: ${summary.events}`);
+        console.log(`${args.dryRun ? 'Would queue' : 'Queued'}: ${summary.queued}`);
+        console.log(`Skipped (already processed, queued or for another chain): ${summary.skipped}`);
+        if (!args.dryRun && summary.queued > 0) {
+            console.log('\nStart the relayer to relay the queued jobs.');
+        }
+    } finally {
+        relayer.store.close();
+    }
+}
+
+let args;
+try {
+    args = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.log(`❌ ${error.message}`);
+    console.log('Usage: node scripts/backfill.js --route <name> --from <block> [--to <block>] [--dry-run]');
+    process.exit(1);
+}
+
+backfill(args)
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,55 @@
+// scripts/create-keystore.js
+require('dotenv').config();
+const fs = require('fs');
+const { ethers } = require('ethers');
+const config = require('../config');
+
+/**
+ * Encrypt a key into the keystore file a `keystore` signer reads. The key
+ * comes from the signer's privateKeyEnv variable, or is generated with
+ * --new; the passphrase comes from its passphraseEnv variable.
+ *
+ *   node scripts/create-keystore.js [--attestation] [--new] [--force]
+ */
+async function createKeystore(args) {
+    const options = args.includes('--attestation') ? config.attestation.signer : config.relayer.signer;
+    const passphrase = process.env[options.passphraseEnv];
+    if (!passphrase) {
+        console.log(`❌ Set ${options.passphraseEnv} to the keystore passphrase`);
+        return false;
+    }
+    if (fs.existsSync(options.keystoreFile) && !args.includes('--force')) {
+        console.log(`❌ ${options.keystoreFile} already exists; pass --force to overwrite it`);
+        return false;
+    }
+
+    let wallet;
+    if (args.includes('--new')) {
+        wallet = ethers.Wallet.createRandom();
+    } else if (process.env[options.privateKeyEnv]) {
+        wallet = new ethers.Wallet(process.env[options.privateKeyEnv]);
+    } else {
+        console.log(`❌ Set ${options.privateKeyEnv} to the key to encrypt, or pass --new`);
+        return false;
+    }
+
+    console.log('Encrypting key (this takes a few seconds)...');
+    const json = await wallet.encrypt(passphrase);
+    fs.writeFileSync(options.keystoreFile, json, { mode: 0o600 });
+
+    console.log(`✅ Wrote ${options.keystoreFile} for ${wallet.address}`);
+    if (options.address && ethers.getAddress(options.address) !== wallet.address) {
+        console.log(`⚠️  The configured signer address is ${options.address}; update it to match`);
+    }
+    console.log(`\nUnset ${options.privateKeyEnv} and remove the plaintext key from wherever it was stored.`);
+    return true;
+}
+
+createKeystore(process.argv.slice(2))
+    .then(success => {
+        process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,76 @@
+// scripts/migrate-processed.js
+const fs = require('fs');
+const config = require('../config');
+const { systemClock } = require('../lib/clock');
+const { createStore } = require('../lib/storage');
+const { resolveRoutes } = require('../lib/routes');
+
+/**
+ * One-shot import of a legacy processed.json into the configured state store.
+ * Its processed locks and unlocks go to the first lock and unlock route, and
+ * its last source and local blocks become their cursors. The legacy file is
+ * renamed to <file>.migrated afterwards.
+ *
+ *   node scripts/migrate-processed.js [processed.json] [--force]
+ */
+function migrate(file, force) {
+    console.log('=== Migrating processed.json ===\n');
+
+    if (!fs.existsSync(file)) {
+        console.log(`❌ ${file} not found`);
+        return false;
+    }
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const stats = data.stats || {};
+
+    const { routes } = resolveRoutes(config);
+    const lockRoute = routes.find(route => route.bridge === 'lock');
+    const unlockRoute = routes.find(route => route.bridge === 'unlock');
+    if (!lockRoute || !unlockRoute) {
+        console.log('❌ processed.json can only be imported with a lock and an unlock route configured');
+        return false;
+    }
+
+    const store = createStore(config.storage, console);
+    store.open();
+
+    try {
+        if (!store.isEmpty() && !force) {
+            console.log(`❌ The ${config.storage.backend} store already holds state; pass --force to merge into it`);
+            return false;
+        }
+
+        const now = systemClock.now();
+        store.transaction(tx => {
+            (data.locks || []).forEach(id => tx.markProcessed(lockRoute.name, id, now));
+            (data.unlocks || []).forEach(id => tx.markProcessed(unlockRoute.name, id, now));
+
+            if (stats.lastSourceBlock) {
+                tx.setCursor(lockRoute.name, stats.lastSourceBlock);
+            }
+            if (stats.lastLocalBlock) {
+                tx.setCursor(unlockRoute.name, stats.lastLocalBlock);
+            }
+        });
+    } finally {
+        store.close();
+    }
+
+    console.log(`✅ Imported ${(data.locks || []).length} locks and ${(data.unlocks || []).length} unlocks`);
+    console.log(`✅ Cursors: ${lockRoute.name} ${stats.lastSourceBlock || 'unset'}, ${unlockRoute.name} ${stats.lastLocalBlock || 'unset'}`);
+
+    fs.renameSync(file, `${file}.migrated`);
+    console.log(`\nRenamed ${file} to ${file}.migrated`);
+    return true;
+}
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--')) || config.storage.legacyFile;
+
+try {
+    process.exit(migrate(file, args.includes('--force')) ? 0 : 1);
+} catch (error) {
+    console.error('Fatal error:', error);
+    process.exit(1);
+}
@@ -0,0 +1,25 @@
+// scripts/print-config.js
+require('dotenv').config();
+const { loadConfig, redact, ConfigError } = require('../lib/config');
+
+/**
+ * Validate and print the effective configuration with secrets redacted.
+ * Exits non-zero if the config is invalid.
+ *
+ *   RELAYER_PROFILE=sepolia-amoy node scripts/print-config.js
+ */
+try {
+    const config = loadConfig();
+
+    console.log(`=== Effective config (profile ${config.source.profile}) ===`);
+    if (config.source.env.length > 0) {
+        console.log(`Environment overrides: ${config.source.env.join(', ')}`);
+    }
+    console.log(JSON.stringify(redact(config), null, 2));
+} catch (error) {
+    if (!(error instanceof ConfigError)) {
+        throw error;
+    }
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,62 @@
+// scripts/queue.js
+const config = require('../config');
+const { RelayQueue } = require('../lib/queue');
+const { createStore } = require('../lib/storage');
+
+/**
+ * Inspect the relay queue and requeue dead-lettered jobs.
+ * With the JSON backend, stop the relayer first: it rewrites the state file.
+ *
+ *   node scripts/queue.js list
+ *   node scripts/queue.js requeue <jobId|--all>
+ */
+function printJob(job) {
+    console.log(`   ${job.id}`);
+    console.log(`      route: ${job.route}, state: ${job.state}, attempts: ${job.attempts}`);
+    if (job.lastError) {
+        console.log(`      last error: ${job.lastError}`);
+    }
+}
+
+function list(queue) {
+    console.log(`=== Queued jobs (${queue.jobs.size}) ===`);
+    queue.jobs.forEach(printJob);
+    console.log(`\n=== Dead-letter jobs (${queue.deadLetter.size}) ===`);
+    queue.deadLetter.forEach(printJob);
+}
+
+function requeue(queue, store, target) {
+    if (!target) {
+        console.log('Usage: node scripts/queue.js requeue <jobId|--all>');
+        process.exit(1);
+    }
+
+    const ids = target === '--all' ? Array.from(queue.deadLetter.keys()) : [target];
+    store.transaction(tx => {
+        for (const id of ids) {
+            const job = queue.requeue(id);
+            if (job) {
+                tx.putJob(job);
+                console.log(`✅ Requeued ${id}`);
+            } else {
+                console.log(`❌ ${id} is not in the dead-letter list`);
+            }
+        }
+    });
+}
+
+const [command, target] = process.argv.slice(2);
+const store = createStore(config.storage, console);
+store.open();
+const queue = new RelayQueue(config.queue, console);
+queue.load(store.load().jobs);
+
+if (command === 'list') {
+    list(queue);
+} else if (command === 'requeue') {
+    requeue(queue, store, target);
+} else {
+    console.log('Usage: node scripts/queue.js <list|requeue> [jobId|--all]');
+    process.exitCode = 1;
+}
+store.close();
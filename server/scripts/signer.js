@@ -0,0 +1,61 @@
+// scripts/signer.js
+require('dotenv').config();
+const express = require('express');
+const config = require('../config');
+const { resolveRoutes } = require('../lib/routes');
+const { LockAttester, bridgeEntry } = require('../lib/attestation');
+const { createSigner } = require('../lib/signers');
+const { FailoverProvider } = require('../lib/rpc-provider');
+
+/**
+ * Attestation signer peer. Each signer runs its own copy with its own key
+ * (attestation.signer) and ideally its own RPC endpoints, and signs a lock
+ * only after reading the event from chain itself.
+ *
+ *   node scripts/signer.js [--port <port>]
+ */
+function main() {
+    let signer;
+    try {
+        signer = createSigner(config.attestation.signer);
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    const portArg = process.argv.indexOf('--port');
+    const port = portArg === -1 ? config.attestation.port : Number(process.argv[portArg + 1]);
+
+    const { chains, routes } = resolveRoutes(config);
+    const providers = {};
+    const bridges = routes
+        .filter(route => route.bridge === 'lock')
+        .map(route => {
+            providers[route.from] = providers[route.from] || new FailoverProvider(chains[route.from], config.rpc, console);
+            return bridgeEntry(route, chains[route.from], chains[route.to], providers[route.from]);
+        });
+
+    const attester = new LockAttester(signer, bridges, console);
+    const app = express();
+    app.use(express.json());
+
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok', signer: attester.address });
+    });
+
+    app.post('/attest', async (req, res) => {
+        try {
+            res.json(await attester.attest(req.body || {}));
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            res.status(422).json({ error: error.message });
+        }
+    });
+
+    app.listen(port, config.attestation.host, () => {
+        console.log(`✅ Signer ${attester.address} listening on http://${config.attestation.host}:${port}`);
+        console.log(`   Attesting ${bridges.length} lock bridges`);
+    });
+}
+
+main();
@@ -1,89 +1,124 @@
 // scripts/test-connection.js
 const { ethers } = require('ethers');
 const config = require('../config');
+const { resolveRoutes } = require('../lib/routes');
+const { createSigner } = require('../lib/signers');
+const { FailoverProvider } = require('../lib/rpc-provider');
 
-async function testConnection() {
-    console.log('=== Testing RPC Connections ===\n');
+/**
+ * Sign a throwaway message to prove the signer backend is reachable and
+ * holds the configured account's key
+ */
+async function testSigner(signer) {
+    console.log(`Testing ${config.relayer.signer.type} signer...`);
+    const message = `bridge-relayer connection test ${Date.now()}`;
+    const signature = await signer.signMessage(message);
+    const recovered = ethers.verifyMessage(message, signature);
+    if (recovered !== signer.address) {
+        throw new Error(`signature recovered to ${recovered}, expected ${signer.address}`);
+    }
+    console.log(`   ✅ Signer can sign for ${signer.address}\n`);
+}
+
+/**
+ * Check one of a chain's RPC endpoints on its own, so a broken fallback
+ * is caught before it is needed
+ */
+async function testEndpoint(url, chainConfig) {
+    console.log(`   RPC: ${url}`);
+    const provider = new ethers.JsonRpcProvider(url);
 
-    // Test Source Chain (Sepolia)
-    console.log('1. Testing Source Chain (Sepolia)...');
-    console.log(`   RPC: ${config.sourceChain.rpcUrl}`);
-    
     try {
-        const sourceProvider = new ethers.JsonRpcProvider(config.sourceChain.rpcUrl);
-        
         console.log('   Fetching network info...');
-        const network = await sourceProvider.getNetwork();
+        const network = await provider.getNetwork();
         console.log(`   ✅ Connected to chain ID: ${network.chainId}`);
-        
-        console.log('   Fetching block number...');
-        const blockNumber = await sourceProvider.getBlockNumber();
-        console.log(`   ✅ Current block: ${blockNumber}`);
-        
-        console.log('   Checking wallet balance...');
-        const wallet = new ethers.Wallet(config.relayer.privateKey, sourceProvider);
-        const balance = await sourceProvider.getBalance(wallet.address);
-        console.log(`   ✅ Relayer address: ${wallet.address}`);
-        console.log(`   ✅ Balance: ${ethers.formatEther(balance)} ETH`);
-        
-        console.log('   Checking bridge contract...');
-        const code = await sourceProvider.getCode(config.sourceChain.bridgeAddress);
-        if (code === '0x') {
-            console.log(`   ❌ No contract at bridge address: ${config.sourceChain.bridgeAddress}`);
-        } else {
-            console.log(`   ✅ Bridge contract exists at: ${config.sourceChain.bridgeAddress}`);
+        if (Number(network.chainId) !== chainConfig.chainId) {
+            throw new Error(`expected chain ID ${chainConfig.chainId}`);
         }
-        
-    } catch (error) {
-        console.log(`   ❌ Source chain error: ${error.message}`);
-        return false;
-    }
 
-    console.log('\n2. Testing Local Chain (Geth)...');
-    console.log(`   RPC: ${config.localChain.rpcUrl}`);
-    
-    try {
-        const localProvider = new ethers.JsonRpcProvider(config.localChain.rpcUrl);
-        
-        console.log('   Fetching network info...');
-        const network = await localProvider.getNetwork();
-        console.log(`   ✅ Connected to chain ID: ${network.chainId}`);
-        
         console.log('   Fetching block number...');
-        const blockNumber = await localProvider.getBlockNumber();
+        const blockNumber = await provider.getBlockNumber();
         console.log(`   ✅ Current block: ${blockNumber}`);
-        
+
         if (blockNumber === 0) {
             console.log('   ⚠️  Warning: Block number is 0. Chain might not be mining.');
             console.log('   💡 Tip: Send a transaction to trigger block production');
         }
-        
-        console.log('   Checking wallet balance...');
-        const wallet = new ethers.Wallet(config.relayer.privateKey, localProvider);
-        const balance = await localProvider.getBalance(wallet.address);
-        console.log(`   ✅ Relayer address: ${wallet.address}`);
-        console.log(`   ✅ Balance: ${ethers.formatEther(balance)} ETH`);
-        
-        if (balance === 0n) {
-            console.log('   ⚠️  Warning: Relayer has no ETH on local chain!');
-            console.log('   💡 Fund the relayer to pay for gas');
-        }
-        
-        console.log('   Checking bridge contract...');
-        const code = await localProvider.getCode(config.localChain.bridgeAddress);
-        if (code === '0x') {
-            console.log(`   ❌ No contract at bridge address: ${config.localChain.bridgeAddress}`);
-        } else {
-            console.log(`   ✅ Bridge contract exists at: ${config.localChain.bridgeAddress}`);
-        }
-        
+    } finally {
+        provider.destroy();
+    }
+}
+
+async function testChain(key, chainConfig, index, address) {
+    console.log(`${index}. Testing ${chainConfig.name} (${key})...`);
+
+    for (const url of [chainConfig.rpcUrl, ...chainConfig.rpcUrls]) {
+        await testEndpoint(url, chainConfig);
+    }
+    const provider = new FailoverProvider(chainConfig, config.rpc, console);
+
+    console.log('   Checking wallet balance...');
+    const balance = await provider.getBalance(address);
+    console.log(`   ✅ Relayer address: ${address}`);
+    console.log(`   ✅ Balance: ${ethers.formatEther(balance)} ETH`);
+
+    if (balance === 0n) {
+        console.log(`   ⚠️  Warning: Relayer has no ETH on ${chainConfig.name}!`);
+        console.log('   💡 Fund the relayer to pay for gas');
+    }
+
+    return provider;
+}
+
+async function checkContract(provider, label, address) {
+    const code = await provider.getCode(address);
+    if (code === '0x') {
+        console.log(`   ❌ No contract at ${label} address: ${address}`);
+        return false;
+    }
+    console.log(`   ✅ ${label} contract exists at: ${address}`);
+    return true;
+}
+
+async function testConnection() {
+    console.log('=== Testing RPC Connections ===\n');
+
+    const { chains, routes } = resolveRoutes(config);
+    const providers = {};
+    let index = 1;
+
+    let signer;
+    try {
+        signer = createSigner(config.relayer.signer);
+        await testSigner(signer);
     } catch (error) {
-        console.log(`   ❌ Local chain error: ${error.message}`);
+        console.log(`   ❌ Signer error: ${error.message}`);
         return false;
     }
 
+    for (const key of new Set(routes.flatMap(route => [route.from, route.to]))) {
+        try {
+            providers[key] = await testChain(key, chains[key], index++, signer.address);
+        } catch (error) {
+            console.log(`   ❌ ${chains[key].name} error: ${error.message}`);
+            return false;
+        }
+        console.log('');
+    }
+
+    console.log('=== Checking Route Contracts ===');
+    let contractsFound = true;
+    for (const route of routes) {
+        console.log(`\n${route.name} (${route.bridge}: ${route.from} -> ${route.to})`);
+        contractsFound = await checkContract(providers[route.from], 'Source bridge', route.sourceAddress) && contractsFound;
+        contractsFound = await checkContract(providers[route.to], 'Destination bridge', route.destinationAddress) && contractsFound;
+    }
+
     console.log('\n=== Summary ===');
     console.log('✅ All connections successful!');
+    if (!contractsFound) {
+        console.log('⚠️  Some bridge contracts are missing, check the route addresses');
+    }
     console.log('\nRelayer is ready to start.');
     return true;
 }
@@ -96,4 +131,3 @@ testConnection()
         console.error('Fatal error:', error);
         process.exit(1);
     });
-
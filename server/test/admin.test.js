@@ -0,0 +1,114 @@
+// test/admin.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createAdminRouter } = require('../lib/admin');
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('Admin API', () => {
+    let dir;
+    let auditFile;
+    let relayer;
+    let server;
+    let url;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-relayer-'));
+        auditFile = path.join(dir, 'audit.log');
+
+        relayer = {
+            clock: { now: () => Date.parse('2026-01-02T03:04:05Z') },
+            routes: new Map(),
+            pause(name, by) {
+                this.routes.get(name).paused = by;
+                return true;
+            },
+            resume(name) {
+                this.routes.get(name).paused = null;
+                return true;
+            }
+        };
+
+        const app = express();
+        app.use('/admin', createAdminRouter(relayer, {
+            tokens: [{ name: 'alice', tokenEnv: 'ALICE_TOKEN' }],
+            auditFile
+        }, quiet, { ALICE_TOKEN: 'alice-secret' }));
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        url = `http://127.0.0.1:${server.address().port}/admin`;
+    });
+
+    after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        fs.rmSync(auditFile, { force: true });
+        relayer.routes.set('lock', { name: 'lock', cursor: 5, paused: null });
+    });
+
+    function post(route, token, body = {}) {
+        return fetch(`${url}${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify(body)
+        });
+    }
+
+    function audited() {
+        return fs.readFileSync(auditFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    it('turns away requests without a valid token and audits each one', async () => {
+        assert.equal((await post('/routes/lock/pause', null)).status, 401);
+        assert.equal((await post('/routes/lock/pause', 'guess')).status, 401);
+        assert.equal((await fetch(`${url}/audit`)).status, 401);
+        assert.equal(relayer.routes.get('lock').paused, null);
+
+        assert.deepEqual(audited(), [
+            ['POST /admin/routes/lock/pause', 'no bearer token'],
+            ['POST /admin/routes/lock/pause', 'unknown token'],
+            ['GET /admin/audit', 'no bearer token']
+        ].map(([target, error]) => ({
+            at: '2026-01-02T03:04:05.000Z',
+            actor: null,
+            ip: '127.0.0.1',
+            action: 'authenticate',
+            target,
+            params: {},
+            ok: false,
+            error
+        })));
+        assert.ok(!fs.readFileSync(auditFile, 'utf8').includes('guess'), 'presented tokens are not logged');
+    });
+
+    it('audits every action once with its outcome', async () => {
+        const paused = await post('/routes/lock/pause', 'alice-secret', { reason: 'maintenance' });
+        assert.equal(paused.status, 200);
+        assert.deepEqual(await paused.json(), { ok: true, paused: true });
+
+        assert.equal((await post('/routes/lock/resume', 'alice-secret')).status, 200);
+        const again = await post('/routes/lock/resume', 'alice-secret');
+        assert.equal(again.status, 409);
+        assert.deepEqual(await again.json(), { error: 'lock is not paused' });
+        assert.equal((await post('/routes/unknown/pause', 'alice-secret')).status, 404);
+
+        const entries = audited().map(({ actor, ip, action, target, params, ok, error }) => ({ actor, ip, action, target, params, ok, error }));
+        const entry = (action, target, params, error = null) => ({ actor: 'alice', ip: '127.0.0.1', action, target, params, ok: !error, error });
+        assert.deepEqual(entries, [
+            entry('pause', 'lock', { reason: 'maintenance' }),
+            entry('resume', 'lock', {}),
+            entry('resume', 'lock', {}, 'lock is not paused'),
+            entry('pause', 'unknown', {}, 'Unknown route: unknown')
+        ]);
+
+        const recent = await (await fetch(`${url}/audit?limit=2`, { headers: { Authorization: 'Bearer alice-secret' } })).json();
+        assert.deepEqual(recent.map(({ action, ok }) => [action, ok]), [['pause', false], ['resume', false]]);
+    });
+});
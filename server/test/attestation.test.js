@@ -0,0 +1,75 @@
+// test/attestation.test.js
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { Devnet, waitFor } = require('./helpers/devnet');
+
+const ROUTE = 'sepolia-local-attested';
+
+describe('Lock attestation on a local devnet', () => {
+    let devnet;
+    let sourceBridge;
+    let attestedBridge;
+    const signers = Array.from({ length: 3 }, () => ethers.Wallet.createRandom());
+    const outsider = ethers.Wallet.createRandom();
+
+    before(async () => {
+        devnet = await Devnet.start();
+        const { sepolia, local, relayerAddress, contracts } = devnet;
+        sourceBridge = contracts.sourceBridge.connect(sepolia.user);
+        attestedBridge = await devnet.deployContract(local, 'AttestedLocalBridge',
+            relayerAddress,
+            sepolia.chainId,
+            await sourceBridge.getAddress(),
+            await contracts.localBridge.token(),
+            signers.map(signer => signer.address),
+            2
+        );
+    });
+
+    after(() => devnet.stop());
+
+    afterEach(() => devnet.stopRelayers());
+
+    /**
+     * Run only a lock route into the attested bridge, with `peers` signing
+     */
+    async function startRelayer(peers) {
+        return devnet.startRelayer(devnet.stateDir(), {
+            routes: [{
+                name: ROUTE,
+                bridge: 'lock',
+                from: 'sepolia',
+                to: 'local',
+                sourceAddress: await sourceBridge.getAddress(),
+                destinationAddress: await attestedBridge.getAddress(),
+                tokenAddress: await devnet.contracts.localBridge.token()
+            }],
+            attestation: {
+                enabled: true,
+                threshold: 2,
+                signers: signers.map(signer => signer.address),
+                peers: peers.map(peer => ({ type: 'local', privateKey: peer.privateKey })),
+                requestTimeout: 1000
+            }
+        });
+    }
+
+    it('relays a lock with threshold signatures the bridge accepts', async () => {
+        // Two allowed signers are enough, whatever the outsider sends
+        const relayer = await startRelayer([signers[2], outsider, signers[0]]);
+        const receipt = await (await sourceBridge.lock(ethers.parseEther('5'), devnet.local.chainId)).wait();
+
+        await waitFor(() => attestedBridge.processed(receipt.hash), { message: `attested lock ${receipt.hash}` });
+        assert.equal(await attestedBridge.balanceOf(receipt.from), ethers.parseEther('5'));
+        assert.equal(relayer.getStats().routes[ROUTE].errors, 0);
+    });
+
+    it('does not relay a lock without enough attestations', async () => {
+        const relayer = await startRelayer([signers[1], outsider]);
+        const receipt = await (await sourceBridge.lock(ethers.parseEther('1'), devnet.local.chainId)).wait();
+
+        await waitFor(() => relayer.getStats().routes[ROUTE].errors > 0, { message: 'failed relay attempt' });
+        assert.equal(await attestedBridge.processed(receipt.hash), false);
+    });
+});
@@ -0,0 +1,32 @@
+// test/config.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, ConfigError } = require('../index');
+
+const sqlite = (() => {
+    try {
+        require('node:sqlite');
+        return true;
+    } catch {
+        return false;
+    }
+})();
+
+describe('loadConfig storage backend', () => {
+    const load = backend => loadConfig({ profile: 'sepolia-local', env: {}, overrides: { storage: { backend } } });
+
+    it('accepts the json backend on any supported Node', () => {
+        assert.equal(load('json').storage.backend, 'json');
+    });
+
+    it('rejects the sqlite backend where node:sqlite is missing', { skip: sqlite && 'node:sqlite is available' }, () => {
+        assert.throws(() => load('sqlite'), error =>
+            error instanceof ConfigError &&
+            error.problems.some(problem => problem.startsWith('storage.backend:') && problem.includes(process.versions.node))
+        );
+    });
+
+    it('accepts the sqlite backend where node:sqlite is available', { skip: !sqlite && 'node:sqlite is missing' }, () => {
+        assert.equal(load('sqlite').storage.backend, 'sqlite');
+    });
+});
@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+// Stand-ins for the lock/unlock bridge pair the relayer drives, whose
+// sources live outside this repo. They implement the interface in
+// server/abis.js and check the relayer's lock signatures. Replays revert
+// with the names the relayer looks for (see lib/routes): LocalBridge as a
+// reason string and SourceBridge as a custom error, so both forms are
+// covered.
+
+contract SourceBridge {
+    address public immutable relayer;
+    mapping(bytes32 => bool) public unlocked;
+
+    event TokensLocked(address indexed from, uint256 amount, uint64 indexed destinationChainId, uint256 timestamp);
+    event TokensReleased(bytes32 indexed burnTxHash, address indexed to, uint256 amount);
+
+    error UnlockAlreadyProcessed();
+
+    constructor(address relayer_) {
+        relayer = relayer_;
+    }
+
+    function lock(uint256 amount, uint64 destinationChainId) external {
+        emit TokensLocked(msg.sender, amount, destinationChainId, block.timestamp);
+    }
+
+    function relayUnlock(bytes32 burnTxHash, address to, uint256 amount) external {
+        require(msg.sender == relayer, "not relayer");
+        if (unlocked[burnTxHash]) revert UnlockAlreadyProcessed();
+        unlocked[burnTxHash] = true;
+        emit TokensReleased(burnTxHash, to, amount);
+    }
+}
+
+contract LocalBridge {
+    address public immutable relayer;
+    uint64 public immutable sourceChainId;
+    address public immutable sourceBridge;
+    address public immutable token;
+
+    uint256 public nonce;
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(bytes32 => bool) public processed;
+
+    event TokensMinted(bytes32 indexed txHash, address indexed to, uint256 amount);
+    event TokensUnlocked(bytes32 indexed burnTxHash, address indexed to, uint256 amount);
+
+    error InvalidSignature();
+
+    constructor(address relayer_, uint64 sourceChainId_, address sourceBridge_, address token_) {
+        relayer = relayer_;
+        sourceChainId = sourceChainId_;
+        sourceBridge = sourceBridge_;
+        token = token_;
+    }
+
+    function relayLock(bytes32 txHash, address from, uint256 amount, uint256 sourceChainTimestamp, bytes calldata signature) external {
+        require(msg.sender == relayer, "not relayer");
+        require(!processed[txHash], "TransactionAlreadyProcessed");
+
+        bytes32 message = keccak256(abi.encodePacked(sourceChainId, sourceBridge, token, txHash, from, amount, sourceChainTimestamp));
+        if (recover(keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", message)), signature) != relayer) {
+            revert InvalidSignature();
+        }
+
+        processed[txHash] = true;
+        balanceOf[from] += amount;
+        totalSupply += amount;
+        emit TokensMinted(txHash, from, amount);
+    }
+
+    function burn(uint256 amount) external {
+        balanceOf[msg.sender] -= amount;
+        totalSupply -= amount;
+        emit TokensUnlocked(keccak256(abi.encode(msg.sender, amount, ++nonce)), msg.sender, amount);
+    }
+
+    function recover(bytes32 digest, bytes calldata signature) private pure returns (address) {
+        if (signature.length != 65) {
+            return address(0);
+        }
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        return ecrecover(digest, v, r, s);
+    }
+}
+
+// LocalBridge for attested routes: relayLock takes `threshold` signatures
+// from distinct allowed signers, packed 65 bytes each in ascending signer
+// address order, as the relayer's attestation aggregator sends them.
+contract AttestedLocalBridge {
+    address public immutable relayer;
+    uint64 public immutable sourceChainId;
+    address public immutable sourceBridge;
+    address public immutable token;
+    uint256 public immutable threshold;
+
+    mapping(address => bool) public isSigner;
+    mapping(bytes32 => bool) public processed;
+    mapping(address => uint256) public balanceOf;
+
+    event TokensMinted(bytes32 indexed txHash, address indexed to, uint256 amount);
+
+    error InvalidSignature();
+
+    constructor(address relayer_, uint64 sourceChainId_, address sourceBridge_, address token_, address[] memory signers, uint256 threshold_) {
+        relayer = relayer_;
+        sourceChainId = sourceChainId_;
+        sourceBridge = sourceBridge_;
+        token = token_;
+        threshold = threshold_;
+        for (uint256 i = 0; i < signers.length; i++) {
+            isSigner[signers[i]] = true;
+        }
+    }
+
+    function relayLock(bytes32 txHash, address from, uint256 amount, uint256 sourceChainTimestamp, bytes calldata signatures) external {
+        require(msg.sender == relayer, "not relayer");
+        require(!processed[txHash], "TransactionAlreadyProcessed");
+        if (signatures.length != threshold * 65) {
+            revert InvalidSignature();
+        }
+
+        bytes32 message = keccak256(abi.encodePacked(sourceChainId, sourceBridge, token, txHash, from, amount, sourceChainTimestamp));
+        bytes32 digest = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", message));
+        address previous = address(0);
+        for (uint256 i = 0; i < threshold; i++) {
+            bytes calldata signature = signatures[i * 65:(i + 1) * 65];
+            address signer = ecrecover(digest, uint8(signature[64]), bytes32(signature[0:32]), bytes32(signature[32:64]));
+            // Ascending order rules out counting one signer twice
+            if (!isSigner[signer] || signer <= previous) {
+                revert InvalidSignature();
+            }
+            previous = signer;
+        }
+
+        processed[txHash] = true;
+        balanceOf[from] += amount;
+        emit TokensMinted(txHash, from, amount);
+    }
+}
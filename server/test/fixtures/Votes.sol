@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+// Stand-ins for the vote relay contracts, whose sources live outside this
+// repo: the snapshot contract the dashboard's snapshotAndSign() calls on the
+// source chain, a governor exposing the views the relayer reads, and the
+// governor-chain contract that takes signed snapshots through relayVotes
+// (server/abis.js). MultiTokenGovernor itself has no relayVotes.
+
+contract VoteSnapshot {
+    struct Snapshot {
+        address voter;
+        uint256 votes;
+        uint256 snapshotTime;
+        uint256 proposalId;
+        uint256 proposalSnapshot;
+        bool relayed;
+    }
+
+    mapping(uint256 => mapping(address => Snapshot)) private snapshots;
+
+    function snapshotVotes(uint256 proposalId, uint256 proposalSnapshot) external returns (uint256) {
+        uint256 votes = 10 ether;
+        snapshots[proposalId][msg.sender] = Snapshot(msg.sender, votes, block.timestamp, proposalId, proposalSnapshot, false);
+        return votes;
+    }
+
+    function getSnapshot(uint256 proposalId, address voter) external view returns (Snapshot memory) {
+        return snapshots[proposalId][voter];
+    }
+}
+
+contract GovernorStandIn {
+    mapping(uint256 => uint256) public proposalSnapshot;
+    mapping(uint256 => uint256) public proposalDeadline;
+
+    function propose(uint256 proposalId, uint256 snapshot, uint256 deadline) external {
+        proposalSnapshot[proposalId] = snapshot;
+        proposalDeadline[proposalId] = deadline;
+    }
+
+    // Pending until the snapshot, then active; only those two matter here
+    function state(uint256 proposalId) external view returns (uint8) {
+        require(proposalDeadline[proposalId] != 0, "unknown proposal");
+        return clock() <= proposalSnapshot[proposalId] ? 0 : 1;
+    }
+
+    function clock() public view returns (uint48) {
+        return uint48(block.number);
+    }
+}
+
+contract VoteRelay {
+    struct SignedSnapshot {
+        address voter;
+        uint256 votes;
+        uint256 snapshotTime;
+        bytes signature;
+    }
+
+    address public immutable relayer;
+    uint64 public immutable sourceChainId;
+    address public immutable snapshotContract;
+    address public immutable governor;
+
+    mapping(uint256 => mapping(address => uint256)) public votesOf;
+
+    event VotesRelayed(uint256 indexed proposalId, uint256 count);
+
+    error InvalidSignature(address voter);
+
+    constructor(address relayer_, uint64 sourceChainId_, address snapshotContract_, address governor_) {
+        relayer = relayer_;
+        sourceChainId = sourceChainId_;
+        snapshotContract = snapshotContract_;
+        governor = governor_;
+    }
+
+    function relayVotes(uint256 proposalId, SignedSnapshot[] calldata snapshots) external {
+        require(msg.sender == relayer, "not relayer");
+        for (uint256 i = 0; i < snapshots.length; i++) {
+            SignedSnapshot calldata snapshot = snapshots[i];
+            bytes32 hash = keccak256(abi.encodePacked(sourceChainId, snapshotContract, governor, proposalId, snapshot.voter, snapshot.votes, snapshot.snapshotTime));
+            bytes32 digest = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", hash));
+            bytes calldata signature = snapshot.signature;
+            if (signature.length != 65 ||
+                ecrecover(digest, uint8(signature[64]), bytes32(signature[0:32]), bytes32(signature[32:64])) != snapshot.voter) {
+                revert InvalidSignature(snapshot.voter);
+            }
+            votesOf[proposalId][snapshot.voter] = snapshot.votes;
+        }
+        emit VotesRelayed(proposalId, snapshots.length);
+    }
+}
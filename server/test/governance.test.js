@@ -0,0 +1,97 @@
+// test/governance.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const ABIs = require('../abis');
+const { GovernanceIndexer } = require('../lib/governance');
+const { systemClock } = require('../lib/clock');
+const { FakeProvider } = require('./helpers/fake-provider');
+
+const GOVERNOR = '0x0000000000000000000000000000000000000a11';
+const TOKEN = '0x0000000000000000000000000000000000000b22';
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0b';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('GovernanceIndexer', () => {
+    let provider;
+    let writes;
+    let indexer;
+    let failPastVotes;
+
+    beforeEach(() => {
+        provider = new FakeProvider();
+        provider.contract(GOVERNOR, ABIs.MultiTokenGovernor, {
+            state: () => 1n,
+            quorum: () => ethers.parseEther('100')
+        });
+        failPastVotes = () => false;
+        provider.contract(TOKEN, ABIs.IVotes, {
+            getPastVotes: voter => {
+                if (failPastVotes(voter)) {
+                    throw new Error('getPastVotes unavailable');
+                }
+                return voter === ALICE ? ethers.parseEther('3') : ethers.parseEther('5');
+            }
+        });
+
+        provider.emit(GOVERNOR, ABIs.MultiTokenGovernor, 'ProposalCreated', [1n, ALICE, [TOKEN], [0n], [''], ['0x'], 5n, 50n, 'Proposal 1'], 1);
+        provider.emit(GOVERNOR, ABIs.MultiTokenGovernor, 'VoteCast', [ALICE, 1n, 1, ethers.parseEther('3'), ''], 2);
+        provider.emit(GOVERNOR, ABIs.MultiTokenGovernor, 'VoteCast', [BOB, 1n, 0, ethers.parseEther('5'), ''], 3);
+
+        writes = [];
+        const chain = { key: 'local', name: 'Local', config: { pollInterval: 1000 }, provider };
+        const relayer = {
+            chains: new Map([['local', chain]]),
+            getSafeBlock: async () => provider.blockNumber,
+            store: {
+                transaction: fn => fn({
+                    putProposal: proposal => writes.push(['proposal', structuredClone(proposal)]),
+                    putProposalVote: vote => writes.push(['vote', vote]),
+                    setCursor: (name, block) => writes.push(['cursor', block])
+                })
+            },
+            clock: systemClock
+        };
+        indexer = new GovernanceIndexer(relayer, { chain: 'local', governorAddress: GOVERNOR, startBlock: 1 }, {
+            maxBlockRange: 100, adaptiveRange: true, minBlockRange: 1, rangeCeiling: 5000
+        }, quiet);
+        indexer.tokens = [TOKEN];
+    });
+
+    it('counts every vote once when a chunk fails partway and is retried', async () => {
+        failPastVotes = voter => voter === BOB;
+        await indexer.poll();
+
+        assert.equal(indexer.stats.lastError, 'getPastVotes unavailable');
+        assert.equal(indexer.cursor, 0);
+        assert.equal(indexer.proposals.size, 0, 'nothing from the failed chunk is visible');
+        assert.deepEqual(writes, []);
+
+        failPastVotes = () => false;
+        await indexer.poll();
+
+        assert.equal(indexer.stats.lastError, null);
+        assert.equal(indexer.cursor, 3);
+        const proposal = indexer.find('1');
+        assert.equal(proposal.voters, 2);
+        assert.deepEqual(proposal.votes, { against: ethers.parseEther('5').toString(), for: ethers.parseEther('3').toString(), abstain: '0' });
+        assert.deepEqual(proposal.tokens[TOKEN], proposal.votes);
+        assert.equal(indexer.listVotes({ proposalId: '1' }).total, 2);
+
+        const stored = writes.filter(([kind]) => kind === 'proposal').pop()[1];
+        assert.deepEqual(stored.votes, proposal.votes);
+    });
+
+    it('ignores events it has already indexed', async () => {
+        await indexer.poll();
+        const before = indexer.find('1');
+
+        indexer.cursor = 0; // e.g. an operator rewound the cursor
+        await indexer.poll();
+
+        assert.deepEqual(indexer.find('1').votes, before.votes);
+        assert.equal(indexer.find('1').voters, 2);
+    });
+});
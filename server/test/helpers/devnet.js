@@ -0,0 +1,338 @@
+// test/helpers/devnet.js
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ganache = require('ganache');
+const solc = require('solc');
+const { ethers } = require('ethers');
+
+const REPO = path.join(__dirname, '..', '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const PROFILE = path.join(FIXTURES, 'devnet.json');
+
+// Hardhat/Anvil development accounts 0 and 1
+const RELAYER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const USER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+// SToken.STOCKHOLDER0, given 1000 STK when deployed on chain 11155111
+const STOCKHOLDER = '0xeAC596bdA9F0025095FFa942563CB23290e7ab9c';
+const TOKEN = '0x000000000000000000000000000000000000dEaD'; // signed into lock relays
+
+const BALANCE = ethers.toQuantity(ethers.parseEther('100'));
+
+const { BridgeRelayer, loadConfig, createLogger } = require('../../index');
+
+const logger = createLogger({
+    level: 'error',
+    file: path.join(os.tmpdir(), 'bridge-relayer-test.log'),
+    maxSize: '10m',
+    maxFiles: 1
+});
+
+let artifacts = null;
+
+/**
+ * Resolve imports the way foundry.toml remaps them, with OpenZeppelin from
+ * node_modules instead of lib/
+ */
+function findImport(file) {
+    const oz = '@openzeppelin/contracts/';
+    const resolved = file.startsWith(oz)
+        ? path.join(path.dirname(require.resolve('@openzeppelin/contracts/package.json')), file.slice(oz.length))
+        : path.join(REPO, file);
+    try {
+        return { contents: fs.readFileSync(resolved, 'utf8') };
+    } catch (error) {
+        return { error: `${file}: ${error.message}` };
+    }
+}
+
+/**
+ * Compile the lock bridge and vote fixtures and src/STokenBridge.sol, once
+ * per run
+ */
+function compile() {
+    if (artifacts) {
+        return artifacts;
+    }
+
+    const sources = {
+        'server/test/fixtures/LockBridges.sol': { content: fs.readFileSync(path.join(FIXTURES, 'LockBridges.sol'), 'utf8') },
+        'server/test/fixtures/Votes.sol': { content: fs.readFileSync(path.join(FIXTURES, 'Votes.sol'), 'utf8') },
+        'src/STokenBridge.sol': { content: fs.readFileSync(path.join(REPO, 'src', 'STokenBridge.sol'), 'utf8') }
+    };
+    const input = {
+        language: 'Solidity',
+        sources,
+        settings: {
+            optimizer: { enabled: true, runs: 200 },
+            // Ganache stops at Shanghai, so OpenZeppelin is held at 5.4, the
+            // last release that does not use Cancun's mcopy
+            evmVersion: 'shanghai',
+            outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+        }
+    };
+
+    const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImport }));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(`Compilation failed:\n${errors.map(error => error.formattedMessage).join('\n')}`);
+    }
+
+    artifacts = {};
+    for (const contracts of Object.values(output.contracts)) {
+        for (const [name, contract] of Object.entries(contracts)) {
+            artifacts[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+        }
+    }
+    return artifacts;
+}
+
+/**
+ * JSON-RPC error as geth sends it. Ganache tucks revert data away in
+ * `data.result`, where ethers does not look for it, so reverts would lose
+ * their reason and custom error.
+ */
+function gethError(error) {
+    const revert = error.data && error.data.result;
+    if (revert === undefined) {
+        return { code: error.code || -32000, message: error.message };
+    }
+    const reason = error.data.reason ? `: ${error.data.reason}` : '';
+    return { code: 3, message: `execution reverted${reason}`, data: revert };
+}
+
+/**
+ * Serve a ganache provider over HTTP on a free local port
+ */
+function serve(chain) {
+    const answer = async ({ id, method, params }) => {
+        try {
+            return { jsonrpc: '2.0', id, result: await chain.request({ method, params }) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id, error: gethError(error) };
+        }
+    };
+
+    const server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const data of req) {
+            body += data;
+        }
+        const request = JSON.parse(body);
+        const response = Array.isArray(request) ? await Promise.all(request.map(answer)) : await answer(request);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(response));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+/**
+ * An in-process ganache chain, mining a block per transaction
+ */
+async function startChain(chainId, unlockedAccounts = []) {
+    const chain = ganache.provider({
+        chain: { chainId },
+        logging: { quiet: true },
+        wallet: {
+            accounts: [RELAYER_KEY, USER_KEY].map(secretKey => ({ secretKey, balance: BALANCE })),
+            unlockedAccounts
+        }
+    });
+    const server = await serve(chain);
+
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const provider = new ethers.JsonRpcProvider(url, chainId, { staticNetwork: true, pollingInterval: 100 });
+    for (const address of unlockedAccounts) {
+        await provider.send('evm_setAccountBalance', [address, BALANCE]);
+    }
+
+    return {
+        chainId,
+        url,
+        provider,
+        user: new ethers.NonceManager(new ethers.Wallet(USER_KEY, provider)),
+
+        async mine(blocks = 1) {
+            for (let i = 0; i < blocks; i++) {
+                await provider.send('evm_mine', []);
+            }
+        },
+
+        snapshot() {
+            return provider.send('evm_snapshot', []);
+        },
+
+        /**
+         * Go back to a snapshot, dropping every block mined since
+         */
+        async revert(id) {
+            await provider.send('evm_revert', [id]);
+            this.user.reset();
+        },
+
+        async stop() {
+            provider.destroy();
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await chain.disconnect();
+        }
+    };
+}
+
+/**
+ * Wait until `check` returns something truthy and return it
+ */
+async function waitFor(check, { timeout = 20000, interval = 100, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeout / 1000}s waiting for ${message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+/**
+ * Two local chains standing in for Sepolia (11155111) and the local Geth
+ * chain (1337), with the lock/unlock bridge pair and an STokenBridge pair
+ * deployed, and relayers configured from test/fixtures/devnet.json to run
+ * against them. Nothing leaves the machine.
+ */
+class Devnet {
+    constructor(sepolia, local) {
+        this.sepolia = sepolia;
+        this.local = local;
+        this.relayerAddress = new ethers.Wallet(RELAYER_KEY).address;
+        this.contracts = {};
+        this.relayers = [];
+        this.dirs = [];
+    }
+
+    static async start() {
+        compile();
+        const devnet = new Devnet(await startChain(11155111, [STOCKHOLDER]), await startChain(1337));
+        await devnet.deploy();
+        return devnet;
+    }
+
+    async deploy() {
+        const { sepolia, local, relayerAddress } = this;
+
+        const sourceBridge = await this.deployContract(sepolia, 'SourceBridge', relayerAddress);
+        const localBridge = await this.deployContract(local, 'LocalBridge', relayerAddress, sepolia.chainId, await sourceBridge.getAddress(), TOKEN);
+
+        // STokenBridge and SToken from src/, one pair per chain
+        const stoken = {};
+        for (const [chain, remote] of [[sepolia, local], [local, sepolia]]) {
+            const bridge = await this.deployContract(chain, 'STokenBridge', remote.chainId, relayerAddress);
+            const token = await this.deployContract(chain, 'SToken', await bridge.getAddress());
+            await (await bridge.setToken(await token.getAddress())).wait();
+            stoken[chain.chainId] = { bridge, token };
+        }
+
+        this.contracts = {
+            sourceBridge,
+            localBridge,
+            stokenSource: stoken[sepolia.chainId].bridge.connect(new ethers.JsonRpcSigner(sepolia.provider, STOCKHOLDER)),
+            stokenDestination: stoken[local.chainId].bridge,
+            stokenToken: stoken[local.chainId].token
+        };
+    }
+
+    async deployContract(chain, name, ...args) {
+        const { abi, bytecode } = compile()[name];
+        const contract = await new ethers.ContractFactory(abi, bytecode, chain.user).deploy(...args);
+        await contract.waitForDeployment();
+        return contract;
+    }
+
+    /**
+     * A temporary directory for one relayer's state
+     */
+    stateDir() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-relayer-'));
+        this.dirs.push(dir);
+        return dir;
+    }
+
+    /**
+     * Relayer config for the devnet. Each top-level section of `overrides`
+     * is merged into the profile's; state goes to `dir`.
+     */
+    async config(dir, overrides = {}) {
+        const { sourceBridge, localBridge, stokenSource, stokenDestination } = this.contracts;
+        const addresses = {
+            'sepolia-local-lock': [await sourceBridge.getAddress(), await localBridge.getAddress()],
+            'local-sepolia-unlock': [await localBridge.getAddress(), await sourceBridge.getAddress()],
+            'sepolia-local-stoken': [await stokenSource.getAddress(), await stokenDestination.getAddress()]
+        };
+
+        const profile = JSON.parse(fs.readFileSync(PROFILE, 'utf8'));
+        const settings = {
+            chains: {
+                sepolia: { rpcUrl: this.sepolia.url },
+                local: { rpcUrl: this.local.url }
+            },
+            routes: profile.routes.map(route => ({
+                ...route,
+                sourceAddress: addresses[route.name][0],
+                destinationAddress: addresses[route.name][1],
+                ...(route.tokenAddress ? { tokenAddress: TOKEN } : {})
+            })),
+            storage: {
+                jsonFile: path.join(dir, 'state.json'),
+                sqliteFile: path.join(dir, 'relayer.db'),
+                legacyFile: path.join(dir, 'processed.json')
+            }
+        };
+        for (const [key, value] of Object.entries(overrides)) {
+            settings[key] = value && typeof value === 'object' && !Array.isArray(value)
+                ? { ...settings[key], ...value }
+                : value;
+        }
+
+        return loadConfig({ profile: PROFILE, env: {}, overrides: settings });
+    }
+
+    /**
+     * Start a relayer, stopped again by stopRelayers(). It signs with the
+     * development key instead of reading one from the environment; `deps`
+     * replace any other dependency.
+     */
+    async startRelayer(dir, overrides, deps = {}) {
+        const relayer = new BridgeRelayer(await this.config(dir, overrides), {
+            logger,
+            signer: new ethers.Wallet(RELAYER_KEY),
+            ...deps
+        });
+        this.relayers.push(relayer);
+        await relayer.start();
+        return relayer;
+    }
+
+    stopRelayers() {
+        for (const relayer of this.relayers.splice(0)) {
+            relayer.stop();
+        }
+    }
+
+    async stop() {
+        this.stopRelayers();
+        await this.sepolia.stop();
+        await this.local.stop();
+        for (const dir of this.dirs) {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+}
+
+module.exports = { Devnet, waitFor, USER_KEY, STOCKHOLDER };
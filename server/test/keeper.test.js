@@ -0,0 +1,181 @@
+// test/keeper.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ABIs = require('../abis');
+const { ProposalKeeper, TaskState } = require('../lib/keeper');
+const { FakeProvider } = require('./helpers/fake-provider');
+
+const GOVERNOR = '0x0000000000000000000000000000000000000a11';
+const TREASURY = '0x0000000000000000000000000000000000000b22';
+const OUTSIDER = '0x0000000000000000000000000000000000000c33';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('ProposalKeeper', () => {
+    let time;
+    let governor;   // what the governor contract answers
+    let sent;       // transactions handed to the tx manager
+    let failSend;
+    let alerts;
+    let saved;
+    let relayer;
+
+    beforeEach(() => {
+        time = 0;
+        governor = { state: 4n, needsQueuing: false, executeReverts: false };
+        sent = [];
+        failSend = false;
+        alerts = [];
+        saved = null;
+
+        const provider = new FakeProvider();
+        provider.contract(GOVERNOR, ABIs.MultiTokenGovernor, {
+            state: () => governor.state,
+            proposalNeedsQueuing: () => governor.needsQueuing,
+            execute: () => {
+                if (governor.executeReverts) {
+                    throw new Error('Governor: call reverted');
+                }
+                return 1n;
+            }
+        });
+
+        const chain = {
+            provider,
+            signer: provider,
+            txManager: {
+                send: async (request, gasLimit, onSent) => {
+                    sent.push(request);
+                    if (failSend) {
+                        throw new Error('nonce too low');
+                    }
+                    onSent('0xabc');
+                    return { hash: '0xabc', blockNumber: 7 };
+                }
+            }
+        };
+        relayer = {
+            clock: { now: () => time },
+            governance: {
+                chain,
+                options: { governorAddress: GOVERNOR },
+                proposals: new Map([['1', proposal([TREASURY])]])
+            },
+            alerts: { check: (key, firing, alert) => alerts.push([key, firing, alert && alert.summary]) },
+            store: { transaction: fn => fn({ setMeta: (key, value) => { saved = structuredClone(value); } }) }
+        };
+    });
+
+    function proposal(targets) {
+        return {
+            id: '1',
+            state: 'succeeded',
+            targets,
+            values: targets.map(() => '0'),
+            calldatas: targets.map(() => '0x'),
+            description: 'Proposal 1',
+            eta: null
+        };
+    }
+
+    const keeper = (options = {}) => new ProposalKeeper(relayer, {
+        dryRun: false,
+        allowedTargets: [TREASURY],
+        gasLimit: 1000000,
+        ...options
+    }, { maxAttempts: 3, retryBaseDelay: 1000, retryMaxDelay: 1500 }, quiet);
+
+    it('executes a succeeded proposal whose targets are all allowed', async () => {
+        const proposalKeeper = keeper();
+        await proposalKeeper.run();
+
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].to, GOVERNOR);
+        const task = proposalKeeper.tasks.get('1:execute');
+        assert.equal(task.state, TaskState.DONE);
+        assert.equal(task.txHash, '0xabc');
+        assert.deepEqual(saved, [task]);
+    });
+
+    it('queues first when the governor needs it', async () => {
+        governor.needsQueuing = true;
+        const proposalKeeper = keeper();
+        await proposalKeeper.run();
+
+        assert.deepEqual(Array.from(proposalKeeper.tasks.keys()), ['1:queue']);
+        assert.equal(proposalKeeper.tasks.get('1:queue').state, TaskState.DONE);
+    });
+
+    it('blocks a proposal with a target outside the allowlist', async () => {
+        relayer.governance.proposals.set('1', proposal([TREASURY, OUTSIDER]));
+        const proposalKeeper = keeper();
+        await proposalKeeper.run();
+        await proposalKeeper.run();
+
+        assert.deepEqual(sent, []);
+        const task = proposalKeeper.tasks.get('1:execute');
+        assert.equal(task.state, TaskState.BLOCKED);
+        assert.equal(task.lastError, `targets not in keeper.allowedTargets: ${OUTSIDER}`);
+
+        // Looked at again after a restart with a wider allowlist
+        const widened = keeper({ allowedTargets: [TREASURY, OUTSIDER] });
+        widened.load(saved);
+        await widened.run();
+        assert.equal(widened.tasks.get('1:execute').state, TaskState.DONE);
+    });
+
+    it('only simulates in dry-run mode', async () => {
+        const proposalKeeper = keeper({ dryRun: true });
+        await proposalKeeper.run();
+
+        assert.deepEqual(sent, []);
+        const task = proposalKeeper.tasks.get('1:execute');
+        assert.equal(task.state, TaskState.SIMULATED);
+        assert.equal(task.lastError, null);
+
+        governor.executeReverts = true;
+        const failing = keeper({ dryRun: true });
+        await failing.run();
+        assert.equal(failing.tasks.get('1:execute').state, TaskState.SIMULATED);
+        assert.match(failing.tasks.get('1:execute').lastError, /Governor: call reverted/);
+        assert.deepEqual(sent, []);
+    });
+
+    it('retries a failed transaction with backoff and gives up after maxAttempts', async () => {
+        failSend = true;
+        const proposalKeeper = keeper();
+        const task = () => proposalKeeper.tasks.get('1:execute');
+
+        await proposalKeeper.run();
+        assert.equal(task().state, TaskState.PENDING);
+        assert.equal(task().nextAttemptAt, 1000);
+        assert.equal(task().lastError, 'nonce too low');
+
+        time = 999;
+        await proposalKeeper.run();
+        assert.equal(sent.length, 1, 'not before its backoff has passed');
+
+        time = 1000;
+        await proposalKeeper.run();
+        assert.equal(sent.length, 2);
+        assert.equal(task().nextAttemptAt, 2500, 'capped at retryMaxDelay');
+
+        time = 2500;
+        await proposalKeeper.run();
+        assert.equal(task().state, TaskState.FAILED);
+        assert.deepEqual(alerts, [['keeper:1', true, 'Could not execute proposal 1 after 3 attempts']]);
+
+        time = 100000;
+        await proposalKeeper.run();
+        assert.equal(sent.length, 3);
+    });
+
+    it('leaves proposals the governor no longer reports as succeeded', async () => {
+        governor.state = 7n; // executed by someone else
+        const proposalKeeper = keeper();
+        await proposalKeeper.run();
+
+        assert.deepEqual(sent, []);
+        assert.equal(proposalKeeper.tasks.size, 0);
+    });
+});
@@ -0,0 +1,96 @@
+// test/limits.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const RelayLimiter = require('../lib/limits');
+
+const MINUTE = 60 * 1000;
+const eth = value => ethers.parseEther(String(value));
+
+describe('RelayLimiter', () => {
+    let time;
+    const clock = { now: () => time };
+    const limiter = overrides => new RelayLimiter({
+        maxAmount: '10',
+        windowAmount: '25',
+        window: 60 * MINUTE,
+        relaysPerMinute: null
+    }, overrides, clock);
+
+    beforeEach(() => {
+        time = 0;
+    });
+
+    it('holds a transfer above maxAmount without reserving anything', () => {
+        const routeLimits = limiter();
+
+        const { breach, ticket } = routeLimits.reserve(eth(11));
+        assert.equal(ticket, undefined);
+        assert.equal(breach, 'amount 11.0 exceeds the per-transfer limit of 10.0');
+        assert.equal(routeLimits.usage().windowRelayed, '0.0');
+    });
+
+    it('holds once the window is full and lets relays through again as it rolls on', () => {
+        const routeLimits = limiter();
+        assert.ok(routeLimits.reserve(eth(10)).ticket);
+        time = 30 * MINUTE;
+        assert.ok(routeLimits.reserve(eth(10)).ticket);
+
+        assert.equal(routeLimits.reserve(eth(6)).breach, '26.0 relayed in 60 minutes would exceed the limit of 25.0');
+        assert.ok(routeLimits.reserve(eth(5)).ticket);
+
+        time = 60 * MINUTE; // the first relay leaves the window
+        assert.equal(routeLimits.usage().windowRelayed, '15.0');
+        assert.ok(routeLimits.reserve(eth(10)).ticket);
+    });
+
+    it('frees the room of a released ticket', () => {
+        const routeLimits = limiter();
+        const { ticket } = routeLimits.reserve(eth(10));
+        routeLimits.reserve(eth(10));
+        assert.ok(routeLimits.reserve(eth(6)).breach);
+
+        routeLimits.release(ticket); // the relay failed
+        assert.equal(routeLimits.usage().windowRelayed, '10.0');
+        assert.ok(routeLimits.reserve(eth(6)).ticket);
+
+        routeLimits.release(ticket); // a second release changes nothing
+        assert.equal(routeLimits.usage().windowRelayed, '16.0');
+    });
+
+    it('reserves an approved relay regardless of the limits', () => {
+        const routeLimits = limiter();
+        const { ticket, breach } = routeLimits.reserve(eth(50), { force: true });
+        assert.equal(breach, undefined);
+        assert.equal(ticket.amount, eth(50));
+        assert.equal(routeLimits.usage().windowRelayed, '50.0');
+        assert.ok(routeLimits.reserve(eth(1)).breach, 'and counts it towards the window');
+    });
+
+    it('caps relays per minute, with route settings over the defaults', () => {
+        const routeLimits = limiter({ maxAmount: '100', relaysPerMinute: 2 });
+        assert.ok(routeLimits.reserve(eth(20)).ticket);
+        routeLimits.reserve(eth(1));
+
+        assert.equal(routeLimits.reserve(eth(1)).breach, 'already 2 relays in the last minute');
+        time = MINUTE;
+        assert.ok(routeLimits.reserve(eth(1)).ticket);
+        assert.deepEqual(routeLimits.usage(), {
+            maxAmount: '100.0',
+            windowAmount: '25.0',
+            windowRelayed: '22.0',
+            relaysPerMinute: 2,
+            relaysLastMinute: 1
+        });
+    });
+
+    it('counts relays recorded from before a restart', () => {
+        time = 90 * MINUTE;
+        const routeLimits = limiter();
+        routeLimits.record(80 * MINUTE, eth(20));
+        routeLimits.record(20 * MINUTE, eth(20)); // outside the window
+
+        assert.equal(routeLimits.usage().windowRelayed, '20.0');
+        assert.ok(routeLimits.reserve(eth(6)).breach);
+    });
+});
@@ -0,0 +1,151 @@
+// test/queue.test.js
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const { ethers } = require('ethers');
+const { Devnet, waitFor } = require('./helpers/devnet');
+const { RelayQueue, JobState } = require('../lib/queue');
+const { createAdminRouter } = require('../lib/admin');
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('RelayQueue', () => {
+    let time;
+    let queue;
+
+    beforeEach(() => {
+        time = 1000;
+        queue = new RelayQueue({ maxAttempts: 4, retryBaseDelay: 1000, retryMaxDelay: 3000 }, quiet, { now: () => time });
+    });
+
+    /**
+     * Take the job as the relayer does and fail it
+     */
+    function fail(job) {
+        assert.deepEqual(queue.due(), [job], 'the job is due');
+        queue.markSubmitted(job);
+        return queue.markFailed(job, new Error('relay reverted'));
+    }
+
+    it('retries with exponential backoff up to retryMaxDelay', async () => {
+        const job = queue.enqueue('lock', '0x01', {});
+        const delays = [];
+
+        for (let attempt = 1; attempt < 4; attempt++) {
+            assert.equal(fail(job), false);
+            delays.push(job.nextAttemptAt - time);
+
+            time = job.nextAttemptAt - 1;
+            assert.deepEqual(queue.due(), [], 'not due before its backoff has passed');
+            time = job.nextAttemptAt;
+        }
+
+        assert.deepEqual(delays, [1000, 2000, 3000]);
+        assert.equal(job.attempts, 3);
+        assert.equal(job.lastError, 'relay reverted');
+    });
+
+    it('dead-letters a job after maxAttempts and keeps it there', async () => {
+        const job = queue.enqueue('lock', '0x01', {});
+        for (let attempt = 1; attempt < 4; attempt++) {
+            fail(job);
+            time = job.nextAttemptAt;
+        }
+
+        assert.equal(fail(job), true);
+        assert.equal(job.state, JobState.FAILED);
+        assert.equal(queue.depth(), 0);
+        assert.deepEqual(queue.due(), []);
+        assert.equal(queue.enqueue('lock', '0x01', {}), null, 'not queued again when seen again');
+
+        // Still dead-lettered after a restart
+        const restored = new RelayQueue({ maxAttempts: 4, retryBaseDelay: 1000, retryMaxDelay: 3000 }, quiet, { now: () => time });
+        restored.load(JSON.parse(JSON.stringify(queue.toJSON())).deadLetter);
+        assert.equal(restored.deadLetter.get('0x01').attempts, 4);
+        assert.equal(restored.depth(), 0);
+    });
+
+    it('requeues a dead-lettered job with a fresh attempt budget', async () => {
+        const job = queue.enqueue('lock', '0x01', {});
+        queue.maxAttempts = 1;
+        fail(job);
+
+        time += 60000;
+        assert.equal(queue.requeue('0x01'), job);
+        assert.equal(job.state, JobState.PENDING);
+        assert.equal(job.attempts, 0);
+        assert.deepEqual(queue.due(), [job]);
+        assert.equal(queue.deadLetter.size, 0);
+        assert.equal(queue.requeue('0x01'), null, 'only dead-lettered jobs are requeued');
+    });
+});
+
+describe('Dead-letter replay on a local devnet', () => {
+    let devnet;
+    let server;
+
+    before(async () => {
+        devnet = await Devnet.start();
+    });
+
+    after(() => devnet.stop());
+
+    afterEach(() => {
+        devnet.stopRelayers();
+        if (server) {
+            server.close();
+            server = null;
+        }
+    });
+
+    /**
+     * Serve the admin API for `relayer` with one operator token
+     */
+    async function admin(relayer, dir) {
+        const app = express();
+        app.use('/admin', createAdminRouter(relayer, {
+            tokens: [{ name: 'alice', tokenEnv: 'ADMIN_TOKEN' }],
+            auditFile: path.join(dir, 'audit.log')
+        }, quiet, { ADMIN_TOKEN: 'secret' }));
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        return `http://127.0.0.1:${server.address().port}/admin`;
+    }
+
+    it('dead-letters a relay that keeps failing and relays it when an operator requeues it', async () => {
+        const dir = devnet.stateDir();
+        const relayer = await devnet.startRelayer(dir, { queue: { maxAttempts: 2, retryBaseDelay: 100 } });
+        const txManager = relayer.chains.get('local').txManager;
+        const send = txManager.send;
+        txManager.send = async () => {
+            throw new Error('destination RPC unavailable');
+        };
+
+        const sourceBridge = devnet.contracts.sourceBridge.connect(devnet.sepolia.user);
+        const localBridge = devnet.contracts.localBridge;
+        const receipt = await (await sourceBridge.lock(ethers.parseEther('2'), devnet.local.chainId)).wait();
+
+        const job = await waitFor(() => relayer.queue.deadLetter.get(receipt.hash), { message: 'dead-lettered job' });
+        assert.equal(job.attempts, 2);
+        assert.equal(job.lastError, 'destination RPC unavailable');
+        assert.equal(relayer.getStats().deadLetterJobs, 1);
+        assert.equal(await localBridge.processed(receipt.hash), false);
+
+        txManager.send = send;
+        const url = await admin(relayer, dir);
+        const response = await fetch(`${url}/transfers/${receipt.hash}/requeue`, {
+            method: 'POST',
+            headers: { Authorization: 'Bearer secret' }
+        });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).transfer.id, receipt.hash);
+
+        await waitFor(() => localBridge.processed(receipt.hash), { message: 'replayed relay' });
+        await waitFor(() => relayer.relays.has(receipt.hash), { message: 'relay record' });
+        assert.equal(relayer.getStats().deadLetterJobs, 0);
+
+        const audit = await (await fetch(`${url}/audit`, { headers: { Authorization: 'Bearer secret' } })).json();
+        assert.deepEqual(audit.map(({ actor, action, target }) => [actor, action, target]), [['alice', 'requeue', receipt.hash]]);
+    });
+});
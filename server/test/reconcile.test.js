@@ -0,0 +1,145 @@
+// test/reconcile.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const ABIs = require('../abis');
+const SupplyReconciler = require('../lib/reconcile');
+const { RelayQueue } = require('../lib/queue');
+const { systemClock } = require('../lib/clock');
+const { FakeProvider } = require('./helpers/fake-provider');
+
+const TOKEN = '0x0000000000000000000000000000000000000a11';
+const WRAPPED = '0x0000000000000000000000000000000000000b22';
+const SOURCE_BRIDGE = '0x0000000000000000000000000000000000000c33';
+const LOCAL_BRIDGE = '0x0000000000000000000000000000000000000d44';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+const eth = value => ethers.parseEther(String(value));
+
+describe('SupplyReconciler', () => {
+    let supply;
+    let alerts;
+    let paused;
+    let relayer;
+
+    beforeEach(() => {
+        supply = { locked: eth(100), wrapped: eth(100) };
+        const source = { name: 'Sepolia', provider: new FakeProvider() };
+        const local = { name: 'Local', provider: new FakeProvider() };
+        source.provider.contract(TOKEN, ABIs.ERC20VotesToken, {
+            balanceOf: holder => (holder === SOURCE_BRIDGE ? supply.locked : 0n)
+        });
+        local.provider.contract(WRAPPED, ABIs.WrappedERC20Votes, {
+            totalSupply: () => {
+                if (supply.wrapped instanceof Error) {
+                    throw supply.wrapped;
+                }
+                return supply.wrapped;
+            }
+        });
+
+        const lock = {
+            name: 'lock',
+            from: source,
+            to: local,
+            paused: null,
+            config: { bridge: 'lock', sourceAddress: SOURCE_BRIDGE, tokenAddress: TOKEN, wrappedTokenAddress: WRAPPED }
+        };
+        const unlock = {
+            name: 'unlock',
+            from: local,
+            to: source,
+            paused: null,
+            config: { bridge: 'unlock', sourceAddress: LOCAL_BRIDGE, destinationAddress: SOURCE_BRIDGE }
+        };
+
+        alerts = [];
+        paused = [];
+        relayer = {
+            clock: systemClock,
+            routes: new Map([['lock', lock], ['unlock', unlock]]),
+            queue: new RelayQueue({ maxAttempts: 1, retryBaseDelay: 0, retryMaxDelay: 0 }, quiet),
+            alerts: { check: (key, firing, alert) => alerts.push([key, firing, alert && alert.severity]) },
+            pause: (name, by) => {
+                relayer.routes.get(name).paused = by;
+                paused.push([name, by.by]);
+            }
+        };
+    });
+
+    const reconciler = (options = {}) => new SupplyReconciler(relayer, {
+        tolerance: '0',
+        breachAfter: 2,
+        autoPause: true,
+        ...options
+    }, quiet);
+
+    it('counts queued and dead-lettered transfers as in flight', async () => {
+        supply = { locked: eth(100), wrapped: eth(90) };
+        relayer.queue.enqueue('lock', '0x01', { amount: eth(6).toString() });
+        const burn = relayer.queue.enqueue('unlock', '0x02', { amount: eth(4).toString() });
+        relayer.queue.markSubmitted(burn);
+        relayer.queue.markFailed(burn, new Error('reverted')); // dead-lettered
+
+        const { lock } = await reconciler().run();
+        assert.equal(lock.status, 'ok');
+        assert.equal(lock.drift, '0.0');
+        assert.deepEqual(lock.inFlight, { locks: '6.0', unlocks: '4.0' });
+        assert.deepEqual(lock.unlockRoutes, ['unlock']);
+        assert.deepEqual(alerts, [['supply:lock', false, undefined]]);
+    });
+
+    it('acts on a deficit only after breachAfter checks in a row', async () => {
+        const checker = reconciler();
+        supply.wrapped = eth(103);
+
+        assert.equal((await checker.run()).lock.status, 'deficit');
+        assert.deepEqual(alerts, []);
+        assert.deepEqual(paused, []);
+
+        supply.wrapped = eth(100); // a relay recorded late, say
+        await checker.run();
+        supply.wrapped = eth(103);
+        await checker.run();
+        assert.deepEqual(paused, [], 'a balanced check starts the count again');
+
+        const { lock } = await checker.run();
+        assert.equal(lock.drift, '-3.0');
+        assert.deepEqual(alerts.pop(), ['supply:lock', true, 'critical']);
+        assert.deepEqual(paused, [['lock', 'reconciliation'], ['unlock', 'reconciliation']]);
+    });
+
+    it('ignores drift within the tolerance and only reports a surplus', async () => {
+        const checker = reconciler({ tolerance: '0.5' });
+
+        supply.wrapped = eth('100.5');
+        assert.equal((await checker.run()).lock.status, 'ok');
+
+        supply.wrapped = eth(90);
+        const { lock } = await checker.run();
+        assert.equal(lock.status, 'surplus');
+        assert.equal(lock.drift, '10.0');
+        assert.ok(alerts.every(([, firing]) => firing === false));
+        assert.deepEqual(paused, []);
+    });
+
+    it('leaves the routes running without autoPause', async () => {
+        const checker = reconciler({ breachAfter: 1, autoPause: false });
+        supply.wrapped = eth(101);
+
+        await checker.run();
+        assert.deepEqual(alerts, [['supply:lock', true, 'critical']]);
+        assert.deepEqual(paused, []);
+    });
+
+    it('records a failed check and keeps the last figures', async () => {
+        const checker = reconciler();
+        await checker.run();
+        supply.wrapped = new Error('local RPC down');
+
+        const { lock } = await checker.run();
+        assert.equal(lock.error, 'local RPC down');
+        assert.equal(lock.status, 'ok');
+        assert.equal(lock.wrapped, '100.0');
+    });
+});
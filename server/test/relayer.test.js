@@ -0,0 +1,203 @@
+// test/relayer.test.js
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { Devnet, waitFor } = require('./helpers/devnet');
+const { RelayerEvents } = require('../index');
+
+const LOCK = 'sepolia-local-lock';
+const UNLOCK = 'local-sepolia-unlock';
+const STOKEN = 'sepolia-local-stoken';
+
+describe('BridgeRelayer on a local devnet', () => {
+    let devnet;
+    let sourceBridge;
+    let localBridge;
+    let user;
+
+    before(async () => {
+        devnet = await Devnet.start();
+        user = await devnet.sepolia.user.getAddress();
+        sourceBridge = devnet.contracts.sourceBridge.connect(devnet.sepolia.user);
+        localBridge = devnet.contracts.localBridge.connect(devnet.local.user);
+    });
+
+    after(() => devnet.stop());
+
+    afterEach(() => devnet.stopRelayers());
+
+    async function lock(amount) {
+        return (await sourceBridge.lock(amount, devnet.local.chainId)).wait();
+    }
+
+    function relayed(receipt, message = `lock ${receipt.hash}`) {
+        return waitFor(() => localBridge.processed(receipt.hash), { message });
+    }
+
+    it('relays a lock to the local chain', async () => {
+        const relayer = await devnet.startRelayer(devnet.stateDir());
+        const supply = await localBridge.totalSupply();
+        const events = [];
+        for (const name of [RelayerEvents.TRANSFER_DETECTED, RelayerEvents.LOCK_DETECTED, RelayerEvents.RELAY_SUBMITTED, RelayerEvents.RELAY_CONFIRMED]) {
+            relayer.on(name, transfer => events.push([name, transfer.id]));
+        }
+
+        const receipt = await lock(ethers.parseEther('5'));
+        await relayed(receipt);
+
+        assert.equal(await localBridge.totalSupply(), supply + ethers.parseEther('5'));
+        const relay = await waitFor(() => relayer.relays.get(receipt.hash), { message: 'relay record' });
+        assert.equal(relay.route, LOCK);
+        assert.equal(relay.blockNumber, receipt.blockNumber);
+        assert.ok(relay.relayTxHash);
+        assert.deepEqual(events, [
+            ['transferDetected', receipt.hash],
+            ['lockDetected', receipt.hash],
+            ['relaySubmitted', receipt.hash],
+            ['relayConfirmed', receipt.hash]
+        ]);
+    });
+
+    it('relays an unlock back to the source chain', async () => {
+        await devnet.startRelayer(devnet.stateDir());
+        await relayed(await lock(ethers.parseEther('3')));
+
+        const receipt = await (await localBridge.burn(ethers.parseEther('2'))).wait();
+        const [burned] = receipt.logs.map(log => localBridge.interface.parseLog(log));
+        assert.equal(burned.name, 'TokensUnlocked');
+
+        const { burnTxHash } = burned.args;
+        await waitFor(() => devnet.contracts.sourceBridge.unlocked(burnTxHash), { message: `unlock ${burnTxHash}` });
+    });
+
+    it('relays an STokenBridge send to the remote bridge', async () => {
+        const relayer = await devnet.startRelayer(devnet.stateDir());
+        const { stokenSource, stokenToken } = devnet.contracts;
+        const balance = await stokenToken.balanceOf(user);
+
+        await (await stokenSource.sendToRemote(user, ethers.parseEther('7'))).wait();
+
+        await waitFor(async () => await stokenToken.balanceOf(user) > balance, { message: 'SToken mint' });
+        assert.equal(await stokenToken.balanceOf(user), balance + ethers.parseEther('7'));
+        assert.equal(relayer.getStats().routes[STOKEN].relayed, 1);
+    });
+
+    it('resumes from its saved cursor after a restart', async () => {
+        const dir = devnet.stateDir();
+        const first = await devnet.startRelayer(dir);
+        await relayed(await lock(ethers.parseEther('1')));
+        await waitFor(() => first.queue.depth() === 0, { message: 'empty queue' });
+        devnet.stopRelayers();
+
+        // Locked while the relayer is down
+        const missed = await lock(ethers.parseEther('2'));
+        await devnet.sepolia.mine(3);
+
+        const second = await devnet.startRelayer(dir);
+        await relayed(missed, 'lock made while stopped');
+
+        const stats = second.getStats().routes[LOCK];
+        assert.equal(stats.detected, 1, 'only the missed lock is picked up again');
+        assert.ok(stats.processed >= 2);
+    });
+
+    it('stamps what it records with the injected clock', async () => {
+        const dir = devnet.stateDir();
+        const offset = 365 * 24 * 60 * 60 * 1000; // a year ahead of the system clock
+        const start = Date.now() + offset;
+        const relayer = await devnet.startRelayer(dir, {}, { clock: { now: () => Date.now() + offset } });
+
+        const receipt = await lock(ethers.parseEther('1'));
+        await relayed(receipt);
+        const relay = await waitFor(() => relayer.relays.get(receipt.hash), { message: 'relay record' });
+
+        const state = JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf8'));
+        assert.ok(state.processed[LOCK][receipt.hash] >= start);
+        assert.ok(Date.parse(state.lastSaved) >= start);
+        assert.ok(relay.relayedAt >= start);
+        assert.ok(relay.queuedAt >= start);
+        assert.ok(relayer.getStats().routes[LOCK].lastPollAt >= start);
+        assert.ok(relayer.chains.get('sepolia').scheduler.stats.lastRunAt >= start);
+    });
+
+    it('does not relay an event twice', async () => {
+        const relayer = await devnet.startRelayer(devnet.stateDir());
+        const supply = await localBridge.totalSupply();
+        const receipt = await lock(ethers.parseEther('4'));
+        await relayed(receipt);
+        await waitFor(() => relayer.relays.has(receipt.hash), { message: 'relay record' });
+
+        // Known to this relayer: backfilling the block queues nothing
+        const summary = await relayer.backfill(LOCK, receipt.blockNumber, receipt.blockNumber);
+        assert.equal(summary.events, 1);
+        assert.equal(summary.queued, 0);
+        devnet.stopRelayers();
+
+        // Unknown to a relayer with fresh state, which replays every event on
+        // the devnet, but already processed on chain
+        const fresh = await devnet.startRelayer(devnet.stateDir(), { monitoring: { blockLookback: 1000 } });
+        await waitFor(() => fresh.relays.has(receipt.hash), { message: 'replayed lock' });
+        await waitFor(() => fresh.queue.depth() === 0, { message: 'empty queue' });
+
+        const stats = fresh.getStats();
+        assert.equal(stats.deadLetterJobs, 0);
+        for (const name of [LOCK, UNLOCK, STOKEN]) {
+            assert.equal(stats.routes[name].errors, 0, `${name} relayed without errors`);
+        }
+        assert.equal(fresh.relays.get(receipt.hash).relayTxHash, null);
+        assert.equal(await localBridge.totalSupply(), supply + ethers.parseEther('4'));
+    });
+
+    it('flags relays whose source block is reorganised away', async () => {
+        const relayer = await devnet.startRelayer(devnet.stateDir());
+        const reorgs = [];
+        const orphaned = [];
+        relayer.on(RelayerEvents.REORG_DETECTED, reorg => reorgs.push(reorg));
+        relayer.on(RelayerEvents.RELAY_ORPHANED, relay => orphaned.push(relay.id));
+        await devnet.sepolia.mine();
+        const snapshot = await devnet.sepolia.snapshot();
+
+        const receipt = await lock(ethers.parseEther('6'));
+        await relayed(receipt);
+        await waitFor(() => relayer.getStats().routes[LOCK].lastBlock >= receipt.blockNumber, { message: 'cursor past the lock' });
+
+        // Replace the lock's block and a few after it with empty ones
+        await devnet.sepolia.revert(snapshot);
+        await devnet.sepolia.mine(3);
+
+        await waitFor(() => relayer.getStats().orphaned.length > 0, { message: 'orphaned relay' });
+        const stats = relayer.getStats();
+        assert.ok(stats.reorgs >= 1);
+        assert.equal(stats.orphanedRelays, 1);
+        assert.deepEqual(stats.orphaned.map(relay => [relay.id, relay.route]), [[receipt.hash, LOCK]]);
+        assert.equal(reorgs[0].chain, 'sepolia');
+        assert.ok(reorgs[0].commonAncestor < receipt.blockNumber);
+        assert.deepEqual(orphaned, [receipt.hash]);
+    });
+
+    it('checks for a reorg before catching up after a reconnect', async () => {
+        const relayer = await devnet.startRelayer(devnet.stateDir());
+        const route = relayer.routes.get(LOCK);
+        await devnet.sepolia.mine();
+        const snapshot = await devnet.sepolia.snapshot();
+
+        const receipt = await lock(ethers.parseEther('8'));
+        await relayed(receipt);
+        await waitFor(() => route.cursor >= receipt.blockNumber, { message: 'cursor past the lock' });
+
+        // As when a subscription connects: no more timed polls, only catch-up
+        route.from.scheduler.setTimed(false);
+        await waitFor(() => !route.polling, { message: 'poll to finish' });
+        await devnet.sepolia.revert(snapshot);
+        await devnet.sepolia.mine(3);
+        await waitFor(async () => (await route.from.provider.getBlock(receipt.blockNumber)).hash !== receipt.blockHash, { message: 'replaced block' });
+
+        await relayer.catchUp(route);
+        const stats = relayer.getStats();
+        assert.equal(stats.routes[LOCK].lastError, null);
+        assert.ok(stats.reorgs >= 1);
+        assert.deepEqual(stats.orphaned.map(relay => relay.id), [receipt.hash]);
+    });
+});
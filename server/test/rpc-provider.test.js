@@ -0,0 +1,211 @@
+// test/rpc-provider.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { FailoverProvider } = require('../lib/rpc-provider');
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+const options = {
+    requestTimeout: 1000,
+    maxFailures: 2,
+    backoffBaseDelay: 1000,
+    backoffMaxDelay: 3000,
+    scoreWindow: 60000
+};
+
+function log(blockNumber) {
+    return {
+        blockNumber: ethers.toQuantity(blockNumber),
+        logIndex: '0x0',
+        blockHash: ethers.id(`block ${blockNumber}`),
+        transactionHash: ethers.id(`tx ${blockNumber}`),
+        address: '0x0000000000000000000000000000000000000a11',
+        data: '0x',
+        topics: [ethers.id('Locked()')]
+    };
+}
+
+const getLogs = { method: 'getLogs', filter: { fromBlock: '0x1', toBlock: '0x5' } };
+
+describe('FailoverProvider', () => {
+    let time;
+    let answers; // per endpoint: request -> result, or throw
+    let asked;   // endpoint indexes in the order they were asked
+    let provider;
+
+    /**
+     * A provider over three endpoints answered by `answers` instead of the
+     * network
+     */
+    function failover(quorum = 1) {
+        const chain = {
+            name: 'Test',
+            chainId: 1,
+            quorum,
+            rpcUrl: 'http://one.invalid',
+            rpcUrls: ['http://two.invalid', 'http://three.invalid']
+        };
+        provider = new FailoverProvider(chain, options, quiet, { now: () => time });
+        provider.endpoints.forEach((endpoint, index) => {
+            endpoint.provider.destroy();
+            endpoint.provider = {
+                _perform: async req => {
+                    asked.push(index);
+                    return answers[index](req);
+                },
+                destroy() {}
+            };
+        });
+        return provider;
+    }
+
+    beforeEach(() => {
+        time = 0;
+        asked = [];
+        answers = [() => 10, () => 11, () => 12];
+    });
+
+    afterEach(() => provider.destroy());
+
+    const fail = error => () => {
+        throw error;
+    };
+    const timeout = () => ethers.makeError('request timeout', 'TIMEOUT');
+
+    it('moves on to the next endpoint when one fails, and prefers the healthy one after', async () => {
+        failover();
+        answers[0] = fail(timeout());
+
+        assert.equal(await provider._perform({ method: 'getBlockNumber' }), 11);
+        assert.deepEqual(asked, [0, 1]);
+
+        asked = [];
+        assert.equal(await provider._perform({ method: 'getBlockNumber' }), 11);
+        assert.deepEqual(asked, [1], 'the failed endpoint now ranks last');
+        assert.equal(provider.getStats().active, 'http://two.invalid');
+        assert.equal(provider.getStats().endpoints[0].score, 0);
+
+        time += options.scoreWindow + 1; // its failure ages out
+        asked = [];
+        answers[0] = () => 10;
+        assert.equal(await provider._perform({ method: 'getBlockNumber' }), 10);
+        assert.deepEqual(asked, [0]);
+    });
+
+    it('passes errors about the request straight on', async () => {
+        failover();
+        answers[0] = fail(ethers.makeError('execution reverted', 'CALL_EXCEPTION'));
+
+        await assert.rejects(provider._perform({ method: 'call' }), { code: 'CALL_EXCEPTION' });
+        assert.deepEqual(asked, [0]);
+        assert.equal(provider.getStats().endpoints[0].score, 100, 'the node answered');
+    });
+
+    it('backs off a rate limiting endpoint at once and a failing one after maxFailures', async () => {
+        failover();
+        answers[0] = fail(ethers.makeError('Too Many Requests', 'SERVER_ERROR', { info: { responseStatus: '429 Too Many Requests' } }));
+
+        assert.equal(await provider._perform({ method: 'getBlockNumber' }), 11);
+        const [first] = provider.getStats().endpoints;
+        assert.equal(first.available, false);
+        assert.equal(first.backoffUntil, 1000);
+        assert.equal(first.rateLimits, 1);
+
+        answers = answers.map(() => fail(timeout()));
+        asked = [];
+        await assert.rejects(provider._perform({ method: 'getBlockNumber' }), { code: 'TIMEOUT' });
+        assert.deepEqual(asked, [1, 2, 0], 'one backing off is tried last');
+        await assert.rejects(provider._perform({ method: 'getBlockNumber' }), { code: 'TIMEOUT' });
+
+        const backoffs = provider.getStats().endpoints.map(endpoint => endpoint.backoffUntil);
+        assert.deepEqual(backoffs, [3000, 1000, 1000], 'doubling up to backoffMaxDelay');
+    });
+
+    it('throws the last error when every endpoint fails', async () => {
+        failover();
+        answers = answers.map(() => fail(timeout()));
+
+        await assert.rejects(provider._perform({ method: 'getBlockNumber' }), { code: 'TIMEOUT' });
+        assert.deepEqual(asked, [0, 1, 2]);
+    });
+
+    describe('broadcastTransaction', () => {
+        let signed;
+        let hash;
+        let methods; // what the stubbed endpoints were asked, in order
+
+        beforeEach(async () => {
+            const wallet = new ethers.Wallet(ethers.id('broadcast test'));
+            signed = await wallet.signTransaction({ to: wallet.address, nonce: 0, gasLimit: 21000, gasPrice: 1, chainId: 1 });
+            hash = ethers.keccak256(signed);
+            methods = [];
+        });
+
+        const broadcast = () => provider._perform({ method: 'broadcastTransaction', signedTransaction: signed });
+        const record = answer => req => {
+            methods.push(req.method);
+            return answer(req);
+        };
+
+        it('looks a timed out transaction up on the next endpoint instead of sending it again', async () => {
+            failover();
+            answers[0] = record(fail(timeout()));
+            answers[1] = record(req => (req.method === 'getTransaction' ? { hash: req.hash } : hash));
+
+            assert.equal(await broadcast(), hash);
+            assert.deepEqual(asked, [0, 1]);
+            assert.deepEqual(methods, ['broadcastTransaction', 'getTransaction']);
+        });
+
+        it('sends it on when the next endpoint has not seen it', async () => {
+            failover();
+            answers[0] = record(fail(timeout()));
+            answers[1] = record(req => (req.method === 'getTransaction' ? null : hash));
+
+            assert.equal(await broadcast(), hash);
+            assert.deepEqual(methods, ['broadcastTransaction', 'getTransaction', 'broadcastTransaction']);
+        });
+
+        it('takes "already known" as sent', async () => {
+            failover();
+            answers[0] = fail(ethers.makeError('could not coalesce error', 'UNKNOWN_ERROR', {
+                error: { code: -32000, message: 'already known' }
+            }));
+
+            assert.equal(await broadcast(), hash);
+            assert.deepEqual(asked, [0]);
+            assert.equal(provider.getStats().endpoints[0].score, 100, 'the node answered');
+        });
+    });
+
+    it('returns logs only when a quorum of endpoints agrees', async () => {
+        failover(2);
+        answers = answers.map(() => () => [log(3), log(2)]);
+        answers[1] = () => [log(2), log(3)]; // same logs, other order
+
+        assert.equal((await provider._perform(getLogs)).length, 2);
+        assert.deepEqual(asked, [0, 1]);
+
+        answers[1] = () => [log(2)];
+        await assert.rejects(provider._perform(getLogs), {
+            code: 'SERVER_ERROR',
+            shortMessage: 'RPC endpoints disagree on logs for blocks 1-5'
+        });
+        assert.equal(provider.getStats().disagreements, 1);
+    });
+
+    it('tops a quorum up from the remaining endpoints', async () => {
+        failover(2);
+        answers = answers.map(() => () => [log(2)]);
+        answers[0] = fail(timeout());
+
+        assert.deepEqual(await provider._perform(getLogs), [log(2)]);
+        assert.deepEqual(asked.sort(), [0, 1, 2]);
+
+        answers[2] = fail(timeout());
+        await assert.rejects(provider._perform(getLogs), {
+            shortMessage: 'only 1 of the 2 RPC endpoints needed for quorum answered: request timeout'
+        });
+    });
+});
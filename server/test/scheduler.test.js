@@ -0,0 +1,177 @@
+// test/scheduler.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const PollScheduler = require('../lib/scheduler');
+const { BlockRange, queryEventsInChunks } = require('../lib/events');
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function until(check, message) {
+    const deadline = Date.now() + 5000;
+    while (!check()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${message}`);
+        }
+        await sleep(5);
+    }
+}
+
+describe('PollScheduler', () => {
+    let scheduler;
+
+    afterEach(() => scheduler.stop());
+
+    /**
+     * A task whose runs only finish when the test says so
+     */
+    function blockingTask() {
+        const task = { runs: [], active: 0, maxActive: 0 };
+        task.fn = triggered => new Promise(resolve => {
+            task.active++;
+            task.maxActive = Math.max(task.maxActive, task.active);
+            task.runs.push({
+                triggered,
+                finish: behind => {
+                    task.active--;
+                    resolve(behind);
+                }
+            });
+        });
+        return task;
+    }
+
+    it('runs a trigger that arrives mid-run straight after it, never alongside', async () => {
+        const task = blockingTask();
+        scheduler = new PollScheduler('Test', 60000, task.fn, quiet);
+        scheduler.start();
+        await until(() => task.runs.length === 1, 'the first run');
+
+        scheduler.trigger();
+        scheduler.trigger();
+        await sleep(10);
+        assert.equal(task.runs.length, 1, 'still running the first poll');
+        assert.equal(scheduler.stats.deferred, 2);
+
+        task.runs[0].finish(false);
+        await until(() => task.runs.length === 2, 'the triggered run');
+        assert.equal(task.runs[1].triggered, true);
+        task.runs[1].finish(false);
+        await sleep(20);
+
+        assert.equal(task.runs.length, 2, 'both triggers made one run, then it waits for the interval');
+        assert.equal(task.maxActive, 1);
+        assert.equal(scheduler.stats.runs, 2);
+    });
+
+    it('runs again at once while a run reports it is behind', async () => {
+        let remaining = 3;
+        const runs = [];
+        scheduler = new PollScheduler('Test', 60000, async triggered => {
+            runs.push(triggered);
+            remaining--;
+            return remaining > 0;
+        }, quiet);
+        scheduler.start();
+        await until(() => runs.length === 3, 'three runs');
+        await sleep(20);
+
+        assert.deepEqual(runs, [false, true, true]);
+    });
+
+    it('keeps to its interval when a run fails', async () => {
+        let runs = 0;
+        const errors = [];
+        scheduler = new PollScheduler('Test', 20, async () => {
+            runs++;
+            throw new Error('RPC down');
+        }, { ...quiet, error: message => errors.push(message) });
+        scheduler.start();
+        await until(() => runs >= 3, 'three runs');
+        scheduler.stop();
+
+        assert.equal(errors[0], 'Test: poll failed: RPC down');
+        const stopped = runs;
+        await sleep(40);
+        assert.equal(runs, stopped, 'nothing runs after stop()');
+    });
+
+    it('only runs on trigger when not timed', async () => {
+        let runs = 0;
+        scheduler = new PollScheduler('Test', 10, async () => {
+            runs++;
+        }, quiet);
+        scheduler.start({ timed: false });
+        await until(() => runs === 1, 'the catch-up run at start');
+        await sleep(50);
+        assert.equal(runs, 1, 'nothing more without a trigger');
+
+        scheduler.trigger();
+        await until(() => runs === 2, 'the triggered run');
+
+        scheduler.setTimed(true);
+        await until(() => runs > 3, 'timed runs');
+    });
+});
+
+describe('BlockRange', () => {
+    const range = (options = {}) => new BlockRange({ maxBlockRange: 100, adaptiveRange: true, minBlockRange: 10, rangeCeiling: 1000, ...options });
+
+    /**
+     * A contract whose node rejects log queries over more than `limit` blocks
+     */
+    function contract(limit) {
+        const queries = [];
+        return {
+            queries,
+            queryFilter: async (filter, fromBlock, toBlock) => {
+                queries.push([fromBlock, toBlock]);
+                if (toBlock - fromBlock + 1 > limit) {
+                    throw new Error(`query exceeds max block range ${limit}`);
+                }
+                return [`events ${fromBlock}-${toBlock}`];
+            }
+        };
+    }
+
+    async function scan(events, fromBlock, toBlock, blocks) {
+        const chunks = [];
+        for await (const chunk of queryEventsInChunks(events, {}, fromBlock, toBlock, blocks)) {
+            chunks.push([chunk.fromBlock, chunk.toBlock]);
+        }
+        return chunks;
+    }
+
+    it('halves the range until the node accepts it, covering every block once', async () => {
+        const events = contract(30);
+        const blocks = range();
+        const chunks = await scan(events, 1, 200, blocks);
+
+        assert.deepEqual(chunks[0], [1, 25]);
+        assert.equal(chunks[chunks.length - 1][1], 200);
+        chunks.forEach(([from], i) => assert.equal(from, i === 0 ? 1 : chunks[i - 1][1] + 1));
+        assert.ok(chunks.every(([from, to]) => to - from + 1 <= 30));
+        assert.ok(blocks.size <= 30);
+    });
+
+    it('doubles the range while behind, up to rangeCeiling', async () => {
+        const blocks = range();
+        const chunks = await scan(contract(Infinity), 1, 5000, blocks);
+
+        assert.deepEqual(chunks.slice(0, 5).map(([from, to]) => to - from + 1), [100, 200, 400, 800, 1000]);
+        assert.equal(blocks.size, 1000);
+    });
+
+    it('stops at minBlockRange and when not adaptive', async () => {
+        const blocks = range({ minBlockRange: 40 });
+        await assert.rejects(scan(contract(30), 1, 200, blocks), /max block range 30/);
+        assert.equal(blocks.size, 40);
+
+        const fixed = range({ adaptiveRange: false });
+        const events = contract(30);
+        await assert.rejects(scan(events, 1, 200, fixed), /max block range 30/);
+        assert.deepEqual(events.queries, [[1, 100]]);
+        fixed.grow();
+        assert.equal(fixed.size, 100);
+    });
+});
@@ -0,0 +1,120 @@
+// test/storage.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore, SqliteStore } = require('../lib/storage');
+
+const sqlite = (() => {
+    try {
+        require('node:sqlite');
+        return true;
+    } catch {
+        return false;
+    }
+})();
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+const backends = [
+    { Store: JsonStore, file: 'state.json' },
+    { Store: SqliteStore, file: 'relayer.db', skip: !sqlite && 'node:sqlite is missing' }
+];
+
+for (const { Store, file, skip } of backends) {
+    describe(Store.name, { skip }, () => {
+        let dir;
+        let time;
+        let store;
+
+        const open = () => {
+            const opened = new Store(path.join(dir, file), quiet, { now: () => time });
+            opened.open();
+            return opened;
+        };
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-relayer-'));
+            time = 1000;
+            store = open();
+        });
+
+        afterEach(() => {
+            store.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('reads back everything it wrote after a reopen', () => {
+            assert.equal(store.isEmpty(), true);
+            const job = { id: '0x02', route: 'lock', state: 'pending', attempts: 1, payload: { amount: '5' } };
+            const proposal = { id: '7', state: 'Active', votes: { for: '3', against: '0', abstain: '0' } };
+            const vote = { proposalId: '7', voter: '0xabc', support: 1, weight: '3' };
+
+            store.transaction(tx => tx
+                .setCursor('lock', 42)
+                .markProcessed('lock', '0x01')
+                .putRelay('0x01', { route: 'lock', relayedAt: 900, relayTxHash: '0xff' })
+                .putJob(job)
+                .putJob({ id: '0x03', route: 'lock', state: 'pending' })
+                .deleteJob('0x03')
+                .setBlockHashes('sepolia', { 41: '0xaa', 42: '0xbb' })
+                .putProposal(proposal)
+                .putProposalVote(vote)
+                .setMeta('reconciled', { at: 950 }));
+            store.close();
+
+            store = open();
+            assert.equal(store.isEmpty(), false);
+            assert.deepEqual(store.load(), {
+                cursors: { lock: 42 },
+                processed: { lock: ['0x01'] },
+                relays: { '0x01': { route: 'lock', relayedAt: 900, relayTxHash: '0xff' } },
+                jobs: [job],
+                blockHashes: { sepolia: { 41: '0xaa', 42: '0xbb' } },
+                proposals: [proposal],
+                proposalVotes: [vote],
+                meta: { reconciled: { at: 950 } }
+            });
+        });
+
+        it('applies a transaction completely or not at all', () => {
+            store.transaction(tx => tx.setCursor('lock', 10).markProcessed('lock', '0x01'));
+
+            assert.throws(() => store.transaction(tx => {
+                tx.setCursor('lock', 20).markProcessed('lock', '0x02').putJob({ id: '0x02', route: 'lock' });
+                tx.ops.push({ op: 'unknown' });
+            }), /Unknown store operation: unknown/);
+
+            assert.deepEqual(store.load().cursors, { lock: 10 });
+            assert.deepEqual(store.load().processed, { lock: ['0x01'] });
+            assert.deepEqual(store.load().jobs, []);
+
+            store.close();
+            store = open();
+            assert.deepEqual(store.load().cursors, { lock: 10 }, 'nothing of it reached the disk');
+            assert.deepEqual(store.load().processed, { lock: ['0x01'] });
+        });
+
+        it('prunes processed ids and relays older than the cutoff', () => {
+            store.transaction(tx => tx
+                .markProcessed('lock', '0x01')
+                .putRelay('0x01', { route: 'lock', relayedAt: 1000 }));
+            time = 5000;
+            store.transaction(tx => tx
+                .markProcessed('lock', '0x02')
+                .putRelay('0x02', { route: 'lock', relayedAt: 5000 })
+                .setCursor('lock', 99));
+
+            assert.equal(store.prune(3000), 2);
+            assert.equal(store.prune(3000), 0);
+
+            store.close();
+            store = open();
+            const state = store.load();
+            assert.deepEqual(state.processed, { lock: ['0x02'] });
+            assert.deepEqual(Object.keys(state.relays), ['0x02']);
+            assert.deepEqual(state.cursors, { lock: 99 }, 'cursors are never pruned');
+        });
+    });
+}
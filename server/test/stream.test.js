@@ -0,0 +1,69 @@
+// test/stream.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const express = require('express');
+const EventStream = require('../lib/stream');
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+const ALICE = '0x0000000000000000000000000000000000000A11';
+const BOB = '0x0000000000000000000000000000000000000b22';
+
+function transfer(from) {
+    return { id: `0x${from.slice(-3)}`, route: 'lock', source: { from, txHash: null }, relay: { txHash: null } };
+}
+
+describe('EventStream', () => {
+    let relayer;
+    let stream;
+    let server;
+    let url;
+
+    before(async () => {
+        relayer = new EventEmitter();
+        stream = new EventStream(relayer, { streamHistory: 10, heartbeatInterval: 60000 }, quiet);
+
+        const app = express();
+        app.get('/events', (req, res) => stream.handle(req, res));
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        url = `http://127.0.0.1:${server.address().port}/events`;
+    });
+
+    after(() => {
+        stream.close();
+        server.close();
+    });
+
+    it('turns away an invalid or repeated filter', async () => {
+        for (const query of ['address=nope', `address=${ALICE}&address=${BOB}`, 'hash=0x1&hash=0x2', 'route=lock&route=unlock']) {
+            const res = await fetch(`${url}?${query}`);
+            assert.equal(res.status, 400, query);
+            assert.ok((await res.json()).error);
+        }
+        assert.equal(stream.clients.size, 0);
+    });
+
+    it('replays only the events matching the address filter', async () => {
+        relayer.emit('transferDetected', transfer(BOB));
+        relayer.emit('transferDetected', transfer(ALICE));
+
+        const controller = new AbortController();
+        const res = await fetch(`${url}?address=${ALICE.toLowerCase()}`, {
+            headers: { 'Last-Event-ID': '0' },
+            signal: controller.signal
+        });
+        assert.equal(res.status, 200);
+
+        const reader = res.body.getReader();
+        let body = '';
+        while (!body.includes('event: transferDetected')) {
+            body += Buffer.from((await reader.read()).value).toString();
+        }
+        controller.abort();
+
+        assert.match(body, /^id: 2$/m);
+        assert.doesNotMatch(body, /^id: 1$/m);
+    });
+});
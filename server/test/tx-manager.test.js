@@ -0,0 +1,164 @@
+// test/tx-manager.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const TransactionManager = require('../lib/tx-manager');
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * A chain that answers each broadcast with the next of `failures`, then
+ * accepts and mines everything. `count` is the node's transaction count
+ * for the account, which tests move to stand for transactions sent
+ * elsewhere.
+ */
+function fakeChain(failures = []) {
+    const chain = {
+        count: 5,
+        sent: [],
+        fees: [], // maxFeePerGas of each broadcast
+        provider: {
+            getNetwork: async () => ({ chainId: 1n }),
+            getTransactionCount: async () => chain.count,
+            estimateGas: async () => 21000n,
+            getFeeData: async () => ({ maxFeePerGas: ethers.parseUnits('10', 'gwei'), maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei') }),
+            broadcastTransaction: async raw => {
+                const { nonce } = JSON.parse(raw);
+                const failure = failures.shift();
+                if (failure) {
+                    throw failure;
+                }
+                chain.sent.push(nonce);
+                chain.fees.push(JSON.parse(raw).maxFeePerGas);
+                return { hash: ethers.id(raw) };
+            },
+            getTransaction: async hash => ({ hash }),
+            getTransactionReceipt: async hash => ({ hash, status: 1, blockNumber: 1 })
+        },
+        signer: {
+            getAddress: async () => ethers.ZeroAddress,
+            signTransaction: async tx => JSON.stringify({ nonce: tx.nonce, maxFeePerGas: ethers.formatUnits(tx.maxFeePerGas, 'gwei') })
+        }
+    };
+    return chain;
+}
+
+async function manager(chain, options = {}, clock = undefined) {
+    const txManager = new TransactionManager(chain.signer, chain.provider, {
+        name: 'Test',
+        gasMultiplier: 1,
+        replaceAfter: 60000,
+        feeBumpPercent: 10,
+        maxReplacements: 3,
+        receiptPollInterval: 10,
+        ...options
+    }, quiet, clock);
+    await txManager.init();
+    return txManager;
+}
+
+const request = { to: ethers.ZeroAddress, data: '0x' };
+
+describe('TransactionManager nonces', () => {
+    it('resyncs after a nonce error instead of reusing the stale nonce', async () => {
+        const chain = fakeChain([ethers.makeError('nonce has already been used', 'NONCE_EXPIRED')]);
+        const txManager = await manager(chain);
+        chain.count = 6; // nonce 5 used by a transaction sent elsewhere
+
+        await assert.rejects(txManager.send(request, 100000), { code: 'NONCE_EXPIRED' });
+        await txManager.send(request, 100000);
+        assert.deepEqual(chain.sent, [6]);
+    });
+
+    it('resyncs when a broadcast gets no answer', async () => {
+        const chain = fakeChain([ethers.makeError('request timeout', 'TIMEOUT')]);
+        const txManager = await manager(chain);
+        chain.count = 6; // the node took it after all
+
+        await assert.rejects(txManager.send(request, 100000), { code: 'TIMEOUT' });
+        await txManager.send(request, 100000);
+        assert.deepEqual(chain.sent, [6]);
+    });
+
+    it('reuses the nonce of a transaction the node refused for another reason', async () => {
+        const chain = fakeChain([ethers.makeError('insufficient funds', 'INSUFFICIENT_FUNDS')]);
+        const txManager = await manager(chain);
+
+        await assert.rejects(txManager.send(request, 100000), { code: 'INSUFFICIENT_FUNDS' });
+        await txManager.send(request, 100000);
+        assert.deepEqual(chain.sent, [5]);
+    });
+
+    it('reuses the nonce of a transaction that could not be signed', async () => {
+        const chain = fakeChain();
+        const txManager = await manager(chain);
+        chain.signer.signTransaction = async () => {
+            throw new Error('signer unavailable');
+        };
+
+        await assert.rejects(txManager.send(request, 100000), /signer unavailable/);
+        chain.signer.signTransaction = async tx => JSON.stringify({ nonce: tx.nonce });
+        await txManager.send(request, 100000);
+        assert.deepEqual(chain.sent, [5]);
+    });
+});
+
+describe('TransactionManager replacements', () => {
+    /**
+     * A chain that keeps every transaction pending until `mine()`, and a
+     * clock that moves past replaceAfter between every two polls
+     */
+    async function stalled(options) {
+        const chain = fakeChain();
+        const receipt = chain.provider.getTransactionReceipt;
+        chain.provider.getTransactionReceipt = async () => null;
+        chain.mine = () => {
+            chain.provider.getTransactionReceipt = receipt;
+        };
+        let time = 0;
+        const txManager = await manager(chain, options, { now: () => (time += 61000) });
+        return { chain, txManager };
+    }
+
+    async function untilStuck(txManager) {
+        while (!txManager.getStats().pending.some(tx => tx.stuck)) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        // A few more polls, which must not broadcast anything
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    it('stops after one cancel once the replacements are spent', async () => {
+        const { chain, txManager } = await stalled({ maxReplacements: 2 });
+        const sent = txManager.send(request, 100000);
+
+        await untilStuck(txManager);
+        assert.deepEqual(chain.fees, ['10.0', '11.0', '12.1', '13.31']); // sent, two speed-ups, cancel
+        assert.equal(txManager.getStats().cancelled, 1);
+        assert.equal(txManager.getStats().stuck, 1);
+
+        chain.mine();
+        await sent;
+        assert.equal(txManager.getStats().pending.length, 0);
+    });
+
+    it('never raises fees past maxFeePerGas', async () => {
+        const { chain, txManager } = await stalled({ maxReplacements: 10, maxFeePerGas: 12 });
+        const sent = txManager.send(request, 100000);
+
+        await untilStuck(txManager);
+        assert.deepEqual(chain.fees, ['10.0', '11.0']);
+        assert.equal(txManager.getStats().cancelled, 0);
+
+        chain.mine();
+        await sent;
+    });
+
+    it('caps the first fees too', async () => {
+        const chain = fakeChain();
+        const txManager = await manager(chain, { maxFeePerGas: 8 });
+
+        await txManager.send(request, 100000);
+        assert.deepEqual(chain.fees, ['8.0']);
+    });
+});
@@ -0,0 +1,149 @@
+// test/votes.test.js
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { Devnet, waitFor } = require('./helpers/devnet');
+const { ConfigError, createDashboard } = require('../index');
+const { snapshotHash } = require('../lib/votes');
+
+describe('Vote relay on a local devnet', () => {
+    let devnet;
+    let snapshots;
+    let governor;
+    let voteRelay;
+    let server;
+    const voters = Array.from({ length: 2 }, () => ethers.Wallet.createRandom());
+    let proposalId = 0n;
+
+    before(async () => {
+        devnet = await Devnet.start();
+        const { sepolia, local, relayerAddress } = devnet;
+        snapshots = await devnet.deployContract(sepolia, 'VoteSnapshot');
+        governor = await devnet.deployContract(local, 'GovernorStandIn');
+        voteRelay = await devnet.deployContract(local, 'VoteRelay',
+            relayerAddress,
+            sepolia.chainId,
+            await snapshots.getAddress(),
+            await governor.getAddress()
+        );
+        for (const voter of voters) {
+            await sepolia.provider.send('evm_setAccountBalance', [voter.address, ethers.toQuantity(ethers.parseEther('1'))]);
+        }
+    });
+
+    after(() => devnet.stop());
+
+    afterEach(() => {
+        devnet.stopRelayers();
+        if (server) {
+            server.closeAllConnections();
+            server.close();
+            server = null;
+        }
+    });
+
+    async function votesConfig(overrides = {}) {
+        return {
+            enabled: true,
+            sourceChain: 'sepolia',
+            snapshotAddress: await snapshots.getAddress(),
+            governorChain: 'local',
+            governorAddress: await governor.getAddress(),
+            relayAddress: await voteRelay.getAddress(),
+            batchSize: 2,
+            processInterval: 1000,
+            ...overrides
+        };
+    }
+
+    /**
+     * Start a relayer with votes enabled and serve its dashboard on a free
+     * port, returning the relayer and the dashboard's URL
+     */
+    async function startRelayer() {
+        const relayer = await devnet.startRelayer(devnet.stateDir(), {
+            votes: await votesConfig(),
+            dashboard: { enabled: true }
+        });
+        server = await new Promise(resolve => {
+            const listening = createDashboard(relayer, relayer.config, relayer.logger).listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        return { relayer, url: `http://127.0.0.1:${server.address().port}` };
+    }
+
+    /**
+     * Open a new proposal on the governor, active from the next block
+     */
+    async function propose() {
+        const block = await devnet.local.provider.getBlockNumber();
+        proposalId++;
+        await (await governor.connect(devnet.local.user).propose(proposalId, block, block + 1000)).wait();
+        return { id: proposalId, snapshot: BigInt(block) };
+    }
+
+    /**
+     * Snapshot `voter`'s votes and sign them with `signer`
+     */
+    async function snapshotAndSign(proposal, voter, signer = voter) {
+        const contract = snapshots.connect(voter.connect(devnet.sepolia.provider));
+        await (await contract.snapshotVotes(proposal.id, proposal.snapshot)).wait();
+        const snapshot = await snapshots.getSnapshot(proposal.id, voter.address);
+        const hash = snapshotHash(
+            devnet.sepolia.chainId, await snapshots.getAddress(), await governor.getAddress(),
+            proposal.id, voter.address, snapshot.votes, snapshot.snapshotTime
+        );
+        return signer.signMessage(ethers.getBytes(hash));
+    }
+
+    function submit(url, body) {
+        return fetch(`${url}/votes`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    it('relays a batch of signed snapshots through the vote relay contract', async () => {
+        const { relayer, url } = await startRelayer();
+        const proposal = await propose();
+
+        for (const voter of voters) {
+            const signature = await snapshotAndSign(proposal, voter);
+            const response = await submit(url, { proposalId: proposal.id.toString(), voter: voter.address, signature });
+            assert.equal(response.status, 202);
+        }
+
+        const relayed = await waitFor(() => {
+            const votes = relayer.votes.list(proposal.id.toString());
+            return votes.every(vote => vote.status === 'relayed') && votes;
+        }, { message: 'relayed votes' });
+        assert.equal(relayed.length, 2);
+        assert.equal(relayed[0].txHash, relayed[1].txHash, 'one relayVotes transaction');
+        for (const voter of voters) {
+            assert.equal(await voteRelay.votesOf(proposal.id, voter.address), ethers.parseEther('10'));
+        }
+    });
+
+    it('rejects a snapshot signed by someone other than the voter', async () => {
+        const { relayer, url } = await startRelayer();
+        const proposal = await propose();
+        const [voter, other] = voters;
+
+        const signature = await snapshotAndSign(proposal, voter, other);
+        const response = await submit(url, { proposalId: proposal.id.toString(), voter: voter.address, signature });
+
+        assert.equal(response.status, 422);
+        assert.match((await response.json()).error, /not .* or does not cover the current snapshot/);
+        assert.deepEqual(relayer.votes.list(proposal.id.toString()), []);
+    });
+
+    it('requires the vote relay contract address', async () => {
+        await assert.rejects(
+            devnet.config(devnet.stateDir(), {
+                votes: await votesConfig({ relayAddress: null }),
+                dashboard: { enabled: true }
+            }),
+            error => error instanceof ConfigError && error.problems.some(problem => problem.includes('relayAddress'))
+        );
+    });
+});